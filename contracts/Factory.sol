@@ -1,46 +1,464 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.28;
 
+import "@openzeppelin/contracts/access/Ownable2Step.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/proxy/Clones.sol";
+
 import "./NFT.sol";
+import "./royalty/RoyaltySplitter.sol";
+import "./pricing/IPricingCurve.sol";
 
-contract Factory {
+contract Factory is Ownable2Step, Pausable {
     error TimestampMustBeGreaterThanNow();
+    error IndexOutOfBounds();
+    error NotACampaign();
+    error CallerIsNotAdmin();
+    error CallerIsNotArbiter();
+    error CallerIsNotCreator();
+    error InvalidTreasury();
+    error PlatformFeeTooHigh();
+    error RoyaltyFeeTooHigh();
+    error PricingCurveNotAllowed();
+    error InvalidMetadataRenderer();
+    error InvalidImplementation();
+    error InvalidPerkTiers();
+    error InvalidMaxSupply();
+    error InvalidSalePhases();
+    error InvalidPaymentCurrencies();
+    error InvalidMilestones();
+    error GovernanceNotAvailable();
+    error InvalidVotingSettings();
+    error InvalidChallengeWindow();
+    error MilestoneSubmissionNotAllowed();
+    error MilestoneReleaseNotAllowed();
+    error MilestoneRejectionNotAllowed();
+    error IncompatiblePaymentToken(address token);
+    error SaltAlreadyUsed();
+    error PlatformFeeChanged(uint24 expectedPlatformFee, uint24 platformFee);
+    error ImplementationVersionChanged(
+        uint256 expectedVersion,
+        uint256 activeVersion
+    );
 
     event CampaignCreated(
         address indexed creator,
         address indexed campaignAddress
     );
+    event AdminUpdated(address indexed account, bool isAdmin);
+    event ArbiterUpdated(address indexed account, bool isArbiter);
+    event TreasuryUpdated(
+        address indexed previousTreasury,
+        address indexed newTreasury
+    );
+    event PlatformFeeUpdated(uint24 previousPlatformFee, uint24 newPlatformFee);
+    event MaxRoyaltyFeeUpdated(
+        uint24 previousMaxRoyaltyFee,
+        uint24 newMaxRoyaltyFee
+    );
+    event BaseUriUpdated(string baseUri);
+    event PricingCurveUpdated(address indexed pricingCurve, bool allowed);
+    event IncompatibleTokenUpdated(address indexed token, bool incompatible);
+    event ImplementationRegistered(
+        uint256 indexed version,
+        address indexed implementation
+    );
+    event ActiveVersionUpdated(uint256 previousVersion, uint256 newVersion);
+    event CampaignEmergencyCancelled(
+        address indexed campaign,
+        address indexed admin
+    );
+    event MilestoneSubmitted(
+        address indexed campaign,
+        uint256 index,
+        uint256 unlocksAt
+    );
+    event MilestoneReleased(address indexed campaign, uint256 index);
+    event MilestoneRejected(address indexed campaign, uint256 index);
+    event MilestoneChallengeWindowUpdated(uint256 milestoneChallengeWindow);
+    event GovernorUpdated(
+        address indexed previousGovernor,
+        address indexed newGovernor
+    );
+    event VotingSettingsUpdated(uint256 votingPeriod, uint24 votingQuorum);
+    event DeadlineExtensionLimitsUpdated(
+        uint256 maxDeadlineExtension,
+        uint32 maxDeadlineExtensions
+    );
+    event MetadataRendererUpdated(
+        address indexed previousMetadataRenderer,
+        address indexed newMetadataRenderer
+    );
+
+    struct PerkTier {
+        string name;
+        string uri;
+        uint256 maxPosition;
+        uint256 minPrice;
+    }
+
+    struct PaymentCurrency {
+        address token;
+        uint256 rate;
+    }
 
     struct CampaignParams {
         string name;
         string symbol;
         uint32 minRequiredSales;
+        uint32 maxSupply;
+        uint32 maxPerWallet;
+        bool closeOnSellOut;
         uint256 timestamp;
+        uint256 saleStart;
+        uint256 allowlistEnd;
+        bytes32 allowlistRoot;
+        uint256 allowlistPrice;
+        uint32 allowlistQuota;
         uint256 startPrice;
         uint256 priceIncrement;
         address paymentToken;
+        PaymentCurrency[] currencies;
+        address pricingCurve;
+        bytes pricingParams;
+        bool escrowPlatformFee;
+        bool burnOnRedeem;
+        string metadataUri;
+        PerkTier[] perkTiers;
+        uint24[] milestoneShares;
+        bool governed;
+        uint24 royaltyFee;
+        NFT.TransferPolicy transferPolicy;
+    }
+
+    // Shares are in basis points of the creator's funds. The current
+    // milestone is the first one that has not been released.
+    struct Milestones {
+        uint24[] shares;
+        uint256 released;
+        uint24 releasedShare;
+        uint256 unlocksAt;
+        bool rejected;
+    }
+
+    struct CampaignInfo {
+        address campaignAddress;
+        address creator;
+        string name;
+        string symbol;
+        uint256 timestamp;
+        uint32 minRequiredSales;
+        uint32 maxSupply;
+        uint256 totalEverMinted;
+        uint256 currentPrice;
     }
 
+    uint24 public constant FEE_DENOMINATOR = 10_000;
+    uint24 public constant MAX_PLATFORM_FEE = 2_000;
+    uint256 public constant MAX_PERK_TIERS = 10;
+    uint256 public constant MAX_PAYMENT_CURRENCIES = 5;
+    uint256 public constant MAX_MILESTONES = 10;
+
     address public treasury;
 
     string public baseUri;
 
+    address public metadataRenderer;
+
+    // Executes holder votes on governed campaigns.
+    address public governor;
+
+    // NFT implementations that campaigns are cloned from, indexed by version.
+    // Campaigns stay on the version they were created with.
+    address[] public implementations;
+    uint256 public activeVersion;
+    mapping(address => uint256) public campaignVersion;
+
     uint24 public platformFee;
 
+    // Campaigns with a royalty get their own clone of this splitter as the
+    // ERC-2981 receiver.
+    address public immutable royaltySplitterImplementation;
+    uint24 public maxRoyaltyFee = 1_000;
+
+    uint256 public maxDeadlineExtension = 30 days;
+    uint32 public maxDeadlineExtensions = 1;
+
+    uint256 public milestoneChallengeWindow = 7 days;
+
+    // The quorum is in basis points of the campaign's supply when the
+    // proposal opens.
+    uint256 public votingPeriod = 3 days;
+    uint24 public votingQuorum = 2_000;
+
+    address[] public campaigns;
+
+    mapping(address => address[]) public campaignsByCreator;
+    mapping(address => bool) public isCampaign;
+
+    mapping(address => bool) public admins;
+    mapping(address => bool) public arbiters;
+    mapping(address => bool) public pricingCurves;
+    mapping(address => bool) public incompatibleTokens;
+    mapping(address => mapping(bytes32 => bool)) public usedSalts;
+    mapping(address => Milestones) private _milestones;
+
+    modifier onlyAdmin() {
+        if (msg.sender != owner() && !admins[msg.sender])
+            revert CallerIsNotAdmin();
+        _;
+    }
+
+    // The governor settles milestones of governed campaigns by holder vote.
+    modifier onlyArbiter() {
+        if (!arbiters[msg.sender] && msg.sender != governor)
+            revert CallerIsNotArbiter();
+        _;
+    }
+
     constructor(
         address treasury_,
         uint24 platformFee_,
-        string memory baseUri_
-    ) {
+        string memory baseUri_,
+        address metadataRenderer_,
+        address implementation_
+    ) Ownable(msg.sender) {
+        if (treasury_ == address(0)) revert InvalidTreasury();
+        if (platformFee_ > MAX_PLATFORM_FEE) revert PlatformFeeTooHigh();
+        if (metadataRenderer_ == address(0)) revert InvalidMetadataRenderer();
+
+        treasury = treasury_;
+        platformFee = platformFee_;
+        baseUri = baseUri_;
+        metadataRenderer = metadataRenderer_;
+
+        _registerImplementation(implementation_);
+
+        royaltySplitterImplementation = address(new RoyaltySplitter());
+    }
+
+    function setAdmin(address account, bool isAdmin) external onlyOwner {
+        admins[account] = isAdmin;
+
+        emit AdminUpdated(account, isAdmin);
+    }
+
+    function setArbiter(address account, bool isArbiter) external onlyOwner {
+        arbiters[account] = isArbiter;
+
+        emit ArbiterUpdated(account, isArbiter);
+    }
+
+    // Campaigns keep the governor they were created with. Setting it to zero
+    // stops new campaigns from being governed.
+    function setGovernor(address governor_) external onlyOwner {
+        emit GovernorUpdated(governor, governor_);
+
+        governor = governor_;
+    }
+
+    function setTreasury(address treasury_) external onlyOwner {
+        if (treasury_ == address(0)) revert InvalidTreasury();
+
+        emit TreasuryUpdated(treasury, treasury_);
+
         treasury = treasury_;
+    }
+
+    function setPlatformFee(uint24 platformFee_) external onlyAdmin {
+        if (platformFee_ > MAX_PLATFORM_FEE) revert PlatformFeeTooHigh();
+
+        emit PlatformFeeUpdated(platformFee, platformFee_);
+
         platformFee = platformFee_;
+    }
+
+    // Existing campaigns keep their royalty.
+    function setMaxRoyaltyFee(uint24 maxRoyaltyFee_) external onlyAdmin {
+        if (maxRoyaltyFee_ > FEE_DENOMINATOR) revert RoyaltyFeeTooHigh();
+
+        emit MaxRoyaltyFeeUpdated(maxRoyaltyFee, maxRoyaltyFee_);
+
+        maxRoyaltyFee = maxRoyaltyFee_;
+    }
+
+    function setBaseUri(string memory baseUri_) external onlyAdmin {
         baseUri = baseUri_;
+
+        emit BaseUriUpdated(baseUri_);
+    }
+
+    function setDeadlineExtensionLimits(
+        uint256 maxDeadlineExtension_,
+        uint32 maxDeadlineExtensions_
+    ) external onlyAdmin {
+        maxDeadlineExtension = maxDeadlineExtension_;
+        maxDeadlineExtensions = maxDeadlineExtensions_;
+
+        emit DeadlineExtensionLimitsUpdated(
+            maxDeadlineExtension_,
+            maxDeadlineExtensions_
+        );
+    }
+
+    // Only affects milestones submitted after the change. Holders must be able
+    // to vote a milestone down within its window, so it has to outlast a vote.
+    function setMilestoneChallengeWindow(
+        uint256 milestoneChallengeWindow_
+    ) external onlyAdmin {
+        if (milestoneChallengeWindow_ <= votingPeriod)
+            revert InvalidChallengeWindow();
+
+        milestoneChallengeWindow = milestoneChallengeWindow_;
+
+        emit MilestoneChallengeWindowUpdated(milestoneChallengeWindow_);
+    }
+
+    // Only affects proposals opened after the change.
+    function setVotingSettings(
+        uint256 votingPeriod_,
+        uint24 votingQuorum_
+    ) external onlyAdmin {
+        if (
+            votingPeriod_ == 0 ||
+            votingPeriod_ >= milestoneChallengeWindow ||
+            votingQuorum_ > FEE_DENOMINATOR
+        ) revert InvalidVotingSettings();
+
+        votingPeriod = votingPeriod_;
+        votingQuorum = votingQuorum_;
+
+        emit VotingSettingsUpdated(votingPeriod_, votingQuorum_);
+    }
+
+    function setMetadataRenderer(address metadataRenderer_) external onlyAdmin {
+        if (metadataRenderer_ == address(0)) revert InvalidMetadataRenderer();
+
+        emit MetadataRendererUpdated(metadataRenderer, metadataRenderer_);
+
+        metadataRenderer = metadataRenderer_;
+    }
+
+    function setPricingCurve(
+        address pricingCurve,
+        bool allowed
+    ) external onlyAdmin {
+        pricingCurves[pricingCurve] = allowed;
+
+        emit PricingCurveUpdated(pricingCurve, allowed);
+    }
+
+    // Registering does not switch new campaigns over; see setActiveVersion.
+    function registerImplementation(
+        address implementation
+    ) external onlyAdmin returns (uint256) {
+        return _registerImplementation(implementation);
+    }
+
+    function setActiveVersion(uint256 version) external onlyAdmin {
+        if (version >= implementations.length) revert InvalidImplementation();
+
+        emit ActiveVersionUpdated(activeVersion, version);
+
+        activeVersion = version;
+    }
+
+    // Stops createCampaign and minting on every campaign. Refunds and
+    // withdrawals are not affected.
+    function pause() external onlyAdmin {
+        _pause();
+    }
+
+    function unpause() external onlyAdmin {
+        _unpause();
+    }
+
+    function emergencyCancel(address campaign) external onlyAdmin {
+        if (!isCampaign[campaign]) revert NotACampaign();
+
+        NFT(campaign).emergencyCancel();
+
+        emit CampaignEmergencyCancelled(campaign, msg.sender);
+    }
+
+    // Starts the challenge window of the campaign's current milestone. It is
+    // released when an arbiter approves it or once the window has passed.
+    // Milestones of governed campaigns are only released by a holder vote.
+    function submitMilestone(address campaign) external {
+        if (!isCampaign[campaign]) revert NotACampaign();
+        if (msg.sender != NFT(campaign).creator()) revert CallerIsNotCreator();
+
+        Milestones storage milestones = _milestones[campaign];
+        if (!_isMilestoneOpen(campaign) || milestones.unlocksAt != 0)
+            revert MilestoneSubmissionNotAllowed();
+
+        milestones.unlocksAt = block.timestamp + milestoneChallengeWindow;
+
+        emit MilestoneSubmitted(
+            campaign,
+            milestones.released,
+            milestones.unlocksAt
+        );
+    }
+
+    function releaseMilestone(address campaign) external {
+        uint256 unlocksAt = _milestones[campaign].unlocksAt;
+        if (
+            unlocksAt == 0 ||
+            block.timestamp < unlocksAt ||
+            NFT(campaign).governor() != address(0)
+        ) revert MilestoneReleaseNotAllowed();
+
+        _releaseMilestone(campaign);
+    }
+
+    function approveMilestone(address campaign) external onlyArbiter {
+        if (_milestones[campaign].unlocksAt == 0)
+            revert MilestoneReleaseNotAllowed();
+        address campaignGovernor = NFT(campaign).governor();
+        if (campaignGovernor != address(0) && msg.sender != campaignGovernor)
+            revert MilestoneReleaseNotAllowed();
+
+        _releaseMilestone(campaign);
+    }
+
+    // Arbiters can also reject a milestone that was never submitted, so an
+    // abandoned campaign does not lock up its funds. Holders can then claim
+    // their share of what was not released.
+    // A holder vote can end after the challenge window, so the campaign's
+    // governor can reject at any time.
+    function rejectMilestone(address campaign) external onlyArbiter {
+        Milestones storage milestones = _milestones[campaign];
+        if (
+            !_isMilestoneOpen(campaign) ||
+            (milestones.unlocksAt != 0 &&
+                block.timestamp >= milestones.unlocksAt &&
+                msg.sender != NFT(campaign).governor())
+        ) revert MilestoneRejectionNotAllowed();
+
+        milestones.rejected = true;
+        milestones.unlocksAt = 0;
+
+        emit MilestoneRejected(campaign, milestones.released);
+    }
+
+    // Tokens with transfer hooks, rebasing balances or other non-standard
+    // behaviour can be flagged here to keep them out of new campaigns.
+    function setIncompatibleToken(
+        address token,
+        bool incompatible
+    ) external onlyAdmin {
+        incompatibleTokens[token] = incompatible;
+
+        emit IncompatibleTokenUpdated(token, incompatible);
     }
 
     function getBaseUri() external view returns (string memory) {
         return baseUri;
     }
 
+    // Campaigns snapshot their fee and read treasury directly, so this is only
+    // a single read of the current terms for off-chain callers.
     function getPlatformFeeAndTreasury()
         external
         view
@@ -49,24 +467,297 @@ contract Factory {
         return (treasury, platformFee);
     }
 
-    function createCampaign(CampaignParams memory params) external {
+    function getDeadlineExtensionLimits()
+        external
+        view
+        returns (uint256, uint32)
+    {
+        return (maxDeadlineExtension, maxDeadlineExtensions);
+    }
+
+    function getMilestones(
+        address campaign
+    ) external view returns (Milestones memory) {
+        return _milestones[campaign];
+    }
+
+    // Campaigns without milestones have all of their funds released.
+    function getMilestoneRelease(
+        address campaign
+    ) external view returns (uint24 releasedShare, bool rejected) {
+        Milestones storage milestones = _milestones[campaign];
+        if (milestones.shares.length == 0) return (FEE_DENOMINATOR, false);
+
+        return (milestones.releasedShare, milestones.rejected);
+    }
+
+    function getVotingSettings() external view returns (uint256, uint24) {
+        return (votingPeriod, votingQuorum);
+    }
+
+    function getImplementationsCount() external view returns (uint256) {
+        return implementations.length;
+    }
+
+    function getCampaignImplementation(
+        address campaign
+    ) external view returns (address) {
+        if (!isCampaign[campaign]) revert NotACampaign();
+
+        return implementations[campaignVersion[campaign]];
+    }
+
+    function getCampaignsCount() external view returns (uint256) {
+        return campaigns.length;
+    }
+
+    function getCampaignsCountByCreator(
+        address creator
+    ) external view returns (uint256) {
+        return campaignsByCreator[creator].length;
+    }
+
+    function getCampaignsByCreator(
+        address creator
+    ) external view returns (address[] memory) {
+        return campaignsByCreator[creator];
+    }
+
+    function getCampaignInfo(
+        address campaign
+    ) public view returns (CampaignInfo memory) {
+        if (!isCampaign[campaign]) revert NotACampaign();
+
+        NFT nft = NFT(campaign);
+
+        return
+            CampaignInfo(
+                campaign,
+                nft.creator(),
+                nft.name(),
+                nft.symbol(),
+                nft.timestamp(),
+                nft.minRequiredSales(),
+                nft.maxSupply(),
+                nft.totalEverMinted(),
+                nft.getCurrentPriceToMint()
+            );
+    }
+
+    function getCampaignsInfo(
+        uint256 offset,
+        uint256 limit
+    ) external view returns (CampaignInfo[] memory) {
+        return _getCampaignsInfoPage(campaigns, offset, limit);
+    }
+
+    function getCampaignsInfoByCreator(
+        address creator,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (CampaignInfo[] memory) {
+        return _getCampaignsInfoPage(campaignsByCreator[creator], offset, limit);
+    }
+
+    // Campaigns without a salt get one derived from the registry length, which
+    // is unique for every deployment.
+    function createCampaign(
+        CampaignParams memory params
+    ) external whenNotPaused {
+        _validateCampaign(params);
+
+        _deployCampaign(params, keccak256(abi.encode(campaigns.length)));
+    }
+
+    // The campaign address is known before launch (see predictCampaignAddress).
+    // Each salt can be used once per creator. The fee and implementation are
+    // part of the address, so a change since the prediction reverts.
+    function createCampaignWithSalt(
+        CampaignParams memory params,
+        bytes32 salt,
+        uint24 expectedPlatformFee,
+        uint256 expectedVersion
+    ) external whenNotPaused {
+        if (expectedPlatformFee != platformFee)
+            revert PlatformFeeChanged(expectedPlatformFee, platformFee);
+        if (expectedVersion != activeVersion)
+            revert ImplementationVersionChanged(expectedVersion, activeVersion);
+        if (usedSalts[msg.sender][salt]) revert SaltAlreadyUsed();
+        usedSalts[msg.sender][salt] = true;
+
+        _validateCampaign(params);
+
+        _deployCampaign(params, salt);
+    }
+
+    // The address depends on every parameter, the platform fee and the active
+    // implementation in force when the campaign is created.
+    function predictCampaignAddress(
+        address creator,
+        bytes32 salt,
+        CampaignParams memory params
+    ) external view returns (address) {
+        return
+            Clones.predictDeterministicAddress(
+                implementations[activeVersion],
+                _cloneSalt(creator, salt, params)
+            );
+    }
+
+    function _validateCampaign(CampaignParams memory params) internal view {
         if (params.timestamp < block.timestamp)
             revert TimestampMustBeGreaterThanNow();
 
-        address campaign = address(
-            new NFT(
-                params.name,
-                params.symbol,
-                address(this),
-                params.minRequiredSales,
-                params.timestamp,
-                params.startPrice,
-                params.priceIncrement,
-                params.paymentToken,
-                msg.sender
-            )
+        if (params.pricingCurve != address(0)) {
+            if (!pricingCurves[params.pricingCurve])
+                revert PricingCurveNotAllowed();
+
+            IPricingCurve(params.pricingCurve).validateParams(
+                params.pricingParams
+            );
+        }
+
+        if (
+            params.maxSupply == 0
+                ? params.closeOnSellOut
+                : params.maxSupply < params.minRequiredSales
+        ) revert InvalidMaxSupply();
+
+        if (
+            params.saleStart >= params.timestamp ||
+            (params.allowlistEnd != 0 &&
+                (params.allowlistRoot == bytes32(0) ||
+                    params.allowlistEnd <= params.saleStart ||
+                    params.allowlistEnd > params.timestamp))
+        ) revert InvalidSalePhases();
+
+        _checkPaymentToken(params.paymentToken);
+
+        if (params.currencies.length > MAX_PAYMENT_CURRENCIES)
+            revert InvalidPaymentCurrencies();
+        for (uint256 i = 0; i < params.currencies.length; i++) {
+            PaymentCurrency memory currency = params.currencies[i];
+            if (currency.rate == 0 || currency.token == params.paymentToken)
+                revert InvalidPaymentCurrencies();
+            if (currency.token != address(0))
+                _checkPaymentToken(currency.token);
+
+            for (uint256 j = 0; j < i; j++) {
+                if (params.currencies[j].token == currency.token)
+                    revert InvalidPaymentCurrencies();
+            }
+        }
+
+        if (params.perkTiers.length > MAX_PERK_TIERS) revert InvalidPerkTiers();
+        for (uint256 i = 0; i < params.perkTiers.length; i++) {
+            if (bytes(params.perkTiers[i].name).length == 0)
+                revert InvalidPerkTiers();
+        }
+
+        if (params.milestoneShares.length > MAX_MILESTONES)
+            revert InvalidMilestones();
+        uint256 totalShares;
+        for (uint256 i = 0; i < params.milestoneShares.length; i++) {
+            if (params.milestoneShares[i] == 0) revert InvalidMilestones();
+            totalShares += params.milestoneShares[i];
+        }
+        if (
+            params.milestoneShares.length != 0 &&
+            totalShares != FEE_DENOMINATOR
+        ) revert InvalidMilestones();
+
+        if (params.governed && governor == address(0))
+            revert GovernanceNotAvailable();
+
+        if (params.royaltyFee > maxRoyaltyFee) revert RoyaltyFeeTooHigh();
+    }
+
+    function _deployCampaign(
+        CampaignParams memory params,
+        bytes32 salt
+    ) internal {
+        address campaign = Clones.cloneDeterministic(
+            implementations[activeVersion],
+            _cloneSalt(msg.sender, salt, params)
+        );
+        address royaltySplitter;
+        if (params.royaltyFee != 0) {
+            royaltySplitter = Clones.clone(royaltySplitterImplementation);
+            RoyaltySplitter(payable(royaltySplitter)).initialize(campaign);
+        }
+        NFT(campaign).initialize(
+            params,
+            msg.sender,
+            platformFee,
+            royaltySplitter
         );
 
+        campaigns.push(campaign);
+        campaignsByCreator[msg.sender].push(campaign);
+        isCampaign[campaign] = true;
+        campaignVersion[campaign] = activeVersion;
+        _milestones[campaign].shares = params.milestoneShares;
+
         emit CampaignCreated(msg.sender, campaign);
     }
+
+    // Clones all share the same code, so the salt has to commit to the creator,
+    // the parameters and the platform fee for the address to depend on them.
+    function _cloneSalt(
+        address creator,
+        bytes32 salt,
+        CampaignParams memory params
+    ) internal view returns (bytes32) {
+        return keccak256(abi.encode(creator, salt, platformFee, params));
+    }
+
+    function _registerImplementation(
+        address implementation
+    ) internal returns (uint256 version) {
+        if (implementation.code.length == 0) revert InvalidImplementation();
+
+        version = implementations.length;
+        implementations.push(implementation);
+
+        emit ImplementationRegistered(version, implementation);
+    }
+
+    // Milestones only start once the sale is over and the goal was reached.
+    function _isMilestoneOpen(address campaign) internal view returns (bool) {
+        Milestones storage milestones = _milestones[campaign];
+
+        return
+            milestones.released < milestones.shares.length &&
+            !milestones.rejected &&
+            NFT(campaign).status() == NFT.CampaignStatus.Finalized;
+    }
+
+    function _releaseMilestone(address campaign) internal {
+        Milestones storage milestones = _milestones[campaign];
+        milestones.releasedShare += milestones.shares[milestones.released];
+        milestones.unlocksAt = 0;
+
+        emit MilestoneReleased(campaign, milestones.released++);
+    }
+
+    function _checkPaymentToken(address token) internal view {
+        if (token.code.length == 0 || incompatibleTokens[token])
+            revert IncompatiblePaymentToken(token);
+    }
+
+    function _getCampaignsInfoPage(
+        address[] storage list,
+        uint256 offset,
+        uint256 limit
+    ) internal view returns (CampaignInfo[] memory page) {
+        if (offset > list.length) revert IndexOutOfBounds();
+
+        uint256 end = list.length;
+        if (limit < end - offset) end = offset + limit;
+
+        page = new CampaignInfo[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            page[i - offset] = getCampaignInfo(list[i]);
+        }
+    }
 }
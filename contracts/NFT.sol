@@ -1,12 +1,34 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.28;
 import "@openzeppelin/contracts/token/ERC721/extensions/ERC721Enumerable.sol";
-import "@openzeppelin/contracts/utils/Strings.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/interfaces/IERC5267.sol";
+import "@openzeppelin/contracts/interfaces/IERC2981.sol";
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "@openzeppelin/contracts/utils/Nonces.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuardTransient.sol";
+import "@openzeppelin/contracts/utils/structs/Checkpoints.sol";
 
 import "./Factory.sol";
+import "./libraries/CampaignLib.sol";
+import "./pricing/IPricingCurve.sol";
+import "./metadata/IMetadataRenderer.sol";
+
+contract NFT is
+    ERC721Enumerable,
+    IERC2981,
+    IERC5267,
+    Initializable,
+    Nonces,
+    Pausable,
+    ReentrancyGuardTransient
+{
+    using SafeERC20 for IERC20;
 
-contract NFT is ERC721Enumerable {
     error MintingIsNotAllowed();
     error OwnerIsNotSender();
     error BurningIsNotAllowed();
@@ -14,66 +36,423 @@ contract NFT is ERC721Enumerable {
     error CannotRefundZero();
     error CallerIsNotCreator();
     error WithdrawalNotAllowed();
+    error InvalidQuantity();
+    error PriceAboveMaximum(uint256 price, uint256 maxPrice);
+    error DeadlineExpired(uint256 deadline);
+    error InvalidSignature();
+    error PlatformFeeReleaseNotAllowed();
+    error FinalizationNotAllowed();
+    error CampaignAlreadyFinalized();
+    error RedemptionNotAllowed();
+    error InvalidRedemptionStatus();
+    error TokenIsRedeemed();
+    error CancellationNotAllowed();
+    error DeadlineExtensionNotAllowed();
+    error InvalidDeadlineExtension();
+    error MaxSupplyExceeded();
+    error WalletLimitExceeded();
+    error SaleNotStarted();
+    error AllowlistSaleOnly();
+    error AllowlistSaleNotActive();
+    error NotAllowlisted();
+    error AllowlistQuotaExceeded();
+    error CurrencyNotAccepted();
+    error InvalidPayment();
+    error NativeTransferFailed();
+    error PlatformPaused();
+    error CallerIsNotFactory();
+    error CallerIsNotGovernor();
+    error FutureLookup(uint256 timepoint);
+    error TransfersLocked();
+    error RefundRightForfeited();
 
     event Mint(address indexed holder, uint256 tokenId);
     event Burn(address indexed holder, uint256 tokenId);
     event ClaimRefund(address indexed holder, uint256 tokenId);
+    event MintOrderExecuted(
+        address indexed buyer,
+        address indexed relayer,
+        uint256 nonce
+    );
+    event PlatformFeesReleased(
+        address indexed treasury,
+        address indexed currency,
+        uint256 amount
+    );
+    event CampaignSucceeded(uint256 totalMinted, uint256 totalRaised);
+    event CampaignFailed(uint256 totalMinted, uint256 minRequiredSales);
+    event CampaignCancelled(uint256 totalMinted);
+    event DeadlineExtended(uint256 previousTimestamp, uint256 newTimestamp);
+    event RedemptionRequested(
+        uint256 indexed tokenId,
+        address indexed redeemer,
+        bytes data
+    );
+    event RedemptionAcknowledged(uint256 indexed tokenId);
+    event RedemptionFulfilled(uint256 indexed tokenId);
+    event RefundRightTransferred(
+        uint256 indexed tokenId,
+        address indexed from,
+        address indexed to
+    );
+    event RefundForfeited(uint256 indexed tokenId, address indexed holder);
     event WithdrawCreatorsFunds(
         address indexed creator,
+        address indexed currency,
         uint256 withdrawAmount
     );
 
+    enum CampaignStatus {
+        Active,
+        Succeeded,
+        Failed,
+        Finalized
+    }
+
+    // Free: transferable, but a transferred token can no longer be refunded.
+    // Soulbound: not transferable until the campaign succeeds, then as Free.
+    // RefundRight: transferable, and the new owner can claim the refund.
+    enum TransferPolicy {
+        Free,
+        Soulbound,
+        RefundRight
+    }
+
+    enum RedemptionStatus {
+        None,
+        Requested,
+        Acknowledged,
+        Fulfilled
+    }
+
+    struct Redemption {
+        address redeemer;
+        RedemptionStatus status;
+    }
+
+    struct MintOrder {
+        address buyer;
+        uint256 quantity;
+        uint256 maxTotalPrice;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    // minter is recorded on the first transfer that forfeits the refund right,
+    // which then stays with the account the token was minted to.
     struct Holder {
         uint256 mintPrice;
         uint256 tokenId;
         address paymentToken;
         uint256 mintPriceGross;
+        address minter;
     }
 
+    uint24 public constant FEE_DENOMINATOR = 10_000;
+    uint256 public constant RATE_PRECISION = 1e18;
+    address public constant NATIVE_CURRENCY = address(0);
+
+    bytes32 public constant MINT_ORDER_TYPEHASH =
+        CampaignLib.MINT_ORDER_TYPEHASH;
+
     address public factory;
+    string private _campaignName;
+    string private _campaignSymbol;
     address public creator;
     address public paymentToken;
 
+    address[] private _currencies;
+    mapping(address => uint256) public currencyRates;
+
+    uint24 public platformFee;
+    uint24 public royaltyFee;
+    address public royaltySplitter;
+
     uint32 public minRequiredSales;
+    uint32 public maxSupply;
+    uint32 public maxPerWallet;
+    bool public closeOnSellOut;
 
+    uint256 public startTimestamp;
     uint256 public timestamp;
+    uint256 public saleStart;
+    uint256 public allowlistEnd;
+    uint32 public deadlineExtensions;
+    // Pricing curves keep the original deadline, so an extension never
+    // stretches a time based curve.
+    uint256 public pricingEndTimestamp;
 
     uint256 public startPrice;
     uint256 public priceIncrement;
 
-    uint256 public withdrawalAmount;
+    bytes32 public allowlistRoot;
+    uint256 public allowlistPrice;
+    uint32 public allowlistQuota;
+
+    address public pricingCurve;
+    bytes public pricingParams;
+
+    bool public escrowPlatformFee;
+
+    string public metadataUri;
+
+    bool public burnOnRedeem;
 
-    uint256 public totalEarnedByCreator;
+    TransferPolicy public transferPolicy;
+
+    uint256 public totalRaised;
+
+    mapping(address => uint256) public withdrawalAmount;
+    mapping(address => uint256) public escrowedPlatformFees;
+    mapping(address => uint256) public totalEarnedByCreator;
     uint256 public totalEverMinted = 0;
 
     mapping(uint256 => Holder) public holderByTokenId;
+    mapping(uint256 => Redemption) public redemptions;
+    mapping(address => uint256) public mintedByWallet;
+    mapping(address => uint256) public allowlistMinted;
+
+    Factory.PerkTier[] private _perkTiers;
+
+    // Set for governed campaigns, which can only be cancelled or extended
+    // through a holder vote.
+    address public governor;
+    mapping(address => Checkpoints.Trace208) private _balanceCheckpoints;
+    Checkpoints.Trace208 private _totalSupplyCheckpoints;
+
+    CampaignStatus private _finalStatus;
+
+    modifier onlyCreator() {
+        _checkCreator();
+        _;
+    }
 
-    constructor(
-        string memory name_,
-        string memory symbol_,
-        address factory_,
-        uint32 minRequiredSales_,
-        uint256 timestamp_,
-        uint256 startPrice_,
-        uint256 priceIncrement_,
-        address paymentToken_,
-        address creator_
-    ) ERC721(name_, symbol_) {
-        factory = factory_;
-        minRequiredSales = minRequiredSales_;
-        timestamp = timestamp_;
-        startPrice = startPrice_;
-        priceIncrement = priceIncrement_;
-        paymentToken = paymentToken_;
+    modifier onlyGovernance() {
+        if (governor == address(0)) _checkCreator();
+        else if (msg.sender != governor) revert CallerIsNotGovernor();
+        _;
+    }
+
+    // Campaigns are clones of this contract, so it is only ever initialized
+    // through them.
+    constructor() ERC721("", "") {
+        _disableInitializers();
+    }
+
+    // Called by the Factory right after cloning. The caller becomes the
+    // campaign's factory.
+    function initialize(
+        Factory.CampaignParams calldata params,
+        address creator_,
+        uint24 platformFee_,
+        address royaltySplitter_
+    ) external initializer {
+        factory = msg.sender;
+        _campaignName = params.name;
+        _campaignSymbol = params.symbol;
+        minRequiredSales = params.minRequiredSales;
+        maxSupply = params.maxSupply;
+        maxPerWallet = params.maxPerWallet;
+        closeOnSellOut = params.closeOnSellOut;
+        timestamp = params.timestamp;
+        pricingEndTimestamp = params.timestamp;
+        saleStart = params.saleStart;
+        allowlistEnd = params.allowlistEnd;
+        allowlistRoot = params.allowlistRoot;
+        allowlistPrice = params.allowlistPrice;
+        allowlistQuota = params.allowlistQuota;
+        startPrice = params.startPrice;
+        priceIncrement = params.priceIncrement;
+        pricingCurve = params.pricingCurve;
+        pricingParams = params.pricingParams;
+        startTimestamp = block.timestamp;
+        paymentToken = params.paymentToken;
+
+        _currencies.push(params.paymentToken);
+        currencyRates[params.paymentToken] = RATE_PRECISION;
+        for (uint256 i = 0; i < params.currencies.length; i++) {
+            Factory.PaymentCurrency calldata currency = params.currencies[i];
+            _currencies.push(currency.token);
+            currencyRates[currency.token] = currency.rate;
+        }
         creator = creator_;
+        platformFee = platformFee_;
+        royaltyFee = params.royaltyFee;
+        royaltySplitter = royaltySplitter_;
+        escrowPlatformFee = params.escrowPlatformFee;
+        metadataUri = params.metadataUri;
+        burnOnRedeem = params.burnOnRedeem;
+        transferPolicy = params.transferPolicy;
+
+        for (uint256 i = 0; i < params.perkTiers.length; i++) {
+            _perkTiers.push(params.perkTiers[i]);
+        }
+        if (params.governed) governor = Factory(msg.sender).governor();
+    }
+
+    function status() public view virtual returns (CampaignStatus) {
+        if (isFinalized()) return _finalStatus;
+
+        bool goalReached = totalEverMinted >= minRequiredSales;
+
+        if (block.timestamp < timestamp) {
+            return goalReached ? CampaignStatus.Succeeded : CampaignStatus.Active;
+        }
+
+        return goalReached ? CampaignStatus.Finalized : CampaignStatus.Failed;
+    }
+
+    function isFinalized() public view returns (bool) {
+        return _finalStatus != CampaignStatus.Active;
+    }
+
+    function finalize() external {
+        if (isFinalized()) revert CampaignAlreadyFinalized();
+        if (block.timestamp < timestamp) revert FinalizationNotAllowed();
+
+        _finalize();
+    }
+
+    function isSoldOut() public view returns (bool) {
+        return maxSupply != 0 && totalEverMinted >= maxSupply;
+    }
+
+    function cancel() external onlyGovernance {
+        _cancel();
+    }
+
+    // Lets the platform open refunds early when a campaign misbehaves.
+    function emergencyCancel() external {
+        if (msg.sender != factory) revert CallerIsNotFactory();
+
+        _cancel();
+    }
+
+    // Pausing only stops minting. Refunds, withdrawals, burns and redemptions
+    // keep working so nobody is locked out while the campaign is paused.
+    function pause() external onlyCreator {
+        _pause();
+    }
+
+    function unpause() external onlyCreator {
+        _unpause();
+    }
+
+    function _checkCreator() internal view {
+        if (msg.sender != creator) revert CallerIsNotCreator();
+    }
+
+    function _checkOwner(uint256 tokenId) internal view {
+        if (ownerOf(tokenId) != msg.sender) revert OwnerIsNotSender();
+    }
+
+    function _checkDeadline(uint256 deadline) internal view {
+        if (block.timestamp > deadline) revert DeadlineExpired(deadline);
+    }
+
+    function _cancel() internal {
+        CampaignStatus currentStatus = _syncStatus();
+        if (
+            currentStatus != CampaignStatus.Active &&
+            currentStatus != CampaignStatus.Succeeded
+        ) revert CancellationNotAllowed();
+        for (uint256 i = 0; i < _currencies.length; i++) {
+            if (totalEarnedByCreator[_currencies[i]] > 0)
+                revert CancellationNotAllowed();
+        }
+
+        _finalStatus = CampaignStatus.Failed;
+
+        emit CampaignCancelled(totalEverMinted);
+    }
+
+    function extendDeadline(uint256 newTimestamp) external onlyGovernance {
+        if (isFinalized() || block.timestamp >= timestamp)
+            revert DeadlineExtensionNotAllowed();
+
+        (uint256 maxExtension, uint32 maxExtensions) = Factory(factory)
+            .getDeadlineExtensionLimits();
+        if (deadlineExtensions >= maxExtensions)
+            revert DeadlineExtensionNotAllowed();
+        if (newTimestamp <= timestamp || newTimestamp - timestamp > maxExtension)
+            revert InvalidDeadlineExtension();
+
+        emit DeadlineExtended(timestamp, newTimestamp);
+
+        timestamp = newTimestamp;
+        deadlineExtensions += 1;
+    }
+
+    function getCurrencies() external view returns (address[] memory) {
+        return _currencies;
+    }
+
+    function convertPrice(
+        address currency,
+        uint256 amount
+    ) public view returns (uint256) {
+        uint256 rate = currencyRates[currency];
+        if (rate == 0) revert CurrencyNotAccepted();
+
+        return (amount * rate) / RATE_PRECISION;
     }
 
     function getCurrentPriceToMint() public view virtual returns (uint256) {
-        if (totalEverMinted == 0) {
-            return startPrice;
-        } else {
-            return startPrice + (priceIncrement * totalEverMinted);
+        return getPriceToMint(1);
+    }
+
+    function getPriceToMint(
+        uint256 quantity
+    ) public view virtual returns (uint256) {
+        if (quantity == 0) return 0;
+
+        if (pricingCurve != address(0)) {
+            // Curves start with the public sale, after the allowlist window.
+            uint256 curveStart = allowlistEnd != 0 ? allowlistEnd : saleStart;
+            if (curveStart < startTimestamp) curveStart = startTimestamp;
+
+            return
+                IPricingCurve(pricingCurve).quote(
+                    pricingParams,
+                    totalEverMinted,
+                    quantity,
+                    curveStart,
+                    pricingEndTimestamp
+                );
         }
+
+        return
+            (startPrice * quantity) +
+            priceIncrement *
+            ((totalEverMinted * quantity) + (quantity * (quantity - 1)) / 2);
+    }
+
+    // Balances are checkpointed by timestamp. Only past timepoints can be
+    // looked up, since the balance can still change within the current block.
+    function getPastBalance(
+        address account,
+        uint256 timepoint
+    ) external view returns (uint256) {
+        if (timepoint >= block.timestamp) revert FutureLookup(timepoint);
+
+        return
+            CampaignLib.getPastCheckpoint(
+                _balanceCheckpoints[account],
+                timepoint
+            );
+    }
+
+    function getPastTotalSupply(
+        uint256 timepoint
+    ) external view returns (uint256) {
+        if (timepoint >= block.timestamp) revert FutureLookup(timepoint);
+
+        return
+            CampaignLib.getPastCheckpoint(_totalSupplyCheckpoints, timepoint);
+    }
+
+    function refundForfeited(uint256 tokenId) public view returns (bool) {
+        return holderByTokenId[tokenId].minter != address(0);
     }
 
     function getHolderByTokenId(
@@ -82,84 +461,587 @@ contract NFT is ERC721Enumerable {
         return holderByTokenId[tokenId];
     }
 
+    function getPerkTiersCount() external view returns (uint256) {
+        return _perkTiers.length;
+    }
+
+    function getPerkTier(
+        uint256 index
+    ) external view returns (Factory.PerkTier memory) {
+        return _perkTiers[index];
+    }
+
+    function getPerkTierIndex(
+        uint256 tokenId
+    ) public view returns (bool found, uint256 index) {
+        return
+            CampaignLib.getPerkTierIndex(
+                _perkTiers,
+                tokenId,
+                holderByTokenId[tokenId].mintPriceGross
+            );
+    }
+
+    function tokenURI(
+        uint256 tokenId
+    ) public view virtual override returns (string memory) {
+        _requireOwned(tokenId);
+
+        return
+            IMetadataRenderer(Factory(factory).metadataRenderer()).tokenURI(
+                address(this),
+                tokenId
+            );
+    }
+
     function mint() public virtual returns (uint256 tokenId) {
-        if (block.timestamp >= timestamp) revert MintingIsNotAllowed();
+        return _mintTokens(msg.sender, 1, type(uint256).max);
+    }
 
-        bytes32 hashed = keccak256(
-            abi.encodePacked(creator, block.timestamp, msg.sender)
-        );
-        tokenId = uint(hashed);
+    function mint(
+        uint256 maxPrice,
+        uint256 deadline
+    ) public virtual returns (uint256 tokenId) {
+        _checkDeadline(deadline);
 
-        uint256 mintPrice = getCurrentPriceToMint();
-        (address treasury, uint24 feePercentage) = Factory(factory)
-            .getPlatformFeeAndTreasury();
-        uint256 feeValue = (feePercentage * mintPrice) / 100;
-        uint256 mintPriceNet = mintPrice - feeValue;
+        return _mintTokens(msg.sender, 1, maxPrice);
+    }
 
-        IERC20(paymentToken).transferFrom(
-            msg.sender,
-            address(this),
-            mintPriceNet
-        );
-        IERC20(paymentToken).transferFrom(msg.sender, treasury, feeValue);
+    function mintBatch(
+        uint256 quantity,
+        uint256 maxTotalPrice
+    ) public virtual returns (uint256 firstTokenId) {
+        return _mintTokens(msg.sender, quantity, maxTotalPrice);
+    }
 
-        _mint(msg.sender, tokenId);
+    function mintBatch(
+        uint256 quantity,
+        uint256 maxTotalPrice,
+        uint256 deadline
+    ) public virtual returns (uint256 firstTokenId) {
+        _checkDeadline(deadline);
 
-        totalEverMinted += 1;
+        return _mintTokens(msg.sender, quantity, maxTotalPrice);
+    }
 
-        Holder memory holder = Holder(
-            mintPriceNet,
-            tokenId,
-            paymentToken,
-            mintPrice
-        );
+    function mintAllowlist(
+        uint256 quantity,
+        uint256 maxTotalPrice,
+        bytes32[] calldata proof
+    ) public virtual returns (uint256 firstTokenId) {
+        if (block.timestamp >= allowlistEnd) revert AllowlistSaleNotActive();
+        if (
+            !MerkleProof.verifyCalldata(
+                proof,
+                allowlistRoot,
+                keccak256(bytes.concat(keccak256(abi.encode(msg.sender))))
+            )
+        ) revert NotAllowlisted();
+        if (
+            allowlistQuota != 0 &&
+            allowlistMinted[msg.sender] + quantity > allowlistQuota
+        ) revert AllowlistQuotaExceeded();
+
+        allowlistMinted[msg.sender] += quantity;
+
+        return
+            _mintTokens(
+                msg.sender,
+                quantity,
+                maxTotalPrice,
+                true,
+                paymentToken
+            );
+    }
+
+    function mintWithCurrency(
+        address currency,
+        uint256 quantity,
+        uint256 maxTotalPrice
+    ) public payable virtual returns (uint256 firstTokenId) {
+        if (msg.value != (currency == NATIVE_CURRENCY ? maxTotalPrice : 0))
+            revert InvalidPayment();
+
+        return
+            _mintTokens(msg.sender, quantity, maxTotalPrice, false, currency);
+    }
+
+    function mintWithPermit(
+        uint256 quantity,
+        uint256 maxTotalPrice,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) public virtual returns (uint256 firstTokenId) {
+        _checkDeadline(deadline);
+
+        _permit(msg.sender, maxTotalPrice, deadline, v, r, s);
+
+        return _mintTokens(msg.sender, quantity, maxTotalPrice);
+    }
+
+    function mintWithSignature(
+        MintOrder calldata order,
+        bytes calldata signature
+    ) public virtual returns (uint256 firstTokenId) {
+        _useMintOrder(order, signature);
+
+        return _mintTokens(order.buyer, order.quantity, order.maxTotalPrice);
+    }
+
+    function mintWithSignatureAndPermit(
+        MintOrder calldata order,
+        bytes calldata signature,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) public virtual returns (uint256 firstTokenId) {
+        _useMintOrder(order, signature);
+        _permit(order.buyer, order.maxTotalPrice, order.deadline, v, r, s);
+
+        return _mintTokens(order.buyer, order.quantity, order.maxTotalPrice);
+    }
+
+    // Royalties are paid to the campaign's RoyaltySplitter, which shares them
+    // between the creator and the treasury.
+    function royaltyInfo(
+        uint256,
+        uint256 salePrice
+    ) external view returns (address receiver, uint256 royaltyAmount) {
+        return (royaltySplitter, (salePrice * royaltyFee) / FEE_DENOMINATOR);
+    }
+
+    function supportsInterface(
+        bytes4 interfaceId
+    ) public view virtual override(ERC721Enumerable, IERC165) returns (bool) {
+        return
+            interfaceId == type(IERC2981).interfaceId ||
+            super.supportsInterface(interfaceId);
+    }
+
+    function name() public view virtual override returns (string memory) {
+        return _campaignName;
+    }
 
-        holderByTokenId[tokenId] = holder;
-        withdrawalAmount = withdrawalAmount + mintPriceNet;
+    function symbol() public view virtual override returns (string memory) {
+        return _campaignSymbol;
+    }
 
-        emit Mint(msg.sender, tokenId);
+    function eip712Domain()
+        external
+        view
+        returns (
+            bytes1 fields,
+            string memory name_,
+            string memory version,
+            uint256 chainId,
+            address verifyingContract,
+            bytes32 salt,
+            uint256[] memory extensions
+        )
+    {
+        return (
+            hex"0f",
+            name(),
+            CampaignLib.EIP712_VERSION,
+            block.chainid,
+            address(this),
+            bytes32(0),
+            new uint256[](0)
+        );
+    }
+
+    function hashMintOrder(
+        MintOrder calldata order
+    ) external view returns (bytes32) {
+        return CampaignLib.hashMintOrder(_campaignName, order);
     }
 
     function burn(uint256 tokenId) public virtual {
-        if (ownerOf(tokenId) != msg.sender) revert OwnerIsNotSender();
-        if (block.timestamp < timestamp && totalEverMinted < minRequiredSales)
+        _checkOwner(tokenId);
+        if (_syncStatus() == CampaignStatus.Active)
             revert BurningIsNotAllowed();
 
         _burn(tokenId);
 
-        delete holderByTokenId[tokenId];
+        // A forfeited refund outlives the token, so the minter can still claim.
+        if (!refundForfeited(tokenId)) delete holderByTokenId[tokenId];
         emit Burn(msg.sender, tokenId);
     }
 
-    function claimRefund(uint256 tokenId) external {
-        if (ownerOf(tokenId) != msg.sender) revert OwnerIsNotSender();
-        if (block.timestamp < timestamp || totalEverMinted >= minRequiredSales)
-            revert ClaimingRefundIsNotAllowed();
+    function redeem(uint256 tokenId, bytes calldata data) external {
+        _checkOwner(tokenId);
+        if (redemptions[tokenId].status != RedemptionStatus.None)
+            revert TokenIsRedeemed();
+
+        if (!_syncSucceeded()) revert RedemptionNotAllowed();
+
+        redemptions[tokenId] = Redemption(
+            msg.sender,
+            RedemptionStatus.Requested
+        );
+
+        if (burnOnRedeem) _burn(tokenId);
+
+        emit RedemptionRequested(tokenId, msg.sender, data);
+    }
+
+    function acknowledgeRedemption(uint256 tokenId) external onlyCreator {
+        if (redemptions[tokenId].status != RedemptionStatus.Requested)
+            revert InvalidRedemptionStatus();
 
+        redemptions[tokenId].status = RedemptionStatus.Acknowledged;
+
+        emit RedemptionAcknowledged(tokenId);
+    }
+
+    function fulfillRedemption(uint256 tokenId) external onlyCreator {
+        RedemptionStatus redemptionStatus = redemptions[tokenId].status;
+        if (
+            redemptionStatus != RedemptionStatus.Requested &&
+            redemptionStatus != RedemptionStatus.Acknowledged
+        ) revert InvalidRedemptionStatus();
+
+        redemptions[tokenId].status = RedemptionStatus.Fulfilled;
+
+        emit RedemptionFulfilled(tokenId);
+    }
+
+    // The minter of a transferred token claims its forfeited refund without
+    // owning it. The token stays with its current owner.
+    function claimRefund(uint256 tokenId) external nonReentrant {
         Holder memory holder = holderByTokenId[tokenId];
+        bool forfeited = holder.minter != address(0);
+        if (!forfeited) _checkOwner(tokenId);
+        else if (msg.sender != holder.minter) revert RefundRightForfeited();
+        (uint24 releasedShare, bool milestoneRejected) = _milestoneRelease();
+        if (!milestoneRejected && _syncStatus() != CampaignStatus.Failed)
+            revert ClaimingRefundIsNotAllowed();
+        if (redemptions[tokenId].status != RedemptionStatus.None)
+            revert TokenIsRedeemed();
 
-        if (holder.mintPrice == 0) revert CannotRefundZero();
-        IERC20(holder.paymentToken).transfer(msg.sender, holder.mintPrice);
-        _burn(tokenId);
+        uint256 refundAmount = escrowPlatformFee
+            ? holder.mintPriceGross
+            : holder.mintPrice;
+        // After a rejected milestone the platform keeps its fee and the creator
+        // the released milestones, so only the rest of the price is returned.
+        if (milestoneRejected)
+            refundAmount =
+                (holder.mintPrice * (FEE_DENOMINATOR - releasedShare)) /
+                FEE_DENOMINATOR;
+
+        if (refundAmount == 0) revert CannotRefundZero();
+
+        // Clearing the record leaves nothing to claim for anyone.
+        if (forfeited) delete holderByTokenId[tokenId];
+        else _burn(tokenId);
 
         emit ClaimRefund(msg.sender, tokenId);
+
+        _transferOut(holder.paymentToken, msg.sender, refundAmount);
     }
 
-    function withdrawCreatorsFunds() external {
-        if (msg.sender != creator) revert CallerIsNotCreator();
-        if (block.timestamp < timestamp && totalEverMinted < minRequiredSales)
-            revert WithdrawalNotAllowed();
+    function withdrawCreatorsFunds() external onlyCreator nonReentrant {
+        if (!_syncSucceeded()) revert WithdrawalNotAllowed();
+
+        if (isFinalized()) _releasePlatformFees();
+
+        // With milestones the creator can only take the released share of
+        // everything raised, less what was already withdrawn.
+        (uint24 releasedShare, ) = _milestoneRelease();
+
+        for (uint256 i = 0; i < _currencies.length; i++) {
+            address currency = _currencies[i];
+            uint256 earned = totalEarnedByCreator[currency];
+            uint256 amount = ((withdrawalAmount[currency] + earned) *
+                releasedShare) /
+                FEE_DENOMINATOR -
+                earned;
+            if (amount == 0) continue;
+
+            withdrawalAmount[currency] -= amount;
+            totalEarnedByCreator[currency] += amount;
+
+            emit WithdrawCreatorsFunds(msg.sender, currency, amount);
+
+            _transferOut(currency, creator, amount);
+        }
+    }
+
+    // A succeeded campaign can still be cancelled and then refunds the gross
+    // price, so escrowed fees only leave once the campaign is finalized.
+    function releasePlatformFees() external nonReentrant {
+        if (_syncStatus() != CampaignStatus.Finalized)
+            revert PlatformFeeReleaseNotAllowed();
+
+        _releasePlatformFees();
+    }
 
-        IERC20(paymentToken).transfer(creator, withdrawalAmount);
+    // Redeemed tokens stay with the redeemer as souvenirs and can only be burned.
+    function _update(
+        address to,
+        uint256 tokenId,
+        address auth
+    ) internal virtual override returns (address from) {
+        if (
+            to != address(0) &&
+            redemptions[tokenId].status != RedemptionStatus.None
+        ) revert TokenIsRedeemed();
 
-        totalEarnedByCreator += withdrawalAmount;
+        from = super._update(to, tokenId, auth);
 
-        emit WithdrawCreatorsFunds(msg.sender, withdrawalAmount);
+        if (from != address(0))
+            CampaignLib.checkpoint(_balanceCheckpoints[from], balanceOf(from));
+        if (to != address(0))
+            CampaignLib.checkpoint(_balanceCheckpoints[to], balanceOf(to));
+        if (from == address(0) || to == address(0))
+            CampaignLib.checkpoint(_totalSupplyCheckpoints, totalSupply());
 
-        withdrawalAmount = 0;
+        if (from != address(0) && to != address(0))
+            _applyTransferPolicy(from, to, tokenId);
     }
 
-    function _baseURI() internal view virtual override returns (string memory) {
-        return Factory(factory).getBaseUri();
+    // Only transfers between holders are subject to the policy, not mints or
+    // burns.
+    function _applyTransferPolicy(
+        address from,
+        address to,
+        uint256 tokenId
+    ) internal {
+        if (transferPolicy == TransferPolicy.RefundRight) {
+            emit RefundRightTransferred(tokenId, from, to);
+        } else {
+            if (transferPolicy == TransferPolicy.Soulbound && !_syncSucceeded())
+                revert TransfersLocked();
+
+            Holder storage holder = holderByTokenId[tokenId];
+            if (holder.minter == address(0)) holder.minter = from;
+
+            emit RefundForfeited(tokenId, from);
+        }
+    }
+
+    function _milestoneRelease()
+        internal
+        view
+        returns (uint24 releasedShare, bool rejected)
+    {
+        return Factory(factory).getMilestoneRelease(address(this));
+    }
+
+    function _syncStatus() internal returns (CampaignStatus) {
+        if (!isFinalized() && block.timestamp >= timestamp) _finalize();
+
+        return status();
+    }
+
+    function _syncSucceeded() internal returns (bool) {
+        CampaignStatus currentStatus = _syncStatus();
+
+        return
+            currentStatus == CampaignStatus.Succeeded ||
+            currentStatus == CampaignStatus.Finalized;
+    }
+
+    function _finalize() internal {
+        if (totalEverMinted >= minRequiredSales) {
+            _finalStatus = CampaignStatus.Finalized;
+
+            emit CampaignSucceeded(totalEverMinted, totalRaised);
+        } else {
+            _finalStatus = CampaignStatus.Failed;
+
+            emit CampaignFailed(totalEverMinted, minRequiredSales);
+        }
+    }
+
+    function _useMintOrder(
+        MintOrder calldata order,
+        bytes calldata signature
+    ) internal {
+        _checkDeadline(order.deadline);
+        if (
+            !CampaignLib.isValidMintOrder(_campaignName, order, signature)
+        ) revert InvalidSignature();
+
+        _useCheckedNonce(order.buyer, order.nonce);
+
+        emit MintOrderExecuted(order.buyer, msg.sender, order.nonce);
+    }
+
+    function _permit(
+        address owner,
+        uint256 value,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) internal {
+        // A front-run permit consumes the signature but still sets the allowance,
+        // so a failure here is left for transferFrom to surface.
+        try
+            IERC20Permit(paymentToken).permit(
+                owner,
+                address(this),
+                value,
+                deadline,
+                v,
+                r,
+                s
+            )
+        {} catch {}
+    }
+
+    // Public sale mints paid in paymentToken.
+    function _mintTokens(
+        address to,
+        uint256 quantity,
+        uint256 maxTotalPrice
+    ) internal returns (uint256 firstTokenId) {
+        return _mintTokens(to, quantity, maxTotalPrice, false, paymentToken);
+    }
+
+    function _mintTokens(
+        address to,
+        uint256 quantity,
+        uint256 maxTotalPrice,
+        bool allowlisted,
+        address currency
+    ) internal nonReentrant returns (uint256 firstTokenId) {
+        CampaignStatus currentStatus = status();
+        if (
+            currentStatus != CampaignStatus.Active &&
+            currentStatus != CampaignStatus.Succeeded
+        ) revert MintingIsNotAllowed();
+        _requireNotPaused();
+        if (Factory(factory).paused()) revert PlatformPaused();
+        if (block.timestamp < saleStart) revert SaleNotStarted();
+        if (!allowlisted && block.timestamp < allowlistEnd)
+            revert AllowlistSaleOnly();
+        if (quantity == 0) revert InvalidQuantity();
+        if (maxSupply != 0 && totalEverMinted + quantity > maxSupply)
+            revert MaxSupplyExceeded();
+        if (maxPerWallet != 0 && mintedByWallet[to] + quantity > maxPerWallet)
+            revert WalletLimitExceeded();
+
+        mintedByWallet[to] += quantity;
+
+        uint256 totalPrice;
+        uint256 totalNet;
+        firstTokenId = totalEverMinted + 1;
+
+        for (uint256 i = 0; i < quantity; i++) {
+            uint256 basePrice = allowlisted
+                ? allowlistPrice
+                : getCurrentPriceToMint();
+            uint256 mintPrice = convertPrice(currency, basePrice);
+            uint256 feeValue = (mintPrice * platformFee) / FEE_DENOMINATOR;
+            uint256 mintPriceNet = mintPrice - feeValue;
+
+            totalEverMinted += 1;
+            uint256 tokenId = totalEverMinted;
+
+            _mint(to, tokenId);
+
+            holderByTokenId[tokenId] = Holder(
+                mintPriceNet,
+                tokenId,
+                currency,
+                mintPrice,
+                address(0)
+            );
+            totalRaised += basePrice;
+            totalPrice += mintPrice;
+            totalNet += mintPriceNet;
+
+            emit Mint(to, tokenId);
+        }
+
+        if (totalPrice > maxTotalPrice)
+            revert PriceAboveMaximum(totalPrice, maxTotalPrice);
+
+        if (closeOnSellOut && isSoldOut()) _finalize();
+
+        uint256 totalFee = totalPrice - totalNet;
+        uint256 expected = escrowPlatformFee ? totalPrice : totalNet;
+        uint256 received = currency == NATIVE_CURRENCY
+            ? expected
+            : _transferIn(currency, to, expected);
+
+        // Tokens that take a fee on transfer deliver less than was charged, so
+        // the tokens of this mint are only credited with what actually arrived.
+        if (received < expected) {
+            for (uint256 i = 0; i < quantity; i++) {
+                Holder storage holder = holderByTokenId[firstTokenId + i];
+                holder.mintPrice = (holder.mintPrice * received) / expected;
+                if (escrowPlatformFee)
+                    holder.mintPriceGross =
+                        (holder.mintPriceGross * received) /
+                        expected;
+            }
+            if (escrowPlatformFee) {
+                totalFee = (totalFee * received) / expected;
+                totalNet = received - totalFee;
+            } else {
+                totalNet = received;
+            }
+        }
+
+        withdrawalAmount[currency] += totalNet;
+        if (escrowPlatformFee) escrowedPlatformFees[currency] += totalFee;
+
+        if (currency == NATIVE_CURRENCY) {
+            if (!escrowPlatformFee)
+                _transferOut(currency, Factory(factory).treasury(), totalFee);
+            if (msg.value > totalPrice)
+                _transferOut(currency, to, msg.value - totalPrice);
+        } else if (!escrowPlatformFee) {
+            IERC20(currency).safeTransferFrom(
+                to,
+                Factory(factory).treasury(),
+                totalFee
+            );
+        }
+    }
+
+    function _releasePlatformFees() internal {
+        address treasury = Factory(factory).treasury();
+
+        for (uint256 i = 0; i < _currencies.length; i++) {
+            address currency = _currencies[i];
+            uint256 amount = escrowedPlatformFees[currency];
+            if (amount == 0) continue;
+
+            escrowedPlatformFees[currency] = 0;
+
+            emit PlatformFeesReleased(treasury, currency, amount);
+
+            _transferOut(currency, treasury, amount);
+        }
+    }
+
+    function _transferIn(
+        address currency,
+        address from,
+        uint256 amount
+    ) internal returns (uint256 received) {
+        uint256 balanceBefore = IERC20(currency).balanceOf(address(this));
+        IERC20(currency).safeTransferFrom(from, address(this), amount);
+
+        return IERC20(currency).balanceOf(address(this)) - balanceBefore;
+    }
+
+    function _transferOut(
+        address currency,
+        address to,
+        uint256 amount
+    ) internal {
+        if (currency == NATIVE_CURRENCY) {
+            (bool success, ) = to.call{value: amount}("");
+            if (!success) revert NativeTransferFailed();
+        } else {
+            IERC20(currency).safeTransfer(to, amount);
+        }
     }
 }
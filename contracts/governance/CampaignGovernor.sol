@@ -0,0 +1,194 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "../Factory.sol";
+import "../NFT.sol";
+
+// Lets the holders of governed campaigns vote on their creator's proposals.
+// Every token held at the snapshot, just before the proposal opened, is one
+// vote, so tokens bought afterwards cannot vote on it.
+contract CampaignGovernor {
+    error NotACampaign();
+    error CampaignNotGoverned();
+    error CallerIsNotCreator();
+    error InvalidProposal();
+    error VotingClosed();
+    error AlreadyVoted();
+    error NoVotingPower();
+    error ExecutionNotAllowed();
+
+    event ProposalCreated(
+        uint256 indexed proposalId,
+        address indexed campaign,
+        ProposalAction action,
+        uint256 newTimestamp,
+        uint256 snapshot,
+        uint256 voteEnd,
+        uint256 quorum
+    );
+    event VoteCast(
+        uint256 indexed proposalId,
+        address indexed voter,
+        bool support,
+        uint256 weight
+    );
+    event ProposalExecuted(uint256 indexed proposalId, bool approved);
+
+    enum ProposalAction {
+        MilestoneRelease,
+        DeadlineExtension,
+        Cancellation
+    }
+
+    // Expired covers proposals that missed the quorum or ended in a tie.
+    enum ProposalState {
+        Active,
+        Succeeded,
+        Defeated,
+        Expired,
+        Executed
+    }
+
+    struct Proposal {
+        address campaign;
+        ProposalAction action;
+        uint256 newTimestamp;
+        uint256 milestone;
+        uint256 snapshot;
+        uint256 voteEnd;
+        uint256 quorum;
+        uint256 forVotes;
+        uint256 againstVotes;
+        bool executed;
+    }
+
+    Factory public immutable factory;
+
+    Proposal[] private _proposals;
+
+    mapping(uint256 => mapping(address => bool)) public hasVoted;
+
+    constructor(address factory_) {
+        factory = Factory(factory_);
+    }
+
+    // newTimestamp is only used by deadline extensions. Milestone releases are
+    // for the campaign's current milestone.
+    function propose(
+        address campaign,
+        ProposalAction action,
+        uint256 newTimestamp
+    ) external returns (uint256 proposalId) {
+        if (!factory.isCampaign(campaign)) revert NotACampaign();
+
+        NFT nft = NFT(campaign);
+        if (nft.governor() != address(this)) revert CampaignNotGoverned();
+        if (msg.sender != nft.creator()) revert CallerIsNotCreator();
+
+        (uint256 votingPeriod, uint24 votingQuorum) = factory
+            .getVotingSettings();
+
+        proposalId = _proposals.length;
+        Proposal storage proposal = _proposals.push();
+        proposal.campaign = campaign;
+        proposal.action = action;
+        proposal.newTimestamp = newTimestamp;
+        if (action == ProposalAction.MilestoneRelease)
+            proposal.milestone = factory.getMilestones(campaign).released;
+        proposal.snapshot = block.timestamp - 1;
+        proposal.voteEnd = block.timestamp + votingPeriod;
+        proposal.quorum =
+            (nft.getPastTotalSupply(proposal.snapshot) * votingQuorum) /
+            factory.FEE_DENOMINATOR();
+
+        emit ProposalCreated(
+            proposalId,
+            campaign,
+            action,
+            newTimestamp,
+            proposal.snapshot,
+            proposal.voteEnd,
+            proposal.quorum
+        );
+    }
+
+    function castVote(uint256 proposalId, bool support) external {
+        if (state(proposalId) != ProposalState.Active) revert VotingClosed();
+        if (hasVoted[proposalId][msg.sender]) revert AlreadyVoted();
+
+        Proposal storage proposal = _proposals[proposalId];
+        uint256 weight = NFT(proposal.campaign).getPastBalance(
+            msg.sender,
+            proposal.snapshot
+        );
+        if (weight == 0) revert NoVotingPower();
+
+        hasVoted[proposalId][msg.sender] = true;
+        if (support) proposal.forVotes += weight;
+        else proposal.againstVotes += weight;
+
+        emit VoteCast(proposalId, msg.sender, support, weight);
+    }
+
+    // Anyone can execute a proposal once voting has ended. A milestone
+    // release that the holders voted down rejects the milestone, which opens
+    // refunds of the funds that were not released yet.
+    function execute(uint256 proposalId) external {
+        ProposalState currentState = state(proposalId);
+        Proposal storage proposal = _proposals[proposalId];
+        bool approved = currentState == ProposalState.Succeeded;
+        if (
+            !approved &&
+            (currentState != ProposalState.Defeated ||
+                proposal.action != ProposalAction.MilestoneRelease)
+        ) revert ExecutionNotAllowed();
+        // A vote on a milestone that was settled since cannot carry over to
+        // the next one.
+        if (
+            proposal.action == ProposalAction.MilestoneRelease &&
+            factory.getMilestones(proposal.campaign).released !=
+            proposal.milestone
+        ) revert ExecutionNotAllowed();
+
+        proposal.executed = true;
+
+        emit ProposalExecuted(proposalId, approved);
+
+        if (proposal.action == ProposalAction.MilestoneRelease) {
+            if (approved) factory.approveMilestone(proposal.campaign);
+            else factory.rejectMilestone(proposal.campaign);
+        } else if (proposal.action == ProposalAction.DeadlineExtension) {
+            NFT(proposal.campaign).extendDeadline(proposal.newTimestamp);
+        } else {
+            NFT(proposal.campaign).cancel();
+        }
+    }
+
+    function state(uint256 proposalId) public view returns (ProposalState) {
+        if (proposalId >= _proposals.length) revert InvalidProposal();
+
+        Proposal storage proposal = _proposals[proposalId];
+        if (proposal.executed) return ProposalState.Executed;
+        if (block.timestamp < proposal.voteEnd) return ProposalState.Active;
+        if (proposal.forVotes + proposal.againstVotes < proposal.quorum)
+            return ProposalState.Expired;
+        if (proposal.forVotes > proposal.againstVotes)
+            return ProposalState.Succeeded;
+        if (proposal.againstVotes > proposal.forVotes)
+            return ProposalState.Defeated;
+
+        return ProposalState.Expired;
+    }
+
+    function getProposal(
+        uint256 proposalId
+    ) external view returns (Proposal memory) {
+        if (proposalId >= _proposals.length) revert InvalidProposal();
+
+        return _proposals[proposalId];
+    }
+
+    function getProposalsCount() external view returns (uint256) {
+        return _proposals.length;
+    }
+}
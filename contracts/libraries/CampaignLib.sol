@@ -0,0 +1,101 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+import "@openzeppelin/contracts/utils/structs/Checkpoints.sol";
+
+import "../Factory.sol";
+import "../NFT.sol";
+
+// Helpers of NFT that are linked into the implementation instead of compiled
+// into it, to keep it below the contract size limit. They are delegatecalled,
+// so address(this) and any storage passed in belong to the campaign.
+library CampaignLib {
+    using Checkpoints for Checkpoints.Trace208;
+
+    bytes32 private constant EIP712_DOMAIN_TYPEHASH =
+        keccak256(
+            "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+        );
+    string internal constant EIP712_VERSION = "1";
+
+    bytes32 internal constant MINT_ORDER_TYPEHASH =
+        keccak256(
+            "MintOrder(address buyer,uint256 quantity,uint256 maxTotalPrice,uint256 nonce,uint256 deadline)"
+        );
+
+    // OpenZeppelin's EIP712 keeps the domain name in immutables, which clones
+    // share with the implementation, so the domain is built from the
+    // campaign's name in storage here.
+    function hashMintOrder(
+        string storage name,
+        NFT.MintOrder calldata order
+    ) public view returns (bytes32) {
+        bytes32 domainSeparator = keccak256(
+            abi.encode(
+                EIP712_DOMAIN_TYPEHASH,
+                keccak256(bytes(name)),
+                keccak256(bytes(EIP712_VERSION)),
+                block.chainid,
+                address(this)
+            )
+        );
+
+        return
+            MessageHashUtils.toTypedDataHash(
+                domainSeparator,
+                keccak256(
+                    abi.encode(
+                        MINT_ORDER_TYPEHASH,
+                        order.buyer,
+                        order.quantity,
+                        order.maxTotalPrice,
+                        order.nonce,
+                        order.deadline
+                    )
+                )
+            );
+    }
+
+    function isValidMintOrder(
+        string storage name,
+        NFT.MintOrder calldata order,
+        bytes calldata signature
+    ) external view returns (bool) {
+        return
+            SignatureChecker.isValidSignatureNow(
+                order.buyer,
+                hashMintOrder(name, order),
+                signature
+            );
+    }
+
+    function getPerkTierIndex(
+        Factory.PerkTier[] storage perkTiers,
+        uint256 tokenId,
+        uint256 mintPriceGross
+    ) external view returns (bool found, uint256 index) {
+        for (uint256 i = 0; i < perkTiers.length; i++) {
+            Factory.PerkTier storage tier = perkTiers[i];
+            if (
+                (tier.maxPosition == 0 || tokenId <= tier.maxPosition) &&
+                mintPriceGross >= tier.minPrice
+            ) return (true, i);
+        }
+    }
+
+    function getPastCheckpoint(
+        Checkpoints.Trace208 storage checkpoints,
+        uint256 timepoint
+    ) external view returns (uint256) {
+        return checkpoints.upperLookup(uint48(timepoint));
+    }
+
+    function checkpoint(
+        Checkpoints.Trace208 storage checkpoints,
+        uint256 value
+    ) external {
+        checkpoints.push(uint48(block.timestamp), uint208(value));
+    }
+}
@@ -0,0 +1,9 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+interface IMetadataRenderer {
+    function tokenURI(
+        address campaign,
+        uint256 tokenId
+    ) external view returns (string memory);
+}
@@ -0,0 +1,94 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+
+import "./IMetadataRenderer.sol";
+import "../Factory.sol";
+import "../NFT.sol";
+
+// Resolution order: perk tier uri, campaign metadataUri + tokenId,
+// Factory baseUri + campaign address + "/" + tokenId, then on-chain JSON.
+contract MetadataRenderer is IMetadataRenderer {
+    using Strings for uint256;
+    using Strings for address;
+
+    function tokenURI(
+        address campaign,
+        uint256 tokenId
+    ) external view returns (string memory) {
+        NFT nft = NFT(campaign);
+
+        (bool hasPerkTier, uint256 perkTierIndex) = nft.getPerkTierIndex(
+            tokenId
+        );
+        Factory.PerkTier memory perkTier;
+        if (hasPerkTier) {
+            perkTier = nft.getPerkTier(perkTierIndex);
+            if (bytes(perkTier.uri).length > 0) return perkTier.uri;
+        }
+
+        string memory metadataUri = nft.metadataUri();
+        if (bytes(metadataUri).length > 0)
+            return string.concat(metadataUri, tokenId.toString());
+
+        string memory baseUri = Factory(nft.factory()).getBaseUri();
+        if (bytes(baseUri).length > 0)
+            return
+                string.concat(
+                    baseUri,
+                    campaign.toHexString(),
+                    "/",
+                    tokenId.toString()
+                );
+
+        return
+            string.concat(
+                "data:application/json;base64,",
+                Base64.encode(bytes(_renderJson(nft, tokenId, perkTier.name)))
+            );
+    }
+
+    function _renderJson(
+        NFT nft,
+        uint256 tokenId,
+        string memory perkName
+    ) internal view returns (string memory) {
+        string memory campaignName = Strings.escapeJSON(nft.name());
+        NFT.Holder memory holder = nft.getHolderByTokenId(tokenId);
+
+        return
+            string.concat(
+                '{"name":"',
+                campaignName,
+                " #",
+                tokenId.toString(),
+                '","description":"',
+                campaignName,
+                ' perk NFT","attributes":[{"trait_type":"Campaign","value":"',
+                campaignName,
+                '"},{"trait_type":"Mint Order","display_type":"number","value":',
+                tokenId.toString(),
+                '},{"trait_type":"Mint Price","display_type":"number","value":',
+                holder.mintPriceGross.toString(),
+                '},{"trait_type":"Perk","value":"',
+                Strings.escapeJSON(perkName),
+                '"},{"trait_type":"Redeemed","value":"',
+                _redemptionStatusName(nft, tokenId),
+                '"}]}'
+            );
+    }
+
+    function _redemptionStatusName(
+        NFT nft,
+        uint256 tokenId
+    ) internal view returns (string memory) {
+        (, NFT.RedemptionStatus status) = nft.redemptions(tokenId);
+
+        if (status == NFT.RedemptionStatus.Requested) return "Requested";
+        if (status == NFT.RedemptionStatus.Acknowledged) return "Acknowledged";
+        if (status == NFT.RedemptionStatus.Fulfilled) return "Fulfilled";
+        return "No";
+    }
+}
@@ -0,0 +1,51 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+// Returns false instead of reverting while failTransfers is set.
+contract MockFalseReturnToken is ERC20 {
+    uint8 private _decimals;
+
+    bool public failTransfers;
+
+    constructor(
+        string memory name_,
+        string memory symbol_,
+        uint8 decimals_
+    ) ERC20(name_, symbol_) {
+        _decimals = decimals_;
+        _mint(msg.sender, 1000000 * 10 ** decimals_);
+    }
+
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+
+    function setFailTransfers(bool failTransfers_) external {
+        failTransfers = failTransfers_;
+    }
+
+    function decimals() public view virtual override returns (uint8) {
+        return _decimals;
+    }
+
+    function transfer(
+        address to,
+        uint256 value
+    ) public virtual override returns (bool) {
+        if (failTransfers) return false;
+
+        return super.transfer(to, value);
+    }
+
+    function transferFrom(
+        address from,
+        address to,
+        uint256 value
+    ) public virtual override returns (bool) {
+        if (failTransfers) return false;
+
+        return super.transferFrom(from, to, value);
+    }
+}
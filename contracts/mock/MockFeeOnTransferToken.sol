@@ -0,0 +1,44 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+// Burns feeBps of every transfer, so recipients get less than was sent.
+contract MockFeeOnTransferToken is ERC20 {
+    uint8 private _decimals;
+
+    uint256 public feeBps;
+
+    constructor(
+        string memory name_,
+        string memory symbol_,
+        uint8 decimals_,
+        uint256 feeBps_
+    ) ERC20(name_, symbol_) {
+        _decimals = decimals_;
+        feeBps = feeBps_;
+        _mint(msg.sender, 1000000 * 10 ** decimals_);
+    }
+
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+
+    function decimals() public view virtual override returns (uint8) {
+        return _decimals;
+    }
+
+    function _update(
+        address from,
+        address to,
+        uint256 value
+    ) internal virtual override {
+        if (from != address(0) && to != address(0)) {
+            uint256 fee = (value * feeBps) / 10_000;
+            super._update(from, address(0), fee);
+            value -= fee;
+        }
+
+        super._update(from, to, value);
+    }
+}
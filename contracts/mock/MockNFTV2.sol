@@ -0,0 +1,11 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "../NFT.sol";
+
+// Stands in for a new NFT release in the implementation registry tests.
+contract MockNFTV2 is NFT {
+    function version() external pure returns (uint256) {
+        return 2;
+    }
+}
@@ -2,15 +2,16 @@
 pragma solidity ^0.8.28;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
 
-contract MockPYUSD is ERC20 {
+contract MockPYUSD is ERC20Permit {
     uint8 private _decimals;
 
     constructor(
         string memory name_,
         string memory symbol_,
         uint8 decimals_
-    ) ERC20(name_, symbol_) {
+    ) ERC20(name_, symbol_) ERC20Permit(name_) {
         _decimals = decimals_;
         _mint(msg.sender, 1000000 * 10 ** decimals_);
     }
@@ -0,0 +1,75 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+// Malicious payment token: once armed with setReentry, the next transfer or
+// ETH payment it receives calls back into the target, like an ERC777 hook.
+contract MockReentrantToken is ERC20 {
+    address public reentryTarget;
+    bytes public reentryData;
+
+    constructor(
+        string memory name_,
+        string memory symbol_
+    ) ERC20(name_, symbol_) {
+        _mint(msg.sender, 1000000 * 10 ** decimals());
+    }
+
+    receive() external payable {
+        _reenter();
+    }
+
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+
+    function decimals() public view virtual override returns (uint8) {
+        return 6;
+    }
+
+    function setReentry(address target, bytes calldata data) external {
+        reentryTarget = target;
+        reentryData = data;
+    }
+
+    // Lets the token act as a buyer or creator so reentrant calls come from
+    // an account that is allowed to make them.
+    function execute(
+        address target,
+        bytes calldata data
+    ) external payable returns (bytes memory) {
+        (bool success, bytes memory result) = target.call{value: msg.value}(
+            data
+        );
+        if (!success) _bubble(result);
+
+        return result;
+    }
+
+    function _update(
+        address from,
+        address to,
+        uint256 value
+    ) internal virtual override {
+        super._update(from, to, value);
+
+        _reenter();
+    }
+
+    function _reenter() internal {
+        address target = reentryTarget;
+        if (target == address(0)) return;
+
+        reentryTarget = address(0);
+
+        (bool success, bytes memory result) = target.call(reentryData);
+        if (!success) _bubble(result);
+    }
+
+    function _bubble(bytes memory result) internal pure {
+        assembly {
+            revert(add(result, 32), mload(result))
+        }
+    }
+}
@@ -0,0 +1,49 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "./IPricingCurve.sol";
+
+// params: abi.encode(uint256 startPrice, uint256 floorPrice)
+// Every token costs the same at a given moment. The price falls linearly from
+// startPrice when the public sale opens to floorPrice at the campaign
+// timestamp.
+contract DutchAuctionPricingCurve is IPricingCurve {
+    error FloorAboveStartPrice();
+
+    function validateParams(bytes calldata params) external pure {
+        (uint256 startPrice, uint256 floorPrice) = abi.decode(
+            params,
+            (uint256, uint256)
+        );
+
+        if (floorPrice > startPrice) revert FloorAboveStartPrice();
+    }
+
+    function quote(
+        bytes calldata params,
+        uint256,
+        uint256 quantity,
+        uint256 startTimestamp,
+        uint256 endTimestamp
+    ) external view returns (uint256 totalPrice) {
+        (uint256 startPrice, uint256 floorPrice) = abi.decode(
+            params,
+            (uint256, uint256)
+        );
+
+        uint256 price;
+        if (block.timestamp <= startTimestamp) {
+            price = startPrice;
+        } else if (block.timestamp >= endTimestamp) {
+            price = floorPrice;
+        } else {
+            price =
+                startPrice -
+                ((startPrice - floorPrice) *
+                    (block.timestamp - startTimestamp)) /
+                (endTimestamp - startTimestamp);
+        }
+
+        totalPrice = price * quantity;
+    }
+}
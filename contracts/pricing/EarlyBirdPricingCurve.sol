@@ -0,0 +1,64 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "./IPricingCurve.sol";
+
+// params: abi.encode(
+//     uint256 price,
+//     uint256 discountBps,
+//     uint256 earlyBirdQuantity,
+//     uint256 earlyBirdEnd
+// )
+// The first earlyBirdQuantity tokens minted before earlyBirdEnd get discountBps
+// off the price. A zero earlyBirdQuantity means no quantity limit and a zero
+// earlyBirdEnd means no time limit.
+contract EarlyBirdPricingCurve is IPricingCurve {
+    error InvalidDiscount();
+    error InvalidEarlyBirdWindow();
+
+    function validateParams(bytes calldata params) external pure {
+        (
+            ,
+            uint256 discountBps,
+            uint256 earlyBirdQuantity,
+            uint256 earlyBirdEnd
+        ) = abi.decode(params, (uint256, uint256, uint256, uint256));
+
+        if (discountBps > 10_000) revert InvalidDiscount();
+        if (earlyBirdQuantity == 0 && earlyBirdEnd == 0)
+            revert InvalidEarlyBirdWindow();
+    }
+
+    function quote(
+        bytes calldata params,
+        uint256 totalEverMinted,
+        uint256 quantity,
+        uint256,
+        uint256
+    ) external view returns (uint256 totalPrice) {
+        (
+            uint256 price,
+            uint256 discountBps,
+            uint256 earlyBirdQuantity,
+            uint256 earlyBirdEnd
+        ) = abi.decode(params, (uint256, uint256, uint256, uint256));
+
+        uint256 discounted;
+        if (earlyBirdEnd == 0 || block.timestamp < earlyBirdEnd) {
+            if (earlyBirdQuantity == 0) {
+                discounted = quantity;
+            } else if (totalEverMinted < earlyBirdQuantity) {
+                discounted = earlyBirdQuantity - totalEverMinted;
+                if (discounted > quantity) discounted = quantity;
+            }
+        }
+
+        uint256 discountedPrice = price - (price * discountBps) / 10_000;
+
+        totalPrice =
+            discounted *
+            discountedPrice +
+            (quantity - discounted) *
+            price;
+    }
+}
@@ -0,0 +1,52 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "./IPricingCurve.sol";
+
+// params: abi.encode(uint256 startPrice, uint256 growthBps)
+// The price of the n-th token (0-based) is
+// startPrice * (1 + growthBps / 10000) ^ n, computed in 18-decimal fixed point
+// and rounded down to the token's smallest unit.
+contract ExponentialPricingCurve is IPricingCurve {
+    error InvalidGrowth();
+
+    uint256 public constant WAD = 1e18;
+    uint256 public constant MAX_GROWTH_BPS = 10_000;
+
+    function validateParams(bytes calldata params) external pure {
+        (, uint256 growthBps) = abi.decode(params, (uint256, uint256));
+
+        if (growthBps > MAX_GROWTH_BPS) revert InvalidGrowth();
+    }
+
+    function quote(
+        bytes calldata params,
+        uint256 totalEverMinted,
+        uint256 quantity,
+        uint256,
+        uint256
+    ) external pure returns (uint256 totalPrice) {
+        (uint256 startPrice, uint256 growthBps) = abi.decode(
+            params,
+            (uint256, uint256)
+        );
+
+        uint256 factor = WAD + (growthBps * WAD) / 10_000;
+
+        for (uint256 i = 0; i < quantity; i++) {
+            totalPrice +=
+                (startPrice * _rpow(factor, totalEverMinted + i)) /
+                WAD;
+        }
+    }
+
+    function _rpow(uint256 x, uint256 n) internal pure returns (uint256 z) {
+        z = n % 2 != 0 ? x : WAD;
+
+        for (n /= 2; n != 0; n /= 2) {
+            x = (x * x + WAD / 2) / WAD;
+
+            if (n % 2 != 0) z = (z * x + WAD / 2) / WAD;
+        }
+    }
+}
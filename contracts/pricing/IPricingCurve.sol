@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+interface IPricingCurve {
+    function validateParams(bytes calldata params) external view;
+
+    function quote(
+        bytes calldata params,
+        uint256 totalEverMinted,
+        uint256 quantity,
+        uint256 startTimestamp,
+        uint256 endTimestamp
+    ) external view returns (uint256 totalPrice);
+}
@@ -0,0 +1,56 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "./IPricingCurve.sol";
+
+// params: abi.encode(uint256[] thresholds, uint256[] prices)
+// prices[i] applies to mint positions below thresholds[i], the last price has
+// no upper bound. A single price with no thresholds gives flat pricing.
+contract TieredPricingCurve is IPricingCurve {
+    error InvalidTiers();
+
+    function validateParams(bytes calldata params) external pure {
+        (uint256[] memory thresholds, uint256[] memory prices) = abi.decode(
+            params,
+            (uint256[], uint256[])
+        );
+
+        if (prices.length != thresholds.length + 1) revert InvalidTiers();
+
+        for (uint256 i = 0; i < thresholds.length; i++) {
+            if (
+                i == 0
+                    ? thresholds[i] == 0
+                    : thresholds[i] <= thresholds[i - 1]
+            ) revert InvalidTiers();
+        }
+    }
+
+    function quote(
+        bytes calldata params,
+        uint256 totalEverMinted,
+        uint256 quantity,
+        uint256,
+        uint256
+    ) external pure returns (uint256 totalPrice) {
+        (uint256[] memory thresholds, uint256[] memory prices) = abi.decode(
+            params,
+            (uint256[], uint256[])
+        );
+
+        uint256 position = totalEverMinted;
+        uint256 end = totalEverMinted + quantity;
+
+        for (uint256 i = 0; i < prices.length && position < end; i++) {
+            uint256 tierEnd = i < thresholds.length
+                ? thresholds[i]
+                : type(uint256).max;
+
+            if (position < tierEnd) {
+                uint256 upTo = end < tierEnd ? end : tierEnd;
+                totalPrice += (upTo - position) * prices[i];
+                position = upTo;
+            }
+        }
+    }
+}
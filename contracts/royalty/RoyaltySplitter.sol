@@ -0,0 +1,70 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuardTransient.sol";
+
+import "../Factory.sol";
+import "../NFT.sol";
+
+// Receives the secondary-sale royalties of one campaign. The treasury gets
+// the campaign's platform fee share of every release and the creator the rest.
+contract RoyaltySplitter is Initializable, ReentrancyGuardTransient {
+    using SafeERC20 for IERC20;
+
+    error NothingToRelease();
+    error NativeTransferFailed();
+
+    event RoyaltiesReleased(
+        address indexed token,
+        uint256 creatorAmount,
+        uint256 treasuryAmount
+    );
+
+    address public constant NATIVE_CURRENCY = address(0);
+
+    address public campaign;
+
+    // Splitters are clones of this contract, deployed by the Factory.
+    constructor() {
+        _disableInitializers();
+    }
+
+    function initialize(address campaign_) external initializer {
+        campaign = campaign_;
+    }
+
+    receive() external payable {}
+
+    // Anyone can release. The whole balance of the token is split, so
+    // neither side can be paid twice.
+    function release(address token) external nonReentrant {
+        uint256 balance = token == NATIVE_CURRENCY
+            ? address(this).balance
+            : IERC20(token).balanceOf(address(this));
+        if (balance == 0) revert NothingToRelease();
+
+        NFT nft = NFT(campaign);
+        uint256 treasuryAmount = (balance * nft.platformFee()) /
+            nft.FEE_DENOMINATOR();
+        uint256 creatorAmount = balance - treasuryAmount;
+
+        emit RoyaltiesReleased(token, creatorAmount, treasuryAmount);
+
+        _transferOut(token, Factory(nft.factory()).treasury(), treasuryAmount);
+        _transferOut(token, nft.creator(), creatorAmount);
+    }
+
+    function _transferOut(address token, address to, uint256 amount) internal {
+        if (amount == 0) return;
+
+        if (token == NATIVE_CURRENCY) {
+            (bool success, ) = to.call{value: amount}("");
+            if (!success) revert NativeTransferFailed();
+        } else {
+            IERC20(token).safeTransfer(to, amount);
+        }
+    }
+}
@@ -1,11 +1,51 @@
 import { buildModule } from "@nomicfoundation/hardhat-ignition/modules";
 
 export default buildModule("FactoryModule", (m) => {
+  const metadataRenderer = m.contract("MetadataRenderer");
+  const campaignLib = m.library("CampaignLib");
+  const nftImplementation = m.contract("NFT", [], {
+    libraries: { CampaignLib: campaignLib },
+  });
+
   const factory = m.contract("Factory", [
     "0x40EA0fb3eDb69d4F078b7D81441D411373e63D3F",
-    2,
+    200,
     "ipfs://placeholder/",
+    metadataRenderer,
+    nftImplementation,
   ]);
 
-  return { factory };
+  const campaignGovernor = m.contract("CampaignGovernor", [factory]);
+
+  m.call(factory, "setGovernor", [campaignGovernor]);
+
+  const tieredPricingCurve = m.contract("TieredPricingCurve");
+  const exponentialPricingCurve = m.contract("ExponentialPricingCurve");
+  const dutchAuctionPricingCurve = m.contract("DutchAuctionPricingCurve");
+  const earlyBirdPricingCurve = m.contract("EarlyBirdPricingCurve");
+
+  m.call(factory, "setPricingCurve", [tieredPricingCurve, true], {
+    id: "allowTieredPricingCurve",
+  });
+  m.call(factory, "setPricingCurve", [exponentialPricingCurve, true], {
+    id: "allowExponentialPricingCurve",
+  });
+  m.call(factory, "setPricingCurve", [dutchAuctionPricingCurve, true], {
+    id: "allowDutchAuctionPricingCurve",
+  });
+  m.call(factory, "setPricingCurve", [earlyBirdPricingCurve, true], {
+    id: "allowEarlyBirdPricingCurve",
+  });
+
+  return {
+    factory,
+    metadataRenderer,
+    campaignLib,
+    nftImplementation,
+    campaignGovernor,
+    tieredPricingCurve,
+    exponentialPricingCurve,
+    dutchAuctionPricingCurve,
+    earlyBirdPricingCurve,
+  };
 });
@@ -0,0 +1,93 @@
+import { readFileSync } from "node:fs";
+import { pathToFileURL } from "node:url";
+import { AbiCoder, concat, getAddress, isAddress, keccak256 } from "ethers";
+
+// Builds the allowlist Merkle tree checked by NFT.mintAllowlist.
+// Leaves are keccak256(keccak256(abi.encode(account))) and pairs are hashed in
+// sorted order, matching OpenZeppelin's MerkleProof.
+//
+// Usage: node scripts/merkle.js allowlist.csv
+
+export function parseAllowlistCsv(csv) {
+  const accounts = new Set();
+
+  csv.split(/\r?\n/).forEach((line, index) => {
+    const value = line.split(",")[0].trim();
+    if (value === "") return;
+
+    if (!isAddress(value)) {
+      if (index === 0) return;
+      throw new Error(`Invalid address on line ${index + 1}: ${value}`);
+    }
+
+    accounts.add(getAddress(value));
+  });
+
+  return [...accounts];
+}
+
+export function readAllowlistCsv(path) {
+  return parseAllowlistCsv(readFileSync(path, "utf8"));
+}
+
+export function allowlistLeaf(account) {
+  return keccak256(
+    keccak256(AbiCoder.defaultAbiCoder().encode(["address"], [account]))
+  );
+}
+
+function hashPair(a, b) {
+  return keccak256(a < b ? concat([a, b]) : concat([b, a]));
+}
+
+export function buildMerkleTree(accounts) {
+  if (accounts.length === 0) throw new Error("Allowlist is empty");
+
+  const leaves = [...new Set(accounts.map((a) => getAddress(a)))]
+    .map(allowlistLeaf)
+    .sort();
+  const layers = [leaves];
+
+  while (layers.at(-1).length > 1) {
+    const layer = layers.at(-1);
+    const next = [];
+
+    for (let i = 0; i < layer.length; i += 2) {
+      next.push(
+        i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]
+      );
+    }
+
+    layers.push(next);
+  }
+
+  return { root: layers.at(-1)[0], layers };
+}
+
+export function getMerkleProof(tree, account) {
+  let index = tree.layers[0].indexOf(allowlistLeaf(getAddress(account)));
+  if (index === -1) throw new Error(`${account} is not on the allowlist`);
+
+  const proof = [];
+  for (const layer of tree.layers.slice(0, -1)) {
+    const sibling = index ^ 1;
+    if (sibling < layer.length) proof.push(layer[sibling]);
+    index = Math.floor(index / 2);
+  }
+
+  return proof;
+}
+
+const isMain =
+  process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href;
+
+if (isMain) {
+  const accounts = readAllowlistCsv(process.argv[2]);
+  const tree = buildMerkleTree(accounts);
+
+  const proofs = Object.fromEntries(
+    accounts.map((account) => [account, getMerkleProof(tree, account)])
+  );
+
+  console.log(JSON.stringify({ root: tree.root, proofs }, null, 2));
+}
@@ -0,0 +1,344 @@
+import { expect } from "chai";
+import { network } from "hardhat";
+import Network from "./helpers/network.js";
+import { buildCampaignParams, createCampaign } from "./helpers/campaign.js";
+import { deployFactory, deployImplementation } from "./helpers/factory.js";
+import { signMintOrder } from "./helpers/signatures.js";
+
+const { ethers } = await network.connect();
+
+// EIP-170 limit on the size of deployed code.
+const MAX_CODE_SIZE = 24576;
+
+describe("Clones", function () {
+  let accounts;
+  let creator;
+  let treasury;
+  let buyer1;
+  let admin;
+  let factory;
+  let implementation;
+  let mockPyUsd;
+  let networkHelper;
+  let futureTimestamp;
+
+  const startPrice = ethers.parseUnits("25", 6);
+  const priceIncrement = ethers.parseUnits("1", 6);
+  const platformFee = 1000;
+  const baseUri = "https://placeholder.com/";
+  const minRequiredSales = 3;
+
+  before("setup", async function () {
+    networkHelper = new Network(ethers.provider);
+    accounts = await ethers.getSigners();
+    creator = accounts[1];
+    treasury = accounts[2];
+    buyer1 = accounts[3];
+    admin = accounts[5];
+  });
+
+  beforeEach(async function () {
+    const MockPYUSD = await ethers.getContractFactory("MockPYUSD");
+    mockPyUsd = await MockPYUSD.deploy("PyUSD", "PYUSD", 6);
+
+    ({ factory, implementation } = await deployFactory(
+      ethers,
+      treasury.address,
+      platformFee,
+      baseUri
+    ));
+    await factory.setAdmin(admin.address, true);
+
+    const currentBlock = await ethers.provider.getBlock("latest");
+    futureTimestamp = currentBlock.timestamp + 86400;
+
+    await mockPyUsd.transfer(buyer1.address, ethers.parseUnits("10000", 6));
+
+    await networkHelper.snapshot();
+  });
+
+  afterEach(async function () {
+    await networkHelper.revert();
+  });
+
+  function campaignParams(params = {}) {
+    return buildCampaignParams({
+      name: "Test Campaign",
+      symbol: "TC",
+      minRequiredSales: minRequiredSales,
+      timestamp: futureTimestamp,
+      startPrice: startPrice,
+      priceIncrement: priceIncrement,
+      ...params,
+    });
+  }
+
+  async function newCampaign(params = {}) {
+    return createCampaign(factory, creator, mockPyUsd, campaignParams(params), [
+      buyer1,
+    ]);
+  }
+
+  function cloneBytecode(target) {
+    return (
+      "0x363d3d373d3d3d363d73" +
+      target.slice(2).toLowerCase() +
+      "5af43d82803e903d91602b57fd5bf3"
+    );
+  }
+
+  describe("Deployment", function () {
+    it("should deploy campaigns as minimal proxies of the implementation", async function () {
+      const nft = await newCampaign();
+
+      expect(await ethers.provider.getCode(await nft.getAddress())).to.equal(
+        cloneBytecode(await implementation.getAddress())
+      );
+      expect(await factory.getCampaignImplementation(nft)).to.equal(
+        await implementation.getAddress()
+      );
+    });
+
+    it("should keep the implementation within the contract size limit", async function () {
+      const code = await ethers.provider.getCode(
+        await implementation.getAddress()
+      );
+
+      expect(ethers.dataLength(code)).to.be.at.most(MAX_CODE_SIZE);
+    });
+
+    it("should cost a fraction of deploying the full contract", async function () {
+      const fullDeployment = await deployImplementation(ethers);
+      const fullReceipt = await fullDeployment.deploymentTransaction().wait();
+
+      const tx = await factory
+        .connect(creator)
+        .createCampaign(
+          campaignParams({ paymentToken: await mockPyUsd.getAddress() })
+        );
+      const receipt = await tx.wait();
+
+      // Deploying the bytecode alone, without storing any campaign
+      // parameters, is a lower bound for the old per-campaign deployment.
+      expect(receipt.gasUsed * 5n).to.be.lt(fullReceipt.gasUsed);
+    });
+
+    it("should keep every campaign's name and symbol separate", async function () {
+      const first = await newCampaign();
+      const second = await newCampaign({
+        name: "Other Campaign",
+        symbol: "OC",
+      });
+
+      expect(await first.name()).to.equal("Test Campaign");
+      expect(await first.symbol()).to.equal("TC");
+      expect(await second.name()).to.equal("Other Campaign");
+      expect(await second.symbol()).to.equal("OC");
+    });
+
+    it("should set the factory and creator on initialization", async function () {
+      const nft = await newCampaign();
+
+      expect(await nft.factory()).to.equal(await factory.getAddress());
+      expect(await nft.creator()).to.equal(creator.address);
+      expect(await nft.platformFee()).to.equal(platformFee);
+    });
+  });
+
+  describe("Initialization", function () {
+    it("should not allow initializing the implementation", async function () {
+      await expect(
+        implementation.initialize(
+          campaignParams({ paymentToken: await mockPyUsd.getAddress() }),
+          creator.address,
+          platformFee,
+          ethers.ZeroAddress
+        )
+      ).to.be.revertedWithCustomError(implementation, "InvalidInitialization");
+    });
+
+    it("should not allow initializing a campaign twice", async function () {
+      const nft = await newCampaign();
+
+      await expect(
+        nft
+          .connect(buyer1)
+          .initialize(
+            campaignParams({ paymentToken: await mockPyUsd.getAddress() }),
+            buyer1.address,
+            0,
+            ethers.ZeroAddress
+          )
+      ).to.be.revertedWithCustomError(nft, "InvalidInitialization");
+    });
+  });
+
+  describe("Signatures", function () {
+    it("should report the campaign's own EIP-712 domain", async function () {
+      const nft = await newCampaign();
+      const { chainId } = await ethers.provider.getNetwork();
+
+      const domain = await nft.eip712Domain();
+
+      expect(domain.name_).to.equal("Test Campaign");
+      expect(domain.version).to.equal("1");
+      expect(domain.chainId).to.equal(chainId);
+      expect(domain.verifyingContract).to.equal(await nft.getAddress());
+    });
+
+    it("should not accept a mint order signed for another campaign", async function () {
+      const first = await newCampaign();
+      const second = await newCampaign();
+      await mockPyUsd
+        .connect(buyer1)
+        .approve(await second.getAddress(), ethers.MaxUint256);
+
+      const currentBlock = await ethers.provider.getBlock("latest");
+      const order = {
+        buyer: buyer1.address,
+        quantity: 1,
+        maxTotalPrice: startPrice,
+        nonce: 0,
+        deadline: currentBlock.timestamp + 3600,
+      };
+      const signature = await signMintOrder(first, buyer1, order);
+
+      await expect(
+        second.mintWithSignature(order, signature)
+      ).to.be.revertedWithCustomError(second, "InvalidSignature");
+      await expect(first.mintWithSignature(order, signature)).to.emit(
+        first,
+        "MintOrderExecuted"
+      );
+    });
+  });
+
+  describe("Implementation registry", function () {
+    let implementationV2;
+
+    beforeEach(async function () {
+      implementationV2 = await deployImplementation(ethers, "MockNFTV2");
+    });
+
+    it("should let admins register an implementation", async function () {
+      await expect(
+        factory.connect(admin).registerImplementation(implementationV2)
+      )
+        .to.emit(factory, "ImplementationRegistered")
+        .withArgs(1, await implementationV2.getAddress());
+
+      expect(await factory.getImplementationsCount()).to.equal(2);
+      expect(await factory.implementations(1)).to.equal(
+        await implementationV2.getAddress()
+      );
+      expect(await factory.activeVersion()).to.equal(0);
+    });
+
+    it("should deploy new campaigns from the active version", async function () {
+      await factory.connect(admin).registerImplementation(implementationV2);
+
+      await expect(factory.connect(admin).setActiveVersion(1))
+        .to.emit(factory, "ActiveVersionUpdated")
+        .withArgs(0, 1);
+
+      const nft = await newCampaign();
+      const nftV2 = await ethers.getContractAt(
+        "MockNFTV2",
+        await nft.getAddress()
+      );
+
+      expect(await factory.campaignVersion(nft)).to.equal(1);
+      expect(await nftV2.version()).to.equal(2);
+    });
+
+    it("should keep existing campaigns on their version", async function () {
+      const nft = await newCampaign();
+      await factory.connect(admin).registerImplementation(implementationV2);
+      await factory.connect(admin).setActiveVersion(1);
+
+      expect(await factory.campaignVersion(nft)).to.equal(0);
+      expect(await factory.getCampaignImplementation(nft)).to.equal(
+        await implementation.getAddress()
+      );
+      expect(await ethers.provider.getCode(await nft.getAddress())).to.equal(
+        cloneBytecode(await implementation.getAddress())
+      );
+
+      await expect(nft.connect(buyer1).mint()).to.emit(nft, "Mint");
+    });
+
+    it("should allow rolling back to an earlier version", async function () {
+      await factory.connect(admin).registerImplementation(implementationV2);
+      await factory.connect(admin).setActiveVersion(1);
+      await factory.connect(admin).setActiveVersion(0);
+
+      const nft = await newCampaign();
+
+      expect(await factory.campaignVersion(nft)).to.equal(0);
+    });
+
+    it("should predict addresses for the active version", async function () {
+      const salt = ethers.id("launch");
+      const params = campaignParams({
+        paymentToken: await mockPyUsd.getAddress(),
+      });
+      const predicted = await factory.predictCampaignAddress(
+        creator.address,
+        salt,
+        params
+      );
+
+      await factory.connect(admin).registerImplementation(implementationV2);
+      await factory.connect(admin).setActiveVersion(1);
+
+      expect(
+        await factory.predictCampaignAddress(creator.address, salt, params)
+      ).to.not.equal(predicted);
+    });
+
+    it("should revert salted creation after a version change", async function () {
+      const salt = ethers.id("launch");
+      const params = campaignParams({
+        paymentToken: await mockPyUsd.getAddress(),
+      });
+
+      await factory.connect(admin).registerImplementation(implementationV2);
+      await factory.connect(admin).setActiveVersion(1);
+
+      await expect(
+        factory
+          .connect(creator)
+          .createCampaignWithSalt(params, salt, platformFee, 0)
+      )
+        .to.be.revertedWithCustomError(factory, "ImplementationVersionChanged")
+        .withArgs(0, 1);
+    });
+
+    it("should revert for implementations without code", async function () {
+      await expect(
+        factory.connect(admin).registerImplementation(accounts[7].address)
+      ).to.be.revertedWithCustomError(factory, "InvalidImplementation");
+    });
+
+    it("should revert for unknown versions", async function () {
+      await expect(
+        factory.connect(admin).setActiveVersion(1)
+      ).to.be.revertedWithCustomError(factory, "InvalidImplementation");
+    });
+
+    it("should revert if caller is not admin", async function () {
+      await expect(
+        factory.connect(creator).registerImplementation(implementationV2)
+      ).to.be.revertedWithCustomError(factory, "CallerIsNotAdmin");
+      await expect(
+        factory.connect(creator).setActiveVersion(0)
+      ).to.be.revertedWithCustomError(factory, "CallerIsNotAdmin");
+    });
+
+    it("should revert for unknown campaigns", async function () {
+      await expect(
+        factory.getCampaignImplementation(accounts[7].address)
+      ).to.be.revertedWithCustomError(factory, "NotACampaign");
+    });
+  });
+});
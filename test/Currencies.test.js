@@ -0,0 +1,431 @@
+import { expect } from "chai";
+import { network } from "hardhat";
+import Network from "./helpers/network.js";
+import { createCampaign } from "./helpers/campaign.js";
+import { deployFactory } from "./helpers/factory.js";
+
+const { ethers } = await network.connect();
+
+const RATE_PRECISION = 10n ** 18n;
+// 1 ETH = 2500 PYUSD, so one PYUSD unit (6 decimals) is worth 4e8 wei.
+const ETH_RATE = 4n * 10n ** 8n * RATE_PRECISION;
+// 18 decimal stablecoin at parity with 6 decimal PYUSD.
+const DAI_RATE = 10n ** 12n * RATE_PRECISION;
+
+describe("Currencies", function () {
+  let accounts;
+  let creator;
+  let treasury;
+  let buyer1;
+  let buyer2;
+  let factory;
+  let mockPyUsd;
+  let mockUsdc;
+  let mockDai;
+  let networkHelper;
+  let futureTimestamp;
+
+  const startPrice = ethers.parseUnits("25", 6);
+  const priceIncrement = ethers.parseUnits("1", 6);
+  const platformFee = 1000;
+  const baseUri = "https://placeholder.com/";
+  const minRequiredSales = 3;
+
+  before("setup", async function () {
+    networkHelper = new Network(ethers.provider);
+    accounts = await ethers.getSigners();
+    creator = accounts[1];
+    treasury = accounts[2];
+    buyer1 = accounts[3];
+    buyer2 = accounts[4];
+  });
+
+  beforeEach(async function () {
+    const MockPYUSD = await ethers.getContractFactory("MockPYUSD");
+    mockPyUsd = await MockPYUSD.deploy("PyUSD", "PYUSD", 6);
+    mockUsdc = await MockPYUSD.deploy("USD Coin", "USDC", 6);
+    mockDai = await MockPYUSD.deploy("Dai", "DAI", 18);
+
+    ({ factory } = await deployFactory(
+      ethers,
+      treasury.address,
+      platformFee,
+      baseUri
+    ));
+
+    const currentBlock = await ethers.provider.getBlock("latest");
+    futureTimestamp = currentBlock.timestamp + 86400;
+
+    for (const token of [mockPyUsd, mockUsdc, mockDai]) {
+      const amount = ethers.parseUnits("10000", await token.decimals());
+      await token.transfer(buyer1.address, amount);
+      await token.transfer(buyer2.address, amount);
+    }
+
+    await networkHelper.snapshot();
+  });
+
+  afterEach(async function () {
+    await networkHelper.revert();
+  });
+
+  async function newCampaign(params = {}) {
+    const nft = await createCampaign(
+      factory,
+      creator,
+      mockPyUsd,
+      {
+        minRequiredSales: minRequiredSales,
+        timestamp: futureTimestamp,
+        startPrice: startPrice,
+        priceIncrement: priceIncrement,
+        currencies: [
+          { token: await mockUsdc.getAddress(), rate: RATE_PRECISION },
+          { token: await mockDai.getAddress(), rate: DAI_RATE },
+          { token: ethers.ZeroAddress, rate: ETH_RATE },
+        ],
+        ...params,
+      },
+      [buyer1, buyer2]
+    );
+
+    for (const token of [mockUsdc, mockDai]) {
+      await token
+        .connect(buyer1)
+        .approve(await nft.getAddress(), ethers.MaxUint256);
+      await token
+        .connect(buyer2)
+        .approve(await nft.getAddress(), ethers.MaxUint256);
+    }
+
+    return nft;
+  }
+
+  describe("Configuration", function () {
+    it("should accept the payment token and the configured currencies", async function () {
+      const nft = await newCampaign();
+
+      expect(await nft.getCurrencies()).to.deep.equal([
+        await mockPyUsd.getAddress(),
+        await mockUsdc.getAddress(),
+        await mockDai.getAddress(),
+        ethers.ZeroAddress,
+      ]);
+      expect(await nft.currencyRates(mockPyUsd)).to.equal(RATE_PRECISION);
+      expect(await nft.currencyRates(mockDai)).to.equal(DAI_RATE);
+      expect(await nft.currencyRates(ethers.ZeroAddress)).to.equal(ETH_RATE);
+    });
+
+    it("should normalise prices per currency", async function () {
+      const nft = await newCampaign();
+
+      expect(await nft.convertPrice(mockUsdc, startPrice)).to.equal(startPrice);
+      expect(await nft.convertPrice(mockDai, startPrice)).to.equal(
+        ethers.parseUnits("25", 18)
+      );
+      expect(await nft.convertPrice(ethers.ZeroAddress, startPrice)).to.equal(
+        ethers.parseEther("0.01")
+      );
+    });
+
+    it("should revert for currencies that are not accepted", async function () {
+      const nft = await newCampaign();
+      const MockPYUSD = await ethers.getContractFactory("MockPYUSD");
+      const other = await MockPYUSD.deploy("Other", "OTH", 6);
+
+      await expect(
+        nft.convertPrice(other, startPrice)
+      ).to.be.revertedWithCustomError(nft, "CurrencyNotAccepted");
+      await expect(
+        nft.connect(buyer1).mintWithCurrency(other, 1, ethers.MaxUint256)
+      ).to.be.revertedWithCustomError(nft, "CurrencyNotAccepted");
+    });
+
+    it("should revert for a zero rate", async function () {
+      await expect(
+        newCampaign({
+          currencies: [{ token: await mockUsdc.getAddress(), rate: 0 }],
+        })
+      ).to.be.revertedWithCustomError(factory, "InvalidPaymentCurrencies");
+    });
+
+    it("should revert for duplicate currencies", async function () {
+      await expect(
+        newCampaign({
+          currencies: [
+            { token: await mockUsdc.getAddress(), rate: RATE_PRECISION },
+            { token: await mockUsdc.getAddress(), rate: RATE_PRECISION },
+          ],
+        })
+      ).to.be.revertedWithCustomError(factory, "InvalidPaymentCurrencies");
+    });
+
+    it("should revert if the payment token is listed again", async function () {
+      await expect(
+        newCampaign({
+          currencies: [
+            { token: await mockPyUsd.getAddress(), rate: RATE_PRECISION },
+          ],
+        })
+      ).to.be.revertedWithCustomError(factory, "InvalidPaymentCurrencies");
+    });
+
+    it("should revert for too many currencies", async function () {
+      const maxCurrencies = await factory.MAX_PAYMENT_CURRENCIES();
+
+      await expect(
+        newCampaign({
+          currencies: Array.from(
+            { length: Number(maxCurrencies) + 1 },
+            (_, i) => ({
+              token: ethers.zeroPadValue(ethers.toBeHex(i + 1), 20),
+              rate: RATE_PRECISION,
+            })
+          ),
+        })
+      ).to.be.revertedWithCustomError(factory, "InvalidPaymentCurrencies");
+    });
+  });
+
+  describe("Stablecoins", function () {
+    it("should charge an 18 decimal token the normalised price", async function () {
+      const nft = await newCampaign();
+      const price = ethers.parseUnits("25", 18);
+      const fee = (price * BigInt(platformFee)) / 10000n;
+
+      await expect(
+        nft.connect(buyer1).mintWithCurrency(mockDai, 1, price)
+      ).to.changeTokenBalances(
+        ethers,
+        mockDai,
+        [buyer1, treasury, nft],
+        [-price, fee, price - fee]
+      );
+
+      const holder = await nft.getHolderByTokenId(1);
+      expect(holder.paymentToken).to.equal(await mockDai.getAddress());
+      expect(holder.mintPriceGross).to.equal(price);
+      expect(holder.mintPrice).to.equal(price - fee);
+      expect(await nft.withdrawalAmount(mockDai)).to.equal(price - fee);
+      expect(await nft.withdrawalAmount(mockPyUsd)).to.equal(0);
+    });
+
+    it("should continue the price curve across currencies", async function () {
+      const nft = await newCampaign();
+
+      await nft.connect(buyer1).mint();
+      await nft.connect(buyer2).mintWithCurrency(mockDai, 1, ethers.MaxUint256);
+      await nft
+        .connect(buyer2)
+        .mintWithCurrency(mockUsdc, 1, ethers.MaxUint256);
+
+      expect((await nft.getHolderByTokenId(2)).mintPriceGross).to.equal(
+        ethers.parseUnits("26", 18)
+      );
+      expect((await nft.getHolderByTokenId(3)).mintPriceGross).to.equal(
+        ethers.parseUnits("27", 6)
+      );
+      expect(await nft.totalRaised()).to.equal(ethers.parseUnits("78", 6));
+    });
+
+    it("should enforce the maximum price in the chosen currency", async function () {
+      const nft = await newCampaign();
+      const price = ethers.parseUnits("25", 18);
+
+      await expect(nft.connect(buyer1).mintWithCurrency(mockDai, 1, price - 1n))
+        .to.be.revertedWithCustomError(nft, "PriceAboveMaximum")
+        .withArgs(price, price - 1n);
+    });
+
+    it("should reject ETH sent with a token payment", async function () {
+      const nft = await newCampaign();
+
+      await expect(
+        nft
+          .connect(buyer1)
+          .mintWithCurrency(mockDai, 1, ethers.MaxUint256, { value: 1 })
+      ).to.be.revertedWithCustomError(nft, "InvalidPayment");
+    });
+  });
+
+  describe("Native ETH", function () {
+    const price = ethers.parseEther("0.01");
+    const fee = (price * BigInt(platformFee)) / 10000n;
+
+    it("should mint for ETH and pay the fee to the treasury", async function () {
+      const nft = await newCampaign();
+
+      await expect(
+        nft
+          .connect(buyer1)
+          .mintWithCurrency(ethers.ZeroAddress, 1, price, { value: price })
+      ).to.changeEtherBalances(
+        ethers,
+        [buyer1, treasury, nft],
+        [-price, fee, price - fee]
+      );
+
+      expect((await nft.getHolderByTokenId(1)).paymentToken).to.equal(
+        ethers.ZeroAddress
+      );
+      expect(await nft.withdrawalAmount(ethers.ZeroAddress)).to.equal(
+        price - fee
+      );
+    });
+
+    it("should return ETH sent above the price", async function () {
+      const nft = await newCampaign();
+      const sent = ethers.parseEther("1");
+
+      await expect(
+        nft
+          .connect(buyer1)
+          .mintWithCurrency(ethers.ZeroAddress, 1, sent, { value: sent })
+      ).to.changeEtherBalances(ethers, [buyer1, nft], [-price, price - fee]);
+    });
+
+    it("should require the value to match the maximum price", async function () {
+      const nft = await newCampaign();
+
+      await expect(
+        nft
+          .connect(buyer1)
+          .mintWithCurrency(ethers.ZeroAddress, 1, price, { value: price - 1n })
+      ).to.be.revertedWithCustomError(nft, "InvalidPayment");
+    });
+
+    it("should revert if the value does not cover the price", async function () {
+      const nft = await newCampaign();
+
+      await expect(
+        nft
+          .connect(buyer1)
+          .mintWithCurrency(ethers.ZeroAddress, 1, price - 1n, {
+            value: price - 1n,
+          })
+      )
+        .to.be.revertedWithCustomError(nft, "PriceAboveMaximum")
+        .withArgs(price, price - 1n);
+    });
+
+    it("should not accept ETH when it is not configured", async function () {
+      const nft = await newCampaign({ currencies: [] });
+
+      await expect(
+        nft
+          .connect(buyer1)
+          .mintWithCurrency(ethers.ZeroAddress, 1, price, { value: price })
+      ).to.be.revertedWithCustomError(nft, "CurrencyNotAccepted");
+    });
+  });
+
+  describe("Settlement", function () {
+    async function mintInEveryCurrency(nft) {
+      await nft.connect(buyer1).mint();
+      await nft.connect(buyer1).mintWithCurrency(mockDai, 1, ethers.MaxUint256);
+      const ethPrice = await nft.convertPrice(
+        ethers.ZeroAddress,
+        await nft.getCurrentPriceToMint()
+      );
+      await nft
+        .connect(buyer1)
+        .mintWithCurrency(ethers.ZeroAddress, 1, ethPrice, { value: ethPrice });
+    }
+
+    it("should refund each token in the currency it was paid with", async function () {
+      const nft = await newCampaign({ minRequiredSales: 10 });
+      await mintInEveryCurrency(nft);
+      await networkHelper.setTime(futureTimestamp + 1);
+
+      const [pyUsdHolder, daiHolder, ethHolder] = await Promise.all(
+        [1, 2, 3].map((tokenId) => nft.getHolderByTokenId(tokenId))
+      );
+
+      await expect(nft.connect(buyer1).claimRefund(1)).to.changeTokenBalance(
+        ethers,
+        mockPyUsd,
+        buyer1,
+        pyUsdHolder.mintPrice
+      );
+      await expect(nft.connect(buyer1).claimRefund(2)).to.changeTokenBalance(
+        ethers,
+        mockDai,
+        buyer1,
+        daiHolder.mintPrice
+      );
+      await expect(nft.connect(buyer1).claimRefund(3)).to.changeEtherBalance(
+        ethers,
+        buyer1,
+        ethHolder.mintPrice
+      );
+
+      expect(await mockPyUsd.balanceOf(nft)).to.equal(0);
+      expect(await mockDai.balanceOf(nft)).to.equal(0);
+      expect(await ethers.provider.getBalance(nft)).to.equal(0);
+    });
+
+    it("should withdraw every currency separately", async function () {
+      const nft = await newCampaign();
+      await mintInEveryCurrency(nft);
+
+      const pyUsdAmount = await nft.withdrawalAmount(mockPyUsd);
+      const daiAmount = await nft.withdrawalAmount(mockDai);
+      const ethAmount = await nft.withdrawalAmount(ethers.ZeroAddress);
+
+      const tx = nft.connect(creator).withdrawCreatorsFunds();
+
+      await expect(tx)
+        .to.emit(nft, "WithdrawCreatorsFunds")
+        .withArgs(creator.address, await mockPyUsd.getAddress(), pyUsdAmount)
+        .and.to.emit(nft, "WithdrawCreatorsFunds")
+        .withArgs(creator.address, await mockDai.getAddress(), daiAmount)
+        .and.to.emit(nft, "WithdrawCreatorsFunds")
+        .withArgs(creator.address, ethers.ZeroAddress, ethAmount);
+      await expect(tx).to.changeEtherBalance(ethers, creator, ethAmount);
+
+      expect(await mockDai.balanceOf(creator.address)).to.equal(daiAmount);
+      expect(await nft.totalEarnedByCreator(mockDai)).to.equal(daiAmount);
+      expect(await nft.totalEarnedByCreator(ethers.ZeroAddress)).to.equal(
+        ethAmount
+      );
+      expect(await nft.withdrawalAmount(mockUsdc)).to.equal(0);
+    });
+
+    it("should escrow and release fees per currency", async function () {
+      const nft = await newCampaign({ escrowPlatformFee: true });
+      await mintInEveryCurrency(nft);
+
+      const daiFee = await nft.escrowedPlatformFees(mockDai);
+      const ethFee = await nft.escrowedPlatformFees(ethers.ZeroAddress);
+      expect(daiFee).to.be.gt(0);
+      expect(ethFee).to.be.gt(0);
+
+      await networkHelper.setTime(futureTimestamp + 1);
+      const tx = nft.releasePlatformFees();
+
+      await expect(tx)
+        .to.emit(nft, "PlatformFeesReleased")
+        .withArgs(treasury.address, await mockDai.getAddress(), daiFee)
+        .and.to.emit(nft, "PlatformFeesReleased")
+        .withArgs(treasury.address, ethers.ZeroAddress, ethFee);
+      await expect(tx).to.changeEtherBalance(ethers, treasury, ethFee);
+    });
+
+    it("should refund the gross ETH price when fees are escrowed", async function () {
+      const nft = await newCampaign({
+        escrowPlatformFee: true,
+        minRequiredSales: 10,
+      });
+      await mintInEveryCurrency(nft);
+      await networkHelper.setTime(futureTimestamp + 1);
+
+      const ethHolder = await nft.getHolderByTokenId(3);
+
+      await expect(nft.connect(buyer1).claimRefund(3)).to.changeEtherBalance(
+        ethers,
+        buyer1,
+        ethHolder.mintPriceGross
+      );
+    });
+  });
+});
@@ -1,6 +1,8 @@
 import { assert, expect } from "chai";
 import { network } from "hardhat";
 import Network from "./helpers/network.js";
+import { buildCampaignParams } from "./helpers/campaign.js";
+import { deployFactory } from "./helpers/factory.js";
 
 const { ethers } = await network.connect();
 
@@ -10,17 +12,19 @@ describe("Factory", function () {
   let creator;
   let treasury;
   let factory;
+  let metadataRenderer;
+  let implementation;
   let mockPyUsd;
   let networkHelper;
 
   const startPrice = ethers.parseUnits("25", 6);
   const priceIncrement = 5;
-  const platformFee = 10;
+  const platformFee = 1000;
   const baseUri = "https://placeholder.com/";
   const minRequiredSales = 10;
 
   before("setup", async function () {
-    networkHelper = new Network();
+    networkHelper = new Network(ethers.provider);
     accounts = await ethers.getSigners();
     owner = accounts[0];
     creator = accounts[1];
@@ -32,9 +36,12 @@ describe("Factory", function () {
     mockPyUsd = await MockPYUSD.deploy("PyUSD", "PYUSD", 6);
     await mockPyUsd.waitForDeployment();
 
-    const Factory = await ethers.getContractFactory("Factory");
-    factory = await Factory.deploy(treasury.address, platformFee, baseUri);
-    await factory.waitForDeployment();
+    ({ factory, metadataRenderer, implementation } = await deployFactory(
+      ethers,
+      treasury.address,
+      platformFee,
+      baseUri
+    ));
 
     await networkHelper.snapshot();
   });
@@ -66,6 +73,81 @@ describe("Factory", function () {
       expect(returnedTreasury).to.equal(treasury.address);
       expect(returnedFee).to.equal(platformFee);
     });
+
+    it("should set deployer as owner", async function () {
+      expect(await factory.owner()).to.equal(owner.address);
+    });
+
+    it("should revert if treasury is zero address", async function () {
+      const Factory = await ethers.getContractFactory("Factory");
+
+      await expect(
+        Factory.deploy(
+          ethers.ZeroAddress,
+          platformFee,
+          baseUri,
+          await metadataRenderer.getAddress(),
+          await implementation.getAddress()
+        )
+      ).to.be.revertedWithCustomError(factory, "InvalidTreasury");
+    });
+
+    it("should revert if platform fee exceeds the cap", async function () {
+      const Factory = await ethers.getContractFactory("Factory");
+      const maxPlatformFee = await factory.MAX_PLATFORM_FEE();
+
+      await expect(
+        Factory.deploy(
+          treasury.address,
+          maxPlatformFee + 1n,
+          baseUri,
+          await metadataRenderer.getAddress(),
+          await implementation.getAddress()
+        )
+      ).to.be.revertedWithCustomError(factory, "PlatformFeeTooHigh");
+    });
+
+    it("should deploy with correct metadata renderer", async function () {
+      expect(await factory.metadataRenderer()).to.equal(
+        await metadataRenderer.getAddress()
+      );
+    });
+
+    it("should revert if metadata renderer is zero address", async function () {
+      const Factory = await ethers.getContractFactory("Factory");
+
+      await expect(
+        Factory.deploy(
+          treasury.address,
+          platformFee,
+          baseUri,
+          ethers.ZeroAddress,
+          await implementation.getAddress()
+        )
+      ).to.be.revertedWithCustomError(factory, "InvalidMetadataRenderer");
+    });
+
+    it("should register the initial implementation as version 0", async function () {
+      expect(await factory.getImplementationsCount()).to.equal(1);
+      expect(await factory.implementations(0)).to.equal(
+        await implementation.getAddress()
+      );
+      expect(await factory.activeVersion()).to.equal(0);
+    });
+
+    it("should revert if implementation is zero address", async function () {
+      const Factory = await ethers.getContractFactory("Factory");
+
+      await expect(
+        Factory.deploy(
+          treasury.address,
+          platformFee,
+          baseUri,
+          await metadataRenderer.getAddress(),
+          ethers.ZeroAddress
+        )
+      ).to.be.revertedWithCustomError(factory, "InvalidImplementation");
+    });
   });
 
   describe("Create Campaign", function () {
@@ -76,7 +158,7 @@ describe("Factory", function () {
       const currentBlock = await ethers.provider.getBlock("latest");
       futureTimestamp = currentBlock.timestamp + 86400;
 
-      campaignParams = {
+      campaignParams = buildCampaignParams({
         name: "Test Campaign",
         symbol: "TC",
         minRequiredSales: minRequiredSales,
@@ -84,7 +166,7 @@ describe("Factory", function () {
         startPrice: startPrice,
         priceIncrement: priceIncrement,
         paymentToken: await mockPyUsd.getAddress(),
-      };
+      });
     });
 
     it("should create a campaign with valid parameters", async function () {
@@ -116,8 +198,7 @@ describe("Factory", function () {
       );
 
       const nftAddress = event.args.campaignAddress;
-      const NFT = await ethers.getContractFactory("NFT");
-      const nft = NFT.attach(nftAddress);
+      const nft = await ethers.getContractAt("NFT", nftAddress);
 
       expect(await nft.name()).to.equal(campaignParams.name);
       expect(await nft.symbol()).to.equal(campaignParams.symbol);
@@ -132,6 +213,22 @@ describe("Factory", function () {
       );
       expect(await nft.paymentToken()).to.equal(campaignParams.paymentToken);
       expect(await nft.creator()).to.equal(creator.address);
+      expect(await nft.platformFee()).to.equal(platformFee);
+    });
+
+    it("should snapshot the current platform fee into new campaigns", async function () {
+      await factory.setPlatformFee(250);
+
+      const tx = await factory.connect(creator).createCampaign(campaignParams);
+      const receipt = await tx.wait();
+
+      const event = receipt.logs.find(
+        (log) => log.fragment && log.fragment.name === "CampaignCreated"
+      );
+
+      const nft = await ethers.getContractAt("NFT", event.args.campaignAddress);
+
+      expect(await nft.platformFee()).to.equal(250);
     });
 
     it("should revert if timestamp is in the past", async function () {
@@ -211,12 +308,262 @@ describe("Factory", function () {
       );
 
       const nftAddress = event.args.campaignAddress;
-      const NFT = await ethers.getContractFactory("NFT");
-      const nft = NFT.attach(nftAddress);
+      const nft = await ethers.getContractAt("NFT", nftAddress);
 
       expect(await nft.priceIncrement()).to.equal(0);
     });
 
+    it("should default to the built-in linear price curve", async function () {
+      const tx = await factory.connect(creator).createCampaign(campaignParams);
+      const receipt = await tx.wait();
+
+      const event = receipt.logs.find(
+        (log) => log.fragment && log.fragment.name === "CampaignCreated"
+      );
+
+      const nft = await ethers.getContractAt("NFT", event.args.campaignAddress);
+
+      expect(await nft.pricingCurve()).to.equal(ethers.ZeroAddress);
+      expect(await nft.getPriceToMint(2)).to.equal(
+        startPrice * 2n + BigInt(priceIncrement)
+      );
+    });
+
+    it("should create campaign with an allowed pricing curve", async function () {
+      const TieredPricingCurve =
+        await ethers.getContractFactory("TieredPricingCurve");
+      const curve = await TieredPricingCurve.deploy();
+      await factory.setPricingCurve(await curve.getAddress(), true);
+
+      campaignParams.pricingCurve = await curve.getAddress();
+      campaignParams.pricingParams = ethers.AbiCoder.defaultAbiCoder().encode(
+        ["uint256[]", "uint256[]"],
+        [[], [startPrice]]
+      );
+
+      const tx = await factory.connect(creator).createCampaign(campaignParams);
+      const receipt = await tx.wait();
+
+      const event = receipt.logs.find(
+        (log) => log.fragment && log.fragment.name === "CampaignCreated"
+      );
+
+      const nft = await ethers.getContractAt("NFT", event.args.campaignAddress);
+
+      expect(await nft.pricingCurve()).to.equal(await curve.getAddress());
+      expect(await nft.pricingParams()).to.equal(campaignParams.pricingParams);
+    });
+
+    it("should revert if pricing curve is not allowed", async function () {
+      const TieredPricingCurve =
+        await ethers.getContractFactory("TieredPricingCurve");
+      const curve = await TieredPricingCurve.deploy();
+
+      campaignParams.pricingCurve = await curve.getAddress();
+
+      await expect(
+        factory.connect(creator).createCampaign(campaignParams)
+      ).to.be.revertedWithCustomError(factory, "PricingCurveNotAllowed");
+    });
+
+    it("should store metadata URI and perk tiers", async function () {
+      campaignParams.metadataUri = "ipfs://campaign/";
+      campaignParams.perkTiers = [
+        { name: "Founder", uri: "ipfs://founder", maxPosition: 10, minPrice: 0 },
+        { name: "Backer", uri: "", maxPosition: 0, minPrice: 0 },
+      ];
+
+      const tx = await factory.connect(creator).createCampaign(campaignParams);
+      const receipt = await tx.wait();
+
+      const event = receipt.logs.find(
+        (log) => log.fragment && log.fragment.name === "CampaignCreated"
+      );
+
+      const nft = await ethers.getContractAt("NFT", event.args.campaignAddress);
+
+      expect(await nft.metadataUri()).to.equal("ipfs://campaign/");
+      expect(await nft.getPerkTiersCount()).to.equal(2);
+
+      const founder = await nft.getPerkTier(0);
+      expect(founder.name).to.equal("Founder");
+      expect(founder.uri).to.equal("ipfs://founder");
+      expect(founder.maxPosition).to.equal(10);
+
+      const backer = await nft.getPerkTier(1);
+      expect(backer.name).to.equal("Backer");
+      expect(backer.maxPosition).to.equal(0);
+    });
+
+    it("should revert if a perk tier has no name", async function () {
+      campaignParams.perkTiers = [
+        { name: "", uri: "", maxPosition: 0, minPrice: 0 },
+      ];
+
+      await expect(
+        factory.connect(creator).createCampaign(campaignParams)
+      ).to.be.revertedWithCustomError(factory, "InvalidPerkTiers");
+    });
+
+    it("should revert if there are too many perk tiers", async function () {
+      const maxPerkTiers = await factory.MAX_PERK_TIERS();
+      campaignParams.perkTiers = Array.from(
+        { length: Number(maxPerkTiers) + 1 },
+        (_, i) => ({ name: `Tier ${i}`, uri: "", maxPosition: 0, minPrice: 0 })
+      );
+
+      await expect(
+        factory.connect(creator).createCampaign(campaignParams)
+      ).to.be.revertedWithCustomError(factory, "InvalidPerkTiers");
+    });
+
+    it("should store milestone shares", async function () {
+      campaignParams.milestoneShares = [2500, 7500];
+
+      const tx = await factory.connect(creator).createCampaign(campaignParams);
+      const receipt = await tx.wait();
+
+      const event = receipt.logs.find(
+        (log) => log.fragment && log.fragment.name === "CampaignCreated"
+      );
+
+      const milestones = await factory.getMilestones(
+        event.args.campaignAddress
+      );
+      expect(milestones.shares).to.deep.equal([2500n, 7500n]);
+    });
+
+    it("should revert if milestone shares do not add up to the whole", async function () {
+      campaignParams.milestoneShares = [2500, 7000];
+
+      await expect(
+        factory.connect(creator).createCampaign(campaignParams)
+      ).to.be.revertedWithCustomError(factory, "InvalidMilestones");
+    });
+
+    it("should revert if a milestone share is zero", async function () {
+      campaignParams.milestoneShares = [10000, 0];
+
+      await expect(
+        factory.connect(creator).createCampaign(campaignParams)
+      ).to.be.revertedWithCustomError(factory, "InvalidMilestones");
+    });
+
+    it("should allow a royalty up to the platform cap", async function () {
+      campaignParams.royaltyFee = await factory.maxRoyaltyFee();
+
+      await expect(
+        factory.connect(creator).createCampaign(campaignParams)
+      ).to.emit(factory, "CampaignCreated");
+    });
+
+    it("should revert if the royalty exceeds the platform cap", async function () {
+      campaignParams.royaltyFee = (await factory.maxRoyaltyFee()) + 1n;
+
+      await expect(
+        factory.connect(creator).createCampaign(campaignParams)
+      ).to.be.revertedWithCustomError(factory, "RoyaltyFeeTooHigh");
+    });
+
+    it("should revert if governed without a governor", async function () {
+      campaignParams.governed = true;
+
+      await expect(
+        factory.connect(creator).createCampaign(campaignParams)
+      ).to.be.revertedWithCustomError(factory, "GovernanceNotAvailable");
+    });
+
+    it("should revert if there are too many milestones", async function () {
+      const maxMilestones = await factory.MAX_MILESTONES();
+      campaignParams.milestoneShares = Array.from(
+        { length: Number(maxMilestones) + 1 },
+        (_, i) => (i === 0 ? 10000 - Number(maxMilestones) : 1)
+      );
+
+      await expect(
+        factory.connect(creator).createCampaign(campaignParams)
+      ).to.be.revertedWithCustomError(factory, "InvalidMilestones");
+    });
+
+    it("should store supply limits", async function () {
+      campaignParams.maxSupply = 100;
+      campaignParams.maxPerWallet = 5;
+      campaignParams.closeOnSellOut = true;
+
+      const tx = await factory.connect(creator).createCampaign(campaignParams);
+      const receipt = await tx.wait();
+
+      const event = receipt.logs.find(
+        (log) => log.fragment && log.fragment.name === "CampaignCreated"
+      );
+
+      const nft = await ethers.getContractAt("NFT", event.args.campaignAddress);
+
+      expect(await nft.maxSupply()).to.equal(100);
+      expect(await nft.maxPerWallet()).to.equal(5);
+      expect(await nft.closeOnSellOut()).to.equal(true);
+    });
+
+    it("should allow max supply equal to min required sales", async function () {
+      campaignParams.maxSupply = minRequiredSales;
+
+      await expect(
+        factory.connect(creator).createCampaign(campaignParams)
+      ).to.emit(factory, "CampaignCreated");
+    });
+
+    it("should revert if max supply is below min required sales", async function () {
+      campaignParams.maxSupply = minRequiredSales - 1;
+
+      await expect(
+        factory.connect(creator).createCampaign(campaignParams)
+      ).to.be.revertedWithCustomError(factory, "InvalidMaxSupply");
+    });
+
+    it("should revert if closing on sell-out without a max supply", async function () {
+      campaignParams.closeOnSellOut = true;
+
+      await expect(
+        factory.connect(creator).createCampaign(campaignParams)
+      ).to.be.revertedWithCustomError(factory, "InvalidMaxSupply");
+    });
+
+    it("should revert if the payment token is not a contract", async function () {
+      campaignParams.paymentToken = accounts[7].address;
+
+      await expect(factory.connect(creator).createCampaign(campaignParams))
+        .to.be.revertedWithCustomError(factory, "IncompatiblePaymentToken")
+        .withArgs(accounts[7].address);
+    });
+
+    it("should revert if the payment token is flagged as incompatible", async function () {
+      await factory.setIncompatibleToken(mockPyUsd, true);
+
+      await expect(factory.connect(creator).createCampaign(campaignParams))
+        .to.be.revertedWithCustomError(factory, "IncompatiblePaymentToken")
+        .withArgs(await mockPyUsd.getAddress());
+    });
+
+    it("should revert if an extra currency is flagged as incompatible", async function () {
+      const MockPYUSD = await ethers.getContractFactory("MockPYUSD");
+      const otherToken = await MockPYUSD.deploy("Other", "OTH", 6);
+      campaignParams.currencies = [
+        { token: await otherToken.getAddress(), rate: 10n ** 18n },
+      ];
+
+      await factory.setIncompatibleToken(otherToken, true);
+
+      await expect(factory.connect(creator).createCampaign(campaignParams))
+        .to.be.revertedWithCustomError(factory, "IncompatiblePaymentToken")
+        .withArgs(await otherToken.getAddress());
+
+      await factory.setIncompatibleToken(otherToken, false);
+
+      await expect(
+        factory.connect(creator).createCampaign(campaignParams)
+      ).to.emit(factory, "CampaignCreated");
+    });
+
     it("should create campaign with min required sales of 0", async function () {
       campaignParams.minRequiredSales = 0;
 
@@ -228,10 +575,822 @@ describe("Factory", function () {
       );
 
       const nftAddress = event.args.campaignAddress;
-      const NFT = await ethers.getContractFactory("NFT");
-      const nft = NFT.attach(nftAddress);
+      const nft = await ethers.getContractAt("NFT", nftAddress);
 
       expect(await nft.minRequiredSales()).to.equal(0);
     });
   });
+
+  describe("Deterministic deployment", function () {
+    const salt = ethers.id("launch");
+    let campaignParams;
+
+    async function createCampaign(signer, params, campaignSalt) {
+      const tx = await factory
+        .connect(signer)
+        .createCampaignWithSalt(params, campaignSalt, platformFee, 0);
+      const receipt = await tx.wait();
+
+      return receipt.logs.find(
+        (log) => log.fragment && log.fragment.name === "CampaignCreated"
+      ).args.campaignAddress;
+    }
+
+    beforeEach(async function () {
+      const currentBlock = await ethers.provider.getBlock("latest");
+
+      campaignParams = buildCampaignParams({
+        name: "Test Campaign",
+        symbol: "TC",
+        minRequiredSales: minRequiredSales,
+        timestamp: currentBlock.timestamp + 86400,
+        startPrice: startPrice,
+        priceIncrement: priceIncrement,
+        paymentToken: await mockPyUsd.getAddress(),
+      });
+    });
+
+    it("should deploy the campaign at the predicted address", async function () {
+      const predicted = await factory.predictCampaignAddress(
+        creator.address,
+        salt,
+        campaignParams
+      );
+      expect(await ethers.provider.getCode(predicted)).to.equal("0x");
+
+      const campaign = await createCampaign(creator, campaignParams, salt);
+
+      expect(campaign).to.equal(predicted);
+      expect(await factory.isCampaign(predicted)).to.equal(true);
+      expect(await factory.usedSalts(creator.address, salt)).to.equal(true);
+    });
+
+    it("should predict different addresses per creator, salt and params", async function () {
+      const predicted = await factory.predictCampaignAddress(
+        creator.address,
+        salt,
+        campaignParams
+      );
+
+      expect(
+        await factory.predictCampaignAddress(
+          accounts[4].address,
+          salt,
+          campaignParams
+        )
+      ).to.not.equal(predicted);
+      expect(
+        await factory.predictCampaignAddress(
+          creator.address,
+          ethers.id("other"),
+          campaignParams
+        )
+      ).to.not.equal(predicted);
+      expect(
+        await factory.predictCampaignAddress(creator.address, salt, {
+          ...campaignParams,
+          startPrice: startPrice + 1n,
+        })
+      ).to.not.equal(predicted);
+    });
+
+    it("should revert if the creator reuses a salt", async function () {
+      await createCampaign(creator, campaignParams, salt);
+
+      await expect(
+        createCampaign(creator, campaignParams, salt)
+      ).to.be.revertedWithCustomError(factory, "SaltAlreadyUsed");
+      await expect(
+        createCampaign(creator, { ...campaignParams, name: "Other" }, salt)
+      ).to.be.revertedWithCustomError(factory, "SaltAlreadyUsed");
+    });
+
+    it("should let different creators use the same salt", async function () {
+      const first = await createCampaign(creator, campaignParams, salt);
+      const second = await createCampaign(accounts[4], campaignParams, salt);
+
+      expect(second).to.not.equal(first);
+    });
+
+    it("should keep the salt available if creation reverts", async function () {
+      const invalidParams = { ...campaignParams, timestamp: 1 };
+
+      await expect(
+        createCampaign(creator, invalidParams, salt)
+      ).to.be.revertedWithCustomError(factory, "TimestampMustBeGreaterThanNow");
+
+      expect(await factory.usedSalts(creator.address, salt)).to.equal(false);
+      await createCampaign(creator, campaignParams, salt);
+    });
+
+    it("should accept approvals given before launch", async function () {
+      const buyer = accounts[3];
+      const predicted = await factory.predictCampaignAddress(
+        creator.address,
+        salt,
+        campaignParams
+      );
+      await mockPyUsd.transfer(buyer.address, startPrice);
+      await mockPyUsd.connect(buyer).approve(predicted, startPrice);
+
+      await createCampaign(creator, campaignParams, salt);
+
+      const nft = await ethers.getContractAt("NFT", predicted);
+      await expect(nft.connect(buyer).mint()).to.emit(nft, "Mint");
+    });
+
+    it("should follow the platform fee in force at creation", async function () {
+      const predicted = await factory.predictCampaignAddress(
+        creator.address,
+        salt,
+        campaignParams
+      );
+
+      await factory.setPlatformFee(platformFee + 1);
+
+      expect(
+        await factory.predictCampaignAddress(
+          creator.address,
+          salt,
+          campaignParams
+        )
+      ).to.not.equal(predicted);
+    });
+
+    it("should revert if the platform fee changed since the prediction", async function () {
+      await factory.setPlatformFee(platformFee + 1);
+
+      await expect(createCampaign(creator, campaignParams, salt))
+        .to.be.revertedWithCustomError(factory, "PlatformFeeChanged")
+        .withArgs(platformFee, platformFee + 1);
+      expect(await factory.usedSalts(creator.address, salt)).to.equal(false);
+    });
+
+    it("should still deploy identical campaigns without a salt", async function () {
+      await factory.connect(creator).createCampaign(campaignParams);
+      await factory.connect(creator).createCampaign(campaignParams);
+
+      expect(
+        await factory.getCampaignsCountByCreator(creator.address)
+      ).to.equal(2);
+    });
+  });
+
+  describe("Campaign Registry", function () {
+    let campaignParams;
+
+    beforeEach(async function () {
+      const currentBlock = await ethers.provider.getBlock("latest");
+
+      campaignParams = buildCampaignParams({
+        name: "Test Campaign",
+        symbol: "TC",
+        minRequiredSales: minRequiredSales,
+        timestamp: currentBlock.timestamp + 86400,
+        startPrice: startPrice,
+        priceIncrement: priceIncrement,
+        paymentToken: await mockPyUsd.getAddress(),
+      });
+    });
+
+    async function createCampaign(signer, name, symbol) {
+      const tx = await factory
+        .connect(signer)
+        .createCampaign({ ...campaignParams, name, symbol });
+      const receipt = await tx.wait();
+
+      const event = receipt.logs.find(
+        (log) => log.fragment && log.fragment.name === "CampaignCreated"
+      );
+
+      return event.args.campaignAddress;
+    }
+
+    it("should start with an empty registry", async function () {
+      expect(await factory.getCampaignsCount()).to.equal(0);
+      expect(await factory.getCampaignsByCreator(creator.address)).to.deep.equal(
+        []
+      );
+      expect(await factory.getCampaignsInfo(0, 10)).to.have.lengthOf(0);
+    });
+
+    it("should register every created campaign", async function () {
+      const campaign1 = await createCampaign(creator, "First", "F1");
+      const campaign2 = await createCampaign(creator, "Second", "F2");
+
+      expect(await factory.getCampaignsCount()).to.equal(2);
+      expect(await factory.campaigns(0)).to.equal(campaign1);
+      expect(await factory.campaigns(1)).to.equal(campaign2);
+    });
+
+    it("should track campaigns per creator", async function () {
+      const user = accounts[3];
+
+      const campaign1 = await createCampaign(creator, "First", "F1");
+      const campaign2 = await createCampaign(user, "Second", "F2");
+      const campaign3 = await createCampaign(creator, "Third", "F3");
+
+      expect(await factory.getCampaignsCountByCreator(creator.address)).to.equal(
+        2
+      );
+      expect(await factory.getCampaignsCountByCreator(user.address)).to.equal(1);
+      expect(await factory.getCampaignsByCreator(creator.address)).to.deep.equal(
+        [campaign1, campaign3]
+      );
+      expect(await factory.campaignsByCreator(user.address, 0)).to.equal(
+        campaign2
+      );
+    });
+
+    it("should recognise deployed campaigns", async function () {
+      const campaign = await createCampaign(creator, "First", "F1");
+
+      expect(await factory.isCampaign(campaign)).to.equal(true);
+      expect(await factory.isCampaign(creator.address)).to.equal(false);
+      expect(await factory.isCampaign(await mockPyUsd.getAddress())).to.equal(
+        false
+      );
+    });
+
+    it("should return campaign info with key parameters", async function () {
+      const campaign = await createCampaign(creator, "First", "F1");
+      const info = await factory.getCampaignInfo(campaign);
+
+      expect(info.campaignAddress).to.equal(campaign);
+      expect(info.creator).to.equal(creator.address);
+      expect(info.name).to.equal("First");
+      expect(info.symbol).to.equal("F1");
+      expect(info.timestamp).to.equal(campaignParams.timestamp);
+      expect(info.minRequiredSales).to.equal(minRequiredSales);
+      expect(info.maxSupply).to.equal(0);
+      expect(info.totalEverMinted).to.equal(0);
+      expect(info.currentPrice).to.equal(startPrice);
+    });
+
+    it("should reflect mints in campaign info", async function () {
+      const buyer = accounts[3];
+      const campaign = await createCampaign(creator, "First", "F1");
+      const nft = await ethers.getContractAt("NFT", campaign);
+
+      await mockPyUsd.transfer(buyer.address, ethers.parseUnits("1000", 6));
+      await mockPyUsd
+        .connect(buyer)
+        .approve(campaign, ethers.parseUnits("1000", 6));
+      await nft.connect(buyer).mint();
+      await nft.connect(buyer).mint();
+
+      const info = await factory.getCampaignInfo(campaign);
+
+      expect(info.totalEverMinted).to.equal(2);
+      expect(info.currentPrice).to.equal(
+        startPrice + BigInt(priceIncrement) * 2n
+      );
+    });
+
+    it("should revert getCampaignInfo for unknown address", async function () {
+      await expect(
+        factory.getCampaignInfo(creator.address)
+      ).to.be.revertedWithCustomError(factory, "NotACampaign");
+    });
+
+    it("should paginate campaigns", async function () {
+      const created = [];
+      for (let i = 0; i < 5; i++) {
+        created.push(await createCampaign(creator, `Campaign ${i}`, `C${i}`));
+      }
+
+      const page1 = await factory.getCampaignsInfo(0, 2);
+      const page2 = await factory.getCampaignsInfo(2, 2);
+      const page3 = await factory.getCampaignsInfo(4, 2);
+
+      expect(page1.map((info) => info.campaignAddress)).to.deep.equal(
+        created.slice(0, 2)
+      );
+      expect(page2.map((info) => info.campaignAddress)).to.deep.equal(
+        created.slice(2, 4)
+      );
+      expect(page3.map((info) => info.campaignAddress)).to.deep.equal(
+        created.slice(4)
+      );
+      expect(page3[0].name).to.equal("Campaign 4");
+    });
+
+    it("should return an empty page when offset equals count", async function () {
+      await createCampaign(creator, "First", "F1");
+
+      expect(await factory.getCampaignsInfo(1, 10)).to.have.lengthOf(0);
+    });
+
+    it("should clamp the page to the number of campaigns", async function () {
+      await createCampaign(creator, "First", "F1");
+      await createCampaign(creator, "Second", "F2");
+
+      expect(
+        await factory.getCampaignsInfo(1, ethers.MaxUint256)
+      ).to.have.lengthOf(1);
+    });
+
+    it("should revert when offset is out of bounds", async function () {
+      await createCampaign(creator, "First", "F1");
+
+      await expect(
+        factory.getCampaignsInfo(2, 10)
+      ).to.be.revertedWithCustomError(factory, "IndexOutOfBounds");
+    });
+
+    it("should paginate campaigns by creator", async function () {
+      const user = accounts[3];
+
+      await createCampaign(creator, "First", "F1");
+      const campaign2 = await createCampaign(user, "Second", "F2");
+      const campaign3 = await createCampaign(user, "Third", "F3");
+
+      const page = await factory.getCampaignsInfoByCreator(user.address, 1, 5);
+
+      expect(page).to.have.lengthOf(1);
+      expect(page[0].campaignAddress).to.equal(campaign3);
+      expect(page[0].creator).to.equal(user.address);
+
+      const firstPage = await factory.getCampaignsInfoByCreator(
+        user.address,
+        0,
+        1
+      );
+      expect(firstPage[0].campaignAddress).to.equal(campaign2);
+    });
+  });
+
+  describe("Administration", function () {
+    let admin;
+    let newTreasury;
+
+    before(function () {
+      admin = accounts[5];
+      newTreasury = accounts[6];
+    });
+
+    describe("Admins", function () {
+      it("should allow owner to grant and revoke admin", async function () {
+        await expect(factory.setAdmin(admin.address, true))
+          .to.emit(factory, "AdminUpdated")
+          .withArgs(admin.address, true);
+        expect(await factory.admins(admin.address)).to.equal(true);
+
+        await expect(factory.setAdmin(admin.address, false))
+          .to.emit(factory, "AdminUpdated")
+          .withArgs(admin.address, false);
+        expect(await factory.admins(admin.address)).to.equal(false);
+      });
+
+      it("should revert if non-owner grants admin", async function () {
+        await expect(
+          factory.connect(creator).setAdmin(creator.address, true)
+        ).to.be.revertedWithCustomError(factory, "OwnableUnauthorizedAccount");
+      });
+
+      it("should not allow admin to grant admin", async function () {
+        await factory.setAdmin(admin.address, true);
+
+        await expect(
+          factory.connect(admin).setAdmin(creator.address, true)
+        ).to.be.revertedWithCustomError(factory, "OwnableUnauthorizedAccount");
+      });
+    });
+
+    describe("Arbiters", function () {
+      it("should allow owner to grant and revoke arbiter", async function () {
+        await expect(factory.setArbiter(admin.address, true))
+          .to.emit(factory, "ArbiterUpdated")
+          .withArgs(admin.address, true);
+        expect(await factory.arbiters(admin.address)).to.equal(true);
+
+        await expect(factory.setArbiter(admin.address, false))
+          .to.emit(factory, "ArbiterUpdated")
+          .withArgs(admin.address, false);
+        expect(await factory.arbiters(admin.address)).to.equal(false);
+      });
+
+      it("should not allow admin to grant arbiter", async function () {
+        await factory.setAdmin(admin.address, true);
+
+        await expect(
+          factory.connect(admin).setArbiter(admin.address, true)
+        ).to.be.revertedWithCustomError(factory, "OwnableUnauthorizedAccount");
+      });
+    });
+
+    describe("setGovernor", function () {
+      it("should allow owner to update the governor and emit event", async function () {
+        const governor = accounts[7].address;
+
+        await expect(factory.setGovernor(governor))
+          .to.emit(factory, "GovernorUpdated")
+          .withArgs(ethers.ZeroAddress, governor);
+
+        expect(await factory.governor()).to.equal(governor);
+      });
+
+      it("should revert if caller is admin but not owner", async function () {
+        await factory.setAdmin(admin.address, true);
+
+        await expect(
+          factory.connect(admin).setGovernor(accounts[7].address)
+        ).to.be.revertedWithCustomError(factory, "OwnableUnauthorizedAccount");
+      });
+    });
+
+    describe("setTreasury", function () {
+      it("should update treasury and emit event", async function () {
+        await expect(factory.setTreasury(newTreasury.address))
+          .to.emit(factory, "TreasuryUpdated")
+          .withArgs(treasury.address, newTreasury.address);
+
+        expect(await factory.treasury()).to.equal(newTreasury.address);
+      });
+
+      it("should revert for zero address", async function () {
+        await expect(
+          factory.setTreasury(ethers.ZeroAddress)
+        ).to.be.revertedWithCustomError(factory, "InvalidTreasury");
+      });
+
+      it("should revert if caller is admin but not owner", async function () {
+        await factory.setAdmin(admin.address, true);
+
+        await expect(
+          factory.connect(admin).setTreasury(newTreasury.address)
+        ).to.be.revertedWithCustomError(factory, "OwnableUnauthorizedAccount");
+      });
+    });
+
+    describe("setPlatformFee", function () {
+      it("should allow owner to update fee and emit event", async function () {
+        await expect(factory.setPlatformFee(5))
+          .to.emit(factory, "PlatformFeeUpdated")
+          .withArgs(platformFee, 5);
+
+        expect(await factory.platformFee()).to.equal(5);
+      });
+
+      it("should allow admin to update fee", async function () {
+        await factory.setAdmin(admin.address, true);
+        await factory.connect(admin).setPlatformFee(5);
+
+        expect(await factory.platformFee()).to.equal(5);
+      });
+
+      it("should allow fee equal to the cap", async function () {
+        const maxPlatformFee = await factory.MAX_PLATFORM_FEE();
+        await factory.setPlatformFee(maxPlatformFee);
+
+        expect(await factory.platformFee()).to.equal(maxPlatformFee);
+      });
+
+      it("should revert if fee exceeds the cap", async function () {
+        const maxPlatformFee = await factory.MAX_PLATFORM_FEE();
+
+        await expect(
+          factory.setPlatformFee(maxPlatformFee + 1n)
+        ).to.be.revertedWithCustomError(factory, "PlatformFeeTooHigh");
+      });
+
+      it("should revert if caller is not admin", async function () {
+        await expect(
+          factory.connect(creator).setPlatformFee(5)
+        ).to.be.revertedWithCustomError(factory, "CallerIsNotAdmin");
+      });
+    });
+
+    describe("setMaxRoyaltyFee", function () {
+      it("should default to 10%", async function () {
+        expect(await factory.maxRoyaltyFee()).to.equal(1000);
+      });
+
+      it("should allow admin to update the cap and emit event", async function () {
+        await factory.setAdmin(admin.address, true);
+
+        await expect(factory.connect(admin).setMaxRoyaltyFee(500))
+          .to.emit(factory, "MaxRoyaltyFeeUpdated")
+          .withArgs(1000, 500);
+
+        expect(await factory.maxRoyaltyFee()).to.equal(500);
+      });
+
+      it("should revert if the cap exceeds 100%", async function () {
+        await expect(
+          factory.setMaxRoyaltyFee(10001)
+        ).to.be.revertedWithCustomError(factory, "RoyaltyFeeTooHigh");
+      });
+
+      it("should revert if caller is not admin", async function () {
+        await expect(
+          factory.connect(creator).setMaxRoyaltyFee(500)
+        ).to.be.revertedWithCustomError(factory, "CallerIsNotAdmin");
+      });
+    });
+
+    describe("setPricingCurve", function () {
+      it("should allow admin to allow and disallow a curve", async function () {
+        const curve = accounts[7].address;
+        await factory.setAdmin(admin.address, true);
+
+        await expect(factory.connect(admin).setPricingCurve(curve, true))
+          .to.emit(factory, "PricingCurveUpdated")
+          .withArgs(curve, true);
+        expect(await factory.pricingCurves(curve)).to.equal(true);
+
+        await factory.connect(admin).setPricingCurve(curve, false);
+        expect(await factory.pricingCurves(curve)).to.equal(false);
+      });
+
+      it("should revert if caller is not admin", async function () {
+        await expect(
+          factory.connect(creator).setPricingCurve(accounts[7].address, true)
+        ).to.be.revertedWithCustomError(factory, "CallerIsNotAdmin");
+      });
+    });
+
+    describe("setIncompatibleToken", function () {
+      it("should allow admin to flag and unflag a token", async function () {
+        const token = await mockPyUsd.getAddress();
+        await factory.setAdmin(admin.address, true);
+
+        await expect(factory.connect(admin).setIncompatibleToken(token, true))
+          .to.emit(factory, "IncompatibleTokenUpdated")
+          .withArgs(token, true);
+        expect(await factory.incompatibleTokens(token)).to.equal(true);
+
+        await factory.connect(admin).setIncompatibleToken(token, false);
+        expect(await factory.incompatibleTokens(token)).to.equal(false);
+      });
+
+      it("should revert if caller is not admin", async function () {
+        await expect(
+          factory.connect(creator).setIncompatibleToken(mockPyUsd, true)
+        ).to.be.revertedWithCustomError(factory, "CallerIsNotAdmin");
+      });
+    });
+
+    describe("setBaseUri", function () {
+      it("should allow admin to update base URI and emit event", async function () {
+        const newBaseUri = "ipfs://new/";
+        await factory.setAdmin(admin.address, true);
+
+        await expect(factory.connect(admin).setBaseUri(newBaseUri))
+          .to.emit(factory, "BaseUriUpdated")
+          .withArgs(newBaseUri);
+
+        expect(await factory.baseUri()).to.equal(newBaseUri);
+        expect(await factory.getBaseUri()).to.equal(newBaseUri);
+      });
+
+      it("should revert if caller is not admin", async function () {
+        await expect(
+          factory.connect(creator).setBaseUri("ipfs://new/")
+        ).to.be.revertedWithCustomError(factory, "CallerIsNotAdmin");
+      });
+    });
+
+    describe("setDeadlineExtensionLimits", function () {
+      it("should default to a single 30 day extension", async function () {
+        const [maxExtension, maxExtensions] =
+          await factory.getDeadlineExtensionLimits();
+
+        expect(maxExtension).to.equal(30 * 86400);
+        expect(maxExtensions).to.equal(1);
+      });
+
+      it("should allow admin to update the limits and emit event", async function () {
+        await factory.setAdmin(admin.address, true);
+
+        await expect(
+          factory.connect(admin).setDeadlineExtensionLimits(7 * 86400, 3)
+        )
+          .to.emit(factory, "DeadlineExtensionLimitsUpdated")
+          .withArgs(7 * 86400, 3);
+
+        expect(await factory.maxDeadlineExtension()).to.equal(7 * 86400);
+        expect(await factory.maxDeadlineExtensions()).to.equal(3);
+      });
+
+      it("should revert if caller is not admin", async function () {
+        await expect(
+          factory.connect(creator).setDeadlineExtensionLimits(86400, 1)
+        ).to.be.revertedWithCustomError(factory, "CallerIsNotAdmin");
+      });
+    });
+
+    describe("setMilestoneChallengeWindow", function () {
+      it("should default to 7 days", async function () {
+        expect(await factory.milestoneChallengeWindow()).to.equal(7 * 86400);
+      });
+
+      it("should allow admin to update the window and emit event", async function () {
+        await factory.setAdmin(admin.address, true);
+
+        await expect(
+          factory.connect(admin).setMilestoneChallengeWindow(4 * 86400)
+        )
+          .to.emit(factory, "MilestoneChallengeWindowUpdated")
+          .withArgs(4 * 86400);
+
+        expect(await factory.milestoneChallengeWindow()).to.equal(4 * 86400);
+      });
+
+      it("should revert if the window does not outlast the voting period", async function () {
+        await expect(
+          factory.setMilestoneChallengeWindow(3 * 86400)
+        ).to.be.revertedWithCustomError(factory, "InvalidChallengeWindow");
+      });
+
+      it("should revert if caller is not admin", async function () {
+        await expect(
+          factory.connect(creator).setMilestoneChallengeWindow(86400)
+        ).to.be.revertedWithCustomError(factory, "CallerIsNotAdmin");
+      });
+    });
+
+    describe("setVotingSettings", function () {
+      it("should default to a 3 day vote with a 20% quorum", async function () {
+        const [votingPeriod, votingQuorum] = await factory.getVotingSettings();
+
+        expect(votingPeriod).to.equal(3 * 86400);
+        expect(votingQuorum).to.equal(2000);
+      });
+
+      it("should allow admin to update the settings and emit event", async function () {
+        await factory.setAdmin(admin.address, true);
+
+        await expect(factory.connect(admin).setVotingSettings(86400, 5000))
+          .to.emit(factory, "VotingSettingsUpdated")
+          .withArgs(86400, 5000);
+
+        expect(await factory.votingPeriod()).to.equal(86400);
+        expect(await factory.votingQuorum()).to.equal(5000);
+      });
+
+      it("should revert for a zero voting period or a quorum above 100%", async function () {
+        await expect(
+          factory.setVotingSettings(0, 2000)
+        ).to.be.revertedWithCustomError(factory, "InvalidVotingSettings");
+        await expect(
+          factory.setVotingSettings(86400, 10001)
+        ).to.be.revertedWithCustomError(factory, "InvalidVotingSettings");
+      });
+
+      it("should revert if the voting period does not fit in the challenge window", async function () {
+        await expect(
+          factory.setVotingSettings(7 * 86400, 2000)
+        ).to.be.revertedWithCustomError(factory, "InvalidVotingSettings");
+      });
+
+      it("should revert if caller is not admin", async function () {
+        await expect(
+          factory.connect(creator).setVotingSettings(86400, 2000)
+        ).to.be.revertedWithCustomError(factory, "CallerIsNotAdmin");
+      });
+    });
+
+    describe("setMetadataRenderer", function () {
+      it("should allow admin to update the renderer and emit event", async function () {
+        const newRenderer = accounts[7].address;
+        await factory.setAdmin(admin.address, true);
+
+        await expect(factory.connect(admin).setMetadataRenderer(newRenderer))
+          .to.emit(factory, "MetadataRendererUpdated")
+          .withArgs(await metadataRenderer.getAddress(), newRenderer);
+
+        expect(await factory.metadataRenderer()).to.equal(newRenderer);
+      });
+
+      it("should revert for zero address", async function () {
+        await expect(
+          factory.setMetadataRenderer(ethers.ZeroAddress)
+        ).to.be.revertedWithCustomError(factory, "InvalidMetadataRenderer");
+      });
+
+      it("should revert if caller is not admin", async function () {
+        await expect(
+          factory.connect(creator).setMetadataRenderer(accounts[7].address)
+        ).to.be.revertedWithCustomError(factory, "CallerIsNotAdmin");
+      });
+    });
+
+    describe("Ownership transfer", function () {
+      it("should require the new owner to accept", async function () {
+        await factory.transferOwnership(admin.address);
+
+        expect(await factory.owner()).to.equal(owner.address);
+        expect(await factory.pendingOwner()).to.equal(admin.address);
+
+        await factory.connect(admin).acceptOwnership();
+
+        expect(await factory.owner()).to.equal(admin.address);
+        expect(await factory.pendingOwner()).to.equal(ethers.ZeroAddress);
+      });
+
+      it("should revert if someone else accepts", async function () {
+        await factory.transferOwnership(admin.address);
+
+        await expect(
+          factory.connect(creator).acceptOwnership()
+        ).to.be.revertedWithCustomError(factory, "OwnableUnauthorizedAccount");
+      });
+
+      it("should hand over owner-only settings to the new owner", async function () {
+        await factory.transferOwnership(admin.address);
+        await factory.connect(admin).acceptOwnership();
+
+        await expect(
+          factory.setTreasury(newTreasury.address)
+        ).to.be.revertedWithCustomError(factory, "OwnableUnauthorizedAccount");
+
+        await factory.connect(admin).setTreasury(newTreasury.address);
+        expect(await factory.treasury()).to.equal(newTreasury.address);
+      });
+    });
+
+    describe("Existing campaigns", function () {
+      let nft;
+      let buyer;
+
+      beforeEach(async function () {
+        buyer = accounts[3];
+
+        const currentBlock = await ethers.provider.getBlock("latest");
+        const tx = await factory.connect(creator).createCampaign(
+          buildCampaignParams({
+            name: "Test Campaign",
+            symbol: "TC",
+            minRequiredSales: minRequiredSales,
+            timestamp: currentBlock.timestamp + 86400,
+            startPrice: startPrice,
+            priceIncrement: priceIncrement,
+            paymentToken: await mockPyUsd.getAddress(),
+          })
+        );
+        const receipt = await tx.wait();
+
+        const event = receipt.logs.find(
+          (log) => log.fragment && log.fragment.name === "CampaignCreated"
+        );
+
+        nft = await ethers.getContractAt("NFT", event.args.campaignAddress);
+
+        await mockPyUsd.transfer(buyer.address, ethers.parseUnits("1000", 6));
+        await mockPyUsd
+          .connect(buyer)
+          .approve(await nft.getAddress(), ethers.parseUnits("1000", 6));
+      });
+
+      it("should send fees to the updated treasury", async function () {
+        await factory.setTreasury(newTreasury.address);
+
+        const mintPrice = await nft.getCurrentPriceToMint();
+        const feeValue = (mintPrice * BigInt(platformFee)) / 10000n;
+
+        await nft.connect(buyer).mint();
+
+        expect(await mockPyUsd.balanceOf(newTreasury.address)).to.equal(
+          feeValue
+        );
+        expect(await mockPyUsd.balanceOf(treasury.address)).to.equal(0);
+      });
+
+      it("should keep the platform fee fixed at campaign creation", async function () {
+        await factory.setPlatformFee(500);
+
+        const mintPrice = await nft.getCurrentPriceToMint();
+        const feeValue = (mintPrice * BigInt(platformFee)) / 10000n;
+
+        await nft.connect(buyer).mint();
+
+        expect(await nft.platformFee()).to.equal(platformFee);
+        expect(await mockPyUsd.balanceOf(treasury.address)).to.equal(feeValue);
+      });
+
+      it("should resolve token URIs against the updated base URI", async function () {
+        const newBaseUri = "ipfs://new/";
+
+        const tx = await nft.connect(buyer).mint();
+        const receipt = await tx.wait();
+        const event = receipt.logs.find(
+          (log) => log.fragment && log.fragment.name === "Mint"
+        );
+        const tokenId = event.args.tokenId;
+
+        const campaign = (await nft.getAddress()).toLowerCase();
+
+        expect(await nft.tokenURI(tokenId)).to.equal(
+          `${baseUri}${campaign}/${tokenId}`
+        );
+
+        await factory.setBaseUri(newBaseUri);
+
+        expect(await nft.tokenURI(tokenId)).to.equal(
+          `${newBaseUri}${campaign}/${tokenId}`
+        );
+      });
+    });
+  });
 });
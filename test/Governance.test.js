@@ -0,0 +1,605 @@
+import { expect } from "chai";
+import { network } from "hardhat";
+import Network from "./helpers/network.js";
+import { createCampaign } from "./helpers/campaign.js";
+import { deployFactory, deployGovernor } from "./helpers/factory.js";
+
+const { ethers } = await network.connect();
+
+const MilestoneRelease = 0;
+const DeadlineExtension = 1;
+const Cancellation = 2;
+
+const Active = 0;
+const Succeeded = 1;
+const Defeated = 2;
+const Expired = 3;
+const Executed = 4;
+
+describe("Governance", function () {
+  let accounts;
+  let creator;
+  let treasury;
+  let buyer1;
+  let buyer2;
+  let buyer3;
+  let lateBuyer;
+  let factory;
+  let governor;
+  let mockPyUsd;
+  let networkHelper;
+  let futureTimestamp;
+
+  const startPrice = ethers.parseUnits("25", 6);
+  const priceIncrement = ethers.parseUnits("1", 6);
+  const platformFee = 1000;
+  const baseUri = "https://placeholder.com/";
+  const minRequiredSales = 3;
+  const votingPeriod = 3 * 86400;
+
+  before("setup", async function () {
+    networkHelper = new Network(ethers.provider);
+    accounts = await ethers.getSigners();
+    creator = accounts[1];
+    treasury = accounts[2];
+    buyer1 = accounts[3];
+    buyer2 = accounts[4];
+    buyer3 = accounts[5];
+    lateBuyer = accounts[6];
+  });
+
+  beforeEach(async function () {
+    const MockPYUSD = await ethers.getContractFactory("MockPYUSD");
+    mockPyUsd = await MockPYUSD.deploy("PyUSD", "PYUSD", 6);
+
+    ({ factory } = await deployFactory(
+      ethers,
+      treasury.address,
+      platformFee,
+      baseUri
+    ));
+    governor = await deployGovernor(ethers, factory);
+
+    const currentBlock = await ethers.provider.getBlock("latest");
+    futureTimestamp = currentBlock.timestamp + 10 * 86400;
+
+    for (const buyer of [buyer1, buyer2, buyer3, lateBuyer]) {
+      await mockPyUsd.transfer(buyer.address, ethers.parseUnits("10000", 6));
+    }
+
+    await networkHelper.snapshot();
+  });
+
+  afterEach(async function () {
+    await networkHelper.revert();
+  });
+
+  async function newCampaign(params = {}) {
+    return createCampaign(
+      factory,
+      creator,
+      mockPyUsd,
+      {
+        minRequiredSales: minRequiredSales,
+        timestamp: futureTimestamp,
+        startPrice: startPrice,
+        priceIncrement: priceIncrement,
+        governed: true,
+        ...params,
+      },
+      [buyer1, buyer2, buyer3, lateBuyer]
+    );
+  }
+
+  // buyer1 holds two tokens, buyer2 and buyer3 one each.
+  async function createFundedCampaign(params = {}) {
+    const nft = await newCampaign(params);
+    await nft.connect(buyer1).mintBatch(2, ethers.MaxUint256);
+    await nft.connect(buyer2).mint();
+    await nft.connect(buyer3).mint();
+
+    return nft;
+  }
+
+  async function propose(nft, action, newTimestamp = 0) {
+    const tx = await governor
+      .connect(creator)
+      .propose(nft, action, newTimestamp);
+    const receipt = await tx.wait();
+
+    const event = receipt.logs.find(
+      (log) => log.fragment && log.fragment.name === "ProposalCreated"
+    );
+
+    return event.args.proposalId;
+  }
+
+  async function vote(proposalId, votes) {
+    for (const [voter, support] of votes) {
+      await governor.connect(voter).castVote(proposalId, support);
+    }
+    await networkHelper.increaseTime(votingPeriod);
+  }
+
+  describe("Governed campaigns", function () {
+    it("should store the governor of governed campaigns", async function () {
+      const nft = await newCampaign();
+      const ungoverned = await newCampaign({ governed: false });
+
+      expect(await nft.governor()).to.equal(await governor.getAddress());
+      expect(await ungoverned.governor()).to.equal(ethers.ZeroAddress);
+    });
+
+    it("should not let the creator cancel or extend directly", async function () {
+      const nft = await createFundedCampaign();
+
+      await expect(nft.connect(creator).cancel()).to.be.revertedWithCustomError(
+        nft,
+        "CallerIsNotGovernor"
+      );
+      await expect(
+        nft.connect(creator).extendDeadline(futureTimestamp + 86400)
+      ).to.be.revertedWithCustomError(nft, "CallerIsNotGovernor");
+    });
+
+    it("should keep the governor the campaign was created with", async function () {
+      const nft = await newCampaign();
+      await factory.setGovernor(ethers.ZeroAddress);
+
+      expect(await nft.governor()).to.equal(await governor.getAddress());
+      await expect(newCampaign()).to.be.revertedWithCustomError(
+        factory,
+        "GovernanceNotAvailable"
+      );
+    });
+  });
+
+  describe("Balance checkpoints", function () {
+    it("should record balances over time", async function () {
+      const nft = await newCampaign();
+      await nft.connect(buyer1).mintBatch(2, ethers.MaxUint256);
+      const mintedAt = (await ethers.provider.getBlock("latest")).timestamp;
+
+      await nft.connect(buyer1).transferFrom(buyer1, buyer2, 1);
+      const transferredAt = (await ethers.provider.getBlock("latest"))
+        .timestamp;
+      await networkHelper.increaseTime(1);
+
+      expect(await nft.getPastBalance(buyer1, mintedAt - 1)).to.equal(0);
+      expect(await nft.getPastBalance(buyer1, mintedAt)).to.equal(2);
+      expect(await nft.getPastBalance(buyer1, transferredAt)).to.equal(1);
+      expect(await nft.getPastBalance(buyer2, transferredAt - 1)).to.equal(0);
+      expect(await nft.getPastBalance(buyer2, transferredAt)).to.equal(1);
+    });
+
+    it("should record the total supply over time", async function () {
+      const nft = await newCampaign();
+      await nft.connect(buyer1).mintBatch(2, ethers.MaxUint256);
+      const firstMintAt = (await ethers.provider.getBlock("latest")).timestamp;
+
+      await nft.connect(buyer2).mint();
+      const secondMintAt = (await ethers.provider.getBlock("latest"))
+        .timestamp;
+      await networkHelper.increaseTime(1);
+
+      expect(await nft.getPastTotalSupply(firstMintAt - 1)).to.equal(0);
+      expect(await nft.getPastTotalSupply(firstMintAt)).to.equal(2);
+      expect(await nft.getPastTotalSupply(secondMintAt)).to.equal(3);
+    });
+
+    it("should revert for timepoints that are not past", async function () {
+      const nft = await newCampaign();
+      const now = (await ethers.provider.getBlock("latest")).timestamp;
+
+      await expect(nft.getPastBalance(buyer1, now + 1))
+        .to.be.revertedWithCustomError(nft, "FutureLookup")
+        .withArgs(now + 1);
+      await expect(nft.getPastTotalSupply(now + 1))
+        .to.be.revertedWithCustomError(nft, "FutureLookup")
+        .withArgs(now + 1);
+    });
+  });
+
+  describe("Proposals", function () {
+    it("should open a proposal with a snapshot and quorum", async function () {
+      const nft = await createFundedCampaign();
+      await factory.setVotingSettings(votingPeriod, 5000);
+
+      const tx = governor
+        .connect(creator)
+        .propose(nft, DeadlineExtension, futureTimestamp + 86400);
+      const openedAt = (await ethers.provider.getBlock("latest")).timestamp + 1;
+
+      await expect(tx)
+        .to.emit(governor, "ProposalCreated")
+        .withArgs(
+          0,
+          await nft.getAddress(),
+          DeadlineExtension,
+          futureTimestamp + 86400,
+          openedAt - 1,
+          openedAt + votingPeriod,
+          2
+        );
+
+      const proposal = await governor.getProposal(0);
+      expect(proposal.campaign).to.equal(await nft.getAddress());
+      expect(proposal.quorum).to.equal(2);
+      expect(await governor.getProposalsCount()).to.equal(1);
+      expect(await governor.state(0)).to.equal(Active);
+    });
+
+    it("should take the quorum from the supply at the snapshot", async function () {
+      const nft = await createFundedCampaign();
+      await factory.setVotingSettings(votingPeriod, 10000);
+
+      // A mint in the same block as the proposal is not part of the snapshot.
+      await ethers.provider.send("evm_setAutomine", [false]);
+      await nft.connect(lateBuyer).mint();
+      await governor.connect(creator).propose(nft, Cancellation, 0);
+      await ethers.provider.send("evm_mine", []);
+      await ethers.provider.send("evm_setAutomine", [true]);
+
+      expect(await nft.totalSupply()).to.equal(5);
+      expect((await governor.getProposal(0)).quorum).to.equal(4);
+    });
+
+    it("should revert if caller is not the creator", async function () {
+      const nft = await createFundedCampaign();
+
+      await expect(
+        governor.connect(buyer1).propose(nft, Cancellation, 0)
+      ).to.be.revertedWithCustomError(governor, "CallerIsNotCreator");
+    });
+
+    it("should revert for campaigns that are not governed", async function () {
+      const nft = await newCampaign({ governed: false });
+
+      await expect(
+        governor.connect(creator).propose(nft, Cancellation, 0)
+      ).to.be.revertedWithCustomError(governor, "CampaignNotGoverned");
+    });
+
+    it("should revert for unknown campaigns", async function () {
+      await expect(
+        governor.connect(creator).propose(accounts[7].address, Cancellation, 0)
+      ).to.be.revertedWithCustomError(governor, "NotACampaign");
+    });
+
+    it("should revert for unknown proposals", async function () {
+      await expect(governor.state(0)).to.be.revertedWithCustomError(
+        governor,
+        "InvalidProposal"
+      );
+      await expect(governor.getProposal(0)).to.be.revertedWithCustomError(
+        governor,
+        "InvalidProposal"
+      );
+    });
+  });
+
+  describe("Voting", function () {
+    it("should weigh votes by the tokens held at the snapshot", async function () {
+      const nft = await createFundedCampaign();
+      const proposalId = await propose(nft, Cancellation);
+
+      await expect(governor.connect(buyer1).castVote(proposalId, true))
+        .to.emit(governor, "VoteCast")
+        .withArgs(proposalId, buyer1.address, true, 2);
+      await governor.connect(buyer2).castVote(proposalId, false);
+
+      const proposal = await governor.getProposal(proposalId);
+      expect(proposal.forVotes).to.equal(2);
+      expect(proposal.againstVotes).to.equal(1);
+      expect(await governor.hasVoted(proposalId, buyer1)).to.equal(true);
+      expect(await governor.hasVoted(proposalId, buyer3)).to.equal(false);
+    });
+
+    it("should not count tokens bought after the proposal opened", async function () {
+      const nft = await createFundedCampaign();
+      const proposalId = await propose(nft, Cancellation);
+
+      await nft.connect(lateBuyer).mint();
+
+      await expect(
+        governor.connect(lateBuyer).castVote(proposalId, true)
+      ).to.be.revertedWithCustomError(governor, "NoVotingPower");
+    });
+
+    it("should not let transferred tokens vote twice", async function () {
+      const nft = await createFundedCampaign();
+      const proposalId = await propose(nft, Cancellation);
+
+      await governor.connect(buyer2).castVote(proposalId, true);
+      await nft.connect(buyer2).transferFrom(buyer2, lateBuyer, 3);
+
+      await expect(
+        governor.connect(lateBuyer).castVote(proposalId, true)
+      ).to.be.revertedWithCustomError(governor, "NoVotingPower");
+    });
+
+    it("should let holders vote with tokens they sold after the snapshot", async function () {
+      const nft = await createFundedCampaign();
+      const proposalId = await propose(nft, Cancellation);
+
+      await nft.connect(buyer1).transferFrom(buyer1, lateBuyer, 1);
+
+      await expect(governor.connect(buyer1).castVote(proposalId, false))
+        .to.emit(governor, "VoteCast")
+        .withArgs(proposalId, buyer1.address, false, 2);
+    });
+
+    it("should revert if the voter already voted", async function () {
+      const nft = await createFundedCampaign();
+      const proposalId = await propose(nft, Cancellation);
+      await governor.connect(buyer1).castVote(proposalId, true);
+
+      await expect(
+        governor.connect(buyer1).castVote(proposalId, false)
+      ).to.be.revertedWithCustomError(governor, "AlreadyVoted");
+    });
+
+    it("should revert after the voting period", async function () {
+      const nft = await createFundedCampaign();
+      const proposalId = await propose(nft, Cancellation);
+      await networkHelper.increaseTime(votingPeriod);
+
+      await expect(
+        governor.connect(buyer1).castVote(proposalId, true)
+      ).to.be.revertedWithCustomError(governor, "VotingClosed");
+    });
+  });
+
+  describe("Execution", function () {
+    it("should extend the deadline when the holders approve", async function () {
+      const nft = await createFundedCampaign();
+      const newTimestamp = futureTimestamp + 7 * 86400;
+      const proposalId = await propose(nft, DeadlineExtension, newTimestamp);
+      await vote(proposalId, [
+        [buyer1, true],
+        [buyer2, false],
+      ]);
+
+      expect(await governor.state(proposalId)).to.equal(Succeeded);
+
+      await expect(governor.execute(proposalId))
+        .to.emit(governor, "ProposalExecuted")
+        .withArgs(proposalId, true)
+        .and.to.emit(nft, "DeadlineExtended")
+        .withArgs(futureTimestamp, newTimestamp);
+
+      expect(await nft.timestamp()).to.equal(newTimestamp);
+      expect(await governor.state(proposalId)).to.equal(Executed);
+      await expect(governor.execute(proposalId)).to.be.revertedWithCustomError(
+        governor,
+        "ExecutionNotAllowed"
+      );
+    });
+
+    it("should cancel the campaign when the holders approve", async function () {
+      const nft = await createFundedCampaign();
+      const proposalId = await propose(nft, Cancellation);
+      await vote(proposalId, [
+        [buyer2, true],
+        [buyer3, true],
+      ]);
+
+      await expect(governor.execute(proposalId))
+        .to.emit(nft, "CampaignCancelled")
+        .withArgs(4);
+
+      const holder = await nft.getHolderByTokenId(1);
+      await expect(nft.connect(buyer1).claimRefund(1)).to.changeTokenBalance(
+        ethers,
+        mockPyUsd,
+        buyer1,
+        holder.mintPrice
+      );
+    });
+
+    it("should not execute a defeated proposal", async function () {
+      const nft = await createFundedCampaign();
+      const proposalId = await propose(nft, Cancellation);
+      await vote(proposalId, [
+        [buyer1, false],
+        [buyer2, true],
+      ]);
+
+      expect(await governor.state(proposalId)).to.equal(Defeated);
+      await expect(governor.execute(proposalId)).to.be.revertedWithCustomError(
+        governor,
+        "ExecutionNotAllowed"
+      );
+    });
+
+    it("should not execute a proposal below the quorum", async function () {
+      const nft = await createFundedCampaign();
+      await factory.setVotingSettings(votingPeriod, 5000);
+      const proposalId = await propose(nft, Cancellation);
+      await vote(proposalId, [[buyer2, true]]);
+
+      expect(await governor.state(proposalId)).to.equal(Expired);
+      await expect(governor.execute(proposalId)).to.be.revertedWithCustomError(
+        governor,
+        "ExecutionNotAllowed"
+      );
+    });
+
+    it("should treat a tie as expired", async function () {
+      const nft = await createFundedCampaign();
+      const proposalId = await propose(nft, Cancellation);
+      await vote(proposalId, [
+        [buyer2, true],
+        [buyer3, false],
+      ]);
+
+      expect(await governor.state(proposalId)).to.equal(Expired);
+    });
+
+    it("should not execute before the voting period ends", async function () {
+      const nft = await createFundedCampaign();
+      const proposalId = await propose(nft, Cancellation);
+      await governor.connect(buyer1).castVote(proposalId, true);
+
+      await expect(governor.execute(proposalId)).to.be.revertedWithCustomError(
+        governor,
+        "ExecutionNotAllowed"
+      );
+    });
+
+    it("should revert if the campaign no longer allows the action", async function () {
+      const nft = await createFundedCampaign();
+      const proposalId = await propose(
+        nft,
+        DeadlineExtension,
+        futureTimestamp + 86400
+      );
+      await governor.connect(buyer1).castVote(proposalId, true);
+      await networkHelper.setTime(futureTimestamp);
+
+      await expect(governor.execute(proposalId)).to.be.revertedWithCustomError(
+        nft,
+        "DeadlineExtensionNotAllowed"
+      );
+    });
+  });
+
+  describe("Milestones", function () {
+    async function submitMilestone() {
+      const nft = await createFundedCampaign({ milestoneShares: [5000, 5000] });
+      await networkHelper.setTime(futureTimestamp);
+      await factory.connect(creator).submitMilestone(nft);
+
+      return nft;
+    }
+
+    it("should record the milestone the proposal is for", async function () {
+      const nft = await submitMilestone();
+      const proposalId = await propose(nft, MilestoneRelease);
+
+      expect((await governor.getProposal(proposalId)).milestone).to.equal(0);
+    });
+
+    it("should release the milestone when the holders approve", async function () {
+      const nft = await submitMilestone();
+      const proposalId = await propose(nft, MilestoneRelease);
+      await vote(proposalId, [[buyer1, true]]);
+
+      await expect(governor.execute(proposalId))
+        .to.emit(factory, "MilestoneReleased")
+        .withArgs(await nft.getAddress(), 0);
+
+      const [releasedShare] = await factory.getMilestoneRelease(nft);
+      expect(releasedShare).to.equal(5000);
+    });
+
+    it("should reject the milestone when the holders vote it down", async function () {
+      const nft = await submitMilestone();
+      const proposalId = await propose(nft, MilestoneRelease);
+      await vote(proposalId, [
+        [buyer1, false],
+        [buyer2, true],
+      ]);
+
+      await expect(governor.execute(proposalId))
+        .to.emit(governor, "ProposalExecuted")
+        .withArgs(proposalId, false)
+        .and.to.emit(factory, "MilestoneRejected")
+        .withArgs(await nft.getAddress(), 0);
+
+      const holder = await nft.getHolderByTokenId(3);
+      await expect(nft.connect(buyer2).claimRefund(3)).to.changeTokenBalance(
+        ethers,
+        mockPyUsd,
+        buyer2,
+        holder.mintPrice
+      );
+    });
+
+    it("should not carry an approval over to the next milestone", async function () {
+      const nft = await submitMilestone();
+      const firstProposalId = await propose(nft, MilestoneRelease);
+      const secondProposalId = await propose(nft, MilestoneRelease);
+      await governor.connect(buyer1).castVote(firstProposalId, true);
+      await vote(secondProposalId, [[buyer1, true]]);
+
+      await governor.execute(firstProposalId);
+      await factory.connect(creator).submitMilestone(nft);
+
+      await expect(
+        governor.execute(secondProposalId)
+      ).to.be.revertedWithCustomError(governor, "ExecutionNotAllowed");
+      expect((await factory.getMilestones(nft)).released).to.equal(1);
+    });
+
+    it("should not release the milestone after the window without a vote", async function () {
+      const nft = await submitMilestone();
+      await networkHelper.increaseTime(7 * 86400);
+
+      await expect(factory.releaseMilestone(nft)).to.be.revertedWithCustomError(
+        factory,
+        "MilestoneReleaseNotAllowed"
+      );
+    });
+
+    it("should not let arbiters release the milestone without a vote", async function () {
+      const nft = await submitMilestone();
+      await factory.setArbiter(accounts[7].address, true);
+
+      await expect(
+        factory.connect(accounts[7]).approveMilestone(nft)
+      ).to.be.revertedWithCustomError(factory, "MilestoneReleaseNotAllowed");
+    });
+
+    it("should still let arbiters reject the milestone", async function () {
+      const nft = await submitMilestone();
+      await factory.setArbiter(accounts[7].address, true);
+
+      await expect(factory.connect(accounts[7]).rejectMilestone(nft))
+        .to.emit(factory, "MilestoneRejected")
+        .withArgs(await nft.getAddress(), 0);
+    });
+
+    it("should reject the milestone after the window when the holders vote it down", async function () {
+      const nft = await submitMilestone();
+      await networkHelper.increaseTime(6 * 86400);
+      const proposalId = await propose(nft, MilestoneRelease);
+      await vote(proposalId, [[buyer1, false]]);
+
+      await expect(governor.execute(proposalId))
+        .to.emit(factory, "MilestoneRejected")
+        .withArgs(await nft.getAddress(), 0);
+    });
+
+    it("should let the creator call a new vote after a missed quorum", async function () {
+      const nft = await submitMilestone();
+      await factory.setVotingSettings(votingPeriod, 5000);
+      const firstProposalId = await propose(nft, MilestoneRelease);
+      await vote(firstProposalId, [[buyer2, true]]);
+
+      expect(await governor.state(firstProposalId)).to.equal(Expired);
+
+      const secondProposalId = await propose(nft, MilestoneRelease);
+      await vote(secondProposalId, [
+        [buyer1, true],
+        [buyer2, true],
+      ]);
+
+      await expect(governor.execute(secondProposalId))
+        .to.emit(factory, "MilestoneReleased")
+        .withArgs(await nft.getAddress(), 0);
+    });
+
+    it("should not reject the milestone without a quorum", async function () {
+      const nft = await submitMilestone();
+      await factory.setVotingSettings(votingPeriod, 5000);
+      const proposalId = await propose(nft, MilestoneRelease);
+      await vote(proposalId, [[buyer2, false]]);
+
+      await expect(governor.execute(proposalId)).to.be.revertedWithCustomError(
+        governor,
+        "ExecutionNotAllowed"
+      );
+    });
+  });
+});
@@ -0,0 +1,244 @@
+import { expect } from "chai";
+import { network } from "hardhat";
+import Network from "./helpers/network.js";
+import { createCampaign } from "./helpers/campaign.js";
+import { deployFactory } from "./helpers/factory.js";
+
+const { ethers } = await network.connect();
+
+const JSON_PREFIX = "data:application/json;base64,";
+
+function decodeTokenUri(tokenUri) {
+  expect(tokenUri.startsWith(JSON_PREFIX)).to.equal(true);
+
+  return JSON.parse(
+    Buffer.from(tokenUri.slice(JSON_PREFIX.length), "base64").toString("utf8")
+  );
+}
+
+function attribute(metadata, traitType) {
+  return metadata.attributes.find((a) => a.trait_type === traitType).value;
+}
+
+describe("Metadata", function () {
+  let accounts;
+  let creator;
+  let treasury;
+  let buyer;
+  let factory;
+  let mockPyUsd;
+  let networkHelper;
+  let futureTimestamp;
+
+  const startPrice = ethers.parseUnits("25", 6);
+  const priceIncrement = ethers.parseUnits("1", 6);
+  const platformFee = 1000;
+  const minRequiredSales = 10;
+
+  before("setup", async function () {
+    networkHelper = new Network(ethers.provider);
+    accounts = await ethers.getSigners();
+    creator = accounts[1];
+    treasury = accounts[2];
+    buyer = accounts[3];
+  });
+
+  beforeEach(async function () {
+    const MockPYUSD = await ethers.getContractFactory("MockPYUSD");
+    mockPyUsd = await MockPYUSD.deploy("PyUSD", "PYUSD", 6);
+    await mockPyUsd.waitForDeployment();
+
+    ({ factory } = await deployFactory(
+      ethers,
+      treasury.address,
+      platformFee,
+      ""
+    ));
+
+    const currentBlock = await ethers.provider.getBlock("latest");
+    futureTimestamp = currentBlock.timestamp + 86400;
+
+    await mockPyUsd.transfer(buyer.address, ethers.parseUnits("10000", 6));
+
+    await networkHelper.snapshot();
+  });
+
+  afterEach(async function () {
+    await networkHelper.revert();
+  });
+
+  async function newCampaign(params = {}) {
+    return createCampaign(
+      factory,
+      creator,
+      mockPyUsd,
+      {
+        minRequiredSales: minRequiredSales,
+        timestamp: futureTimestamp,
+        startPrice: startPrice,
+        priceIncrement: priceIncrement,
+        ...params,
+      },
+      [buyer]
+    );
+  }
+
+  describe("On-chain JSON", function () {
+    it("should describe the token when no URI is configured", async function () {
+      const nft = await newCampaign();
+      await nft.connect(buyer).mintBatch(2, ethers.MaxUint256);
+
+      const metadata = decodeTokenUri(await nft.tokenURI(2));
+
+      expect(metadata.name).to.equal("Test Campaign #2");
+      expect(attribute(metadata, "Campaign")).to.equal("Test Campaign");
+      expect(attribute(metadata, "Mint Order")).to.equal(2);
+      expect(attribute(metadata, "Mint Price")).to.equal(
+        Number(startPrice + priceIncrement)
+      );
+      expect(attribute(metadata, "Perk")).to.equal("");
+      expect(attribute(metadata, "Redeemed")).to.equal("No");
+    });
+
+    it("should escape the campaign name", async function () {
+      const nft = await newCampaign({ name: 'The "Best" \\ Campaign' });
+      await nft.connect(buyer).mint();
+
+      const metadata = decodeTokenUri(await nft.tokenURI(1));
+
+      expect(metadata.name).to.equal('The "Best" \\ Campaign #1');
+      expect(attribute(metadata, "Campaign")).to.equal(
+        'The "Best" \\ Campaign'
+      );
+    });
+
+    it("should include the perk tier name", async function () {
+      const nft = await newCampaign({
+        perkTiers: [{ name: "Backer", uri: "", maxPosition: 0, minPrice: 0 }],
+      });
+      await nft.connect(buyer).mint();
+
+      const metadata = decodeTokenUri(await nft.tokenURI(1));
+
+      expect(attribute(metadata, "Perk")).to.equal("Backer");
+    });
+
+    it("should show the redemption status", async function () {
+      const nft = await newCampaign({ minRequiredSales: 1 });
+      await nft.connect(buyer).mint();
+
+      await nft.connect(buyer).redeem(1, "0x");
+      let metadata = decodeTokenUri(await nft.tokenURI(1));
+      expect(attribute(metadata, "Redeemed")).to.equal("Requested");
+
+      await nft.connect(creator).fulfillRedemption(1);
+      metadata = decodeTokenUri(await nft.tokenURI(1));
+      expect(attribute(metadata, "Redeemed")).to.equal("Fulfilled");
+    });
+
+    it("should revert for a nonexistent token", async function () {
+      const nft = await newCampaign();
+
+      await expect(nft.tokenURI(1)).to.be.revertedWithCustomError(
+        nft,
+        "ERC721NonexistentToken"
+      );
+    });
+  });
+
+  describe("Perk tiers", function () {
+    it("should not match any tier when none are configured", async function () {
+      const nft = await newCampaign();
+      await nft.connect(buyer).mint();
+
+      const [found] = await nft.getPerkTierIndex(1);
+
+      expect(found).to.equal(false);
+    });
+
+    it("should assign tiers by mint position", async function () {
+      const nft = await newCampaign({
+        perkTiers: [
+          { name: "Founder", uri: "", maxPosition: 2, minPrice: 0 },
+          { name: "Backer", uri: "", maxPosition: 0, minPrice: 0 },
+        ],
+      });
+      await nft.connect(buyer).mintBatch(3, ethers.MaxUint256);
+
+      expect(await nft.getPerkTierIndex(1)).to.deep.equal([true, 0n]);
+      expect(await nft.getPerkTierIndex(2)).to.deep.equal([true, 0n]);
+      expect(await nft.getPerkTierIndex(3)).to.deep.equal([true, 1n]);
+    });
+
+    it("should assign tiers by mint price", async function () {
+      const nft = await newCampaign({
+        perkTiers: [
+          {
+            name: "Premium",
+            uri: "",
+            maxPosition: 0,
+            minPrice: startPrice + priceIncrement * 2n,
+          },
+          { name: "Standard", uri: "", maxPosition: 0, minPrice: 0 },
+        ],
+      });
+      await nft.connect(buyer).mintBatch(4, ethers.MaxUint256);
+
+      expect(await nft.getPerkTierIndex(2)).to.deep.equal([true, 1n]);
+      expect(await nft.getPerkTierIndex(3)).to.deep.equal([true, 0n]);
+      expect(await nft.getPerkTierIndex(4)).to.deep.equal([true, 0n]);
+    });
+
+    it("should leave tokens outside every tier without a perk", async function () {
+      const nft = await newCampaign({
+        perkTiers: [{ name: "Founder", uri: "", maxPosition: 1, minPrice: 0 }],
+      });
+      await nft.connect(buyer).mintBatch(2, ethers.MaxUint256);
+
+      const [found] = await nft.getPerkTierIndex(2);
+
+      expect(found).to.equal(false);
+    });
+  });
+
+  describe("URI resolution", function () {
+    it("should use the perk tier URI first", async function () {
+      const nft = await newCampaign({
+        metadataUri: "ipfs://campaign/",
+        perkTiers: [
+          {
+            name: "Founder",
+            uri: "ipfs://founder",
+            maxPosition: 1,
+            minPrice: 0,
+          },
+          { name: "Backer", uri: "", maxPosition: 0, minPrice: 0 },
+        ],
+      });
+      await nft.connect(buyer).mintBatch(2, ethers.MaxUint256);
+
+      expect(await nft.tokenURI(1)).to.equal("ipfs://founder");
+      expect(await nft.tokenURI(2)).to.equal("ipfs://campaign/2");
+    });
+
+    it("should use the campaign metadata URI over the base URI", async function () {
+      await factory.setBaseUri("https://placeholder.com/");
+      const nft = await newCampaign({ metadataUri: "ipfs://campaign/" });
+      await nft.connect(buyer).mint();
+
+      expect(await nft.tokenURI(1)).to.equal("ipfs://campaign/1");
+    });
+
+    it("should namespace the base URI by campaign", async function () {
+      await factory.setBaseUri("https://placeholder.com/");
+      const nft = await newCampaign();
+      await nft.connect(buyer).mint();
+
+      const campaign = (await nft.getAddress()).toLowerCase();
+
+      expect(await nft.tokenURI(1)).to.equal(
+        `https://placeholder.com/${campaign}/1`
+      );
+    });
+  });
+});
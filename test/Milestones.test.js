@@ -0,0 +1,465 @@
+import { expect } from "chai";
+import { network } from "hardhat";
+import Network from "./helpers/network.js";
+import { createCampaign } from "./helpers/campaign.js";
+import { deployFactory } from "./helpers/factory.js";
+
+const { ethers } = await network.connect();
+
+describe("Milestones", function () {
+  let accounts;
+  let creator;
+  let treasury;
+  let buyer1;
+  let buyer2;
+  let arbiter;
+  let factory;
+  let mockPyUsd;
+  let networkHelper;
+  let futureTimestamp;
+
+  const startPrice = ethers.parseUnits("25", 6);
+  const priceIncrement = ethers.parseUnits("1", 6);
+  const platformFee = 1000;
+  const baseUri = "https://placeholder.com/";
+  const minRequiredSales = 3;
+  const milestoneShares = [3000, 3000, 4000];
+  const challengeWindow = 7 * 86400;
+
+  before("setup", async function () {
+    networkHelper = new Network(ethers.provider);
+    accounts = await ethers.getSigners();
+    creator = accounts[1];
+    treasury = accounts[2];
+    buyer1 = accounts[3];
+    buyer2 = accounts[4];
+    arbiter = accounts[5];
+  });
+
+  beforeEach(async function () {
+    const MockPYUSD = await ethers.getContractFactory("MockPYUSD");
+    mockPyUsd = await MockPYUSD.deploy("PyUSD", "PYUSD", 6);
+
+    ({ factory } = await deployFactory(
+      ethers,
+      treasury.address,
+      platformFee,
+      baseUri
+    ));
+    await factory.setArbiter(arbiter.address, true);
+
+    const currentBlock = await ethers.provider.getBlock("latest");
+    futureTimestamp = currentBlock.timestamp + 86400;
+
+    await mockPyUsd.transfer(buyer1.address, ethers.parseUnits("10000", 6));
+    await mockPyUsd.transfer(buyer2.address, ethers.parseUnits("10000", 6));
+
+    await networkHelper.snapshot();
+  });
+
+  afterEach(async function () {
+    await networkHelper.revert();
+  });
+
+  async function newCampaign(params = {}) {
+    return createCampaign(
+      factory,
+      creator,
+      mockPyUsd,
+      {
+        minRequiredSales: minRequiredSales,
+        timestamp: futureTimestamp,
+        startPrice: startPrice,
+        priceIncrement: priceIncrement,
+        milestoneShares: milestoneShares,
+        ...params,
+      },
+      [buyer1, buyer2]
+    );
+  }
+
+  // Sells out the goal and lets the sale end so the milestones can start.
+  async function createFundedCampaign(params = {}) {
+    const nft = await newCampaign(params);
+    await nft.connect(buyer1).mintBatch(2, ethers.MaxUint256);
+    await nft.connect(buyer2).mint();
+    await networkHelper.setTime(futureTimestamp);
+
+    return nft;
+  }
+
+  async function releaseNext(nft) {
+    await factory.connect(creator).submitMilestone(nft);
+    await factory.connect(arbiter).approveMilestone(nft);
+  }
+
+  function share(amount, bps) {
+    return (amount * BigInt(bps)) / 10000n;
+  }
+
+  describe("Setup", function () {
+    it("should store the milestone shares of the campaign", async function () {
+      const nft = await newCampaign();
+
+      const milestones = await factory.getMilestones(nft);
+      expect(milestones.shares).to.deep.equal(milestoneShares.map(BigInt));
+      expect(milestones.released).to.equal(0);
+      expect(milestones.releasedShare).to.equal(0);
+      expect(milestones.unlocksAt).to.equal(0);
+      expect(milestones.rejected).to.equal(false);
+
+      const [releasedShare, rejected] = await factory.getMilestoneRelease(nft);
+      expect(releasedShare).to.equal(0);
+      expect(rejected).to.equal(false);
+    });
+
+    it("should release everything for campaigns without milestones", async function () {
+      const nft = await newCampaign({ milestoneShares: [] });
+
+      const [releasedShare, rejected] = await factory.getMilestoneRelease(nft);
+      expect(releasedShare).to.equal(10000);
+      expect(rejected).to.equal(false);
+    });
+
+    it("should let the creator withdraw everything without milestones", async function () {
+      const nft = await createFundedCampaign({ milestoneShares: [] });
+      const withdrawalAmount = await nft.withdrawalAmount(mockPyUsd);
+
+      await expect(
+        nft.connect(creator).withdrawCreatorsFunds()
+      ).to.changeTokenBalance(ethers, mockPyUsd, creator, withdrawalAmount);
+    });
+  });
+
+  describe("Submission", function () {
+    it("should start the challenge window", async function () {
+      const nft = await createFundedCampaign();
+
+      const tx = factory.connect(creator).submitMilestone(nft);
+      const unlocksAt =
+        (await ethers.provider.getBlock("latest")).timestamp +
+        1 +
+        challengeWindow;
+
+      await expect(tx)
+        .to.emit(factory, "MilestoneSubmitted")
+        .withArgs(await nft.getAddress(), 0, unlocksAt);
+      expect((await factory.getMilestones(nft)).unlocksAt).to.equal(unlocksAt);
+    });
+
+    it("should use the challenge window in force at submission", async function () {
+      const nft = await createFundedCampaign();
+      await factory.setMilestoneChallengeWindow(4 * 86400);
+
+      await factory.connect(creator).submitMilestone(nft);
+      const submittedAt = (await ethers.provider.getBlock("latest")).timestamp;
+
+      expect((await factory.getMilestones(nft)).unlocksAt).to.equal(
+        submittedAt + 4 * 86400
+      );
+    });
+
+    it("should revert before the sale has ended", async function () {
+      const nft = await newCampaign();
+      await nft.connect(buyer1).mintBatch(3, ethers.MaxUint256);
+
+      await expect(
+        factory.connect(creator).submitMilestone(nft)
+      ).to.be.revertedWithCustomError(factory, "MilestoneSubmissionNotAllowed");
+    });
+
+    it("should revert if the campaign failed", async function () {
+      const nft = await newCampaign();
+      await nft.connect(buyer1).mint();
+      await networkHelper.setTime(futureTimestamp);
+
+      await expect(
+        factory.connect(creator).submitMilestone(nft)
+      ).to.be.revertedWithCustomError(factory, "MilestoneSubmissionNotAllowed");
+    });
+
+    it("should revert if the milestone is already submitted", async function () {
+      const nft = await createFundedCampaign();
+      await factory.connect(creator).submitMilestone(nft);
+
+      await expect(
+        factory.connect(creator).submitMilestone(nft)
+      ).to.be.revertedWithCustomError(factory, "MilestoneSubmissionNotAllowed");
+    });
+
+    it("should revert for campaigns without milestones", async function () {
+      const nft = await createFundedCampaign({ milestoneShares: [] });
+
+      await expect(
+        factory.connect(creator).submitMilestone(nft)
+      ).to.be.revertedWithCustomError(factory, "MilestoneSubmissionNotAllowed");
+    });
+
+    it("should revert if caller is not the creator", async function () {
+      const nft = await createFundedCampaign();
+
+      await expect(
+        factory.connect(buyer1).submitMilestone(nft)
+      ).to.be.revertedWithCustomError(factory, "CallerIsNotCreator");
+    });
+
+    it("should revert for unknown campaigns", async function () {
+      await expect(
+        factory.connect(creator).submitMilestone(accounts[7].address)
+      ).to.be.revertedWithCustomError(factory, "NotACampaign");
+    });
+  });
+
+  describe("Release", function () {
+    it("should hold back the creator's funds until a milestone is released", async function () {
+      const nft = await createFundedCampaign();
+
+      await expect(
+        nft.connect(creator).withdrawCreatorsFunds()
+      ).to.changeTokenBalance(ethers, mockPyUsd, creator, 0);
+    });
+
+    it("should let an arbiter approve a submitted milestone", async function () {
+      const nft = await createFundedCampaign();
+      const withdrawalAmount = await nft.withdrawalAmount(mockPyUsd);
+      await factory.connect(creator).submitMilestone(nft);
+
+      await expect(factory.connect(arbiter).approveMilestone(nft))
+        .to.emit(factory, "MilestoneReleased")
+        .withArgs(await nft.getAddress(), 0);
+
+      const milestones = await factory.getMilestones(nft);
+      expect(milestones.released).to.equal(1);
+      expect(milestones.releasedShare).to.equal(3000);
+      expect(milestones.unlocksAt).to.equal(0);
+
+      await expect(
+        nft.connect(creator).withdrawCreatorsFunds()
+      ).to.changeTokenBalance(
+        ethers,
+        mockPyUsd,
+        creator,
+        share(withdrawalAmount, 3000)
+      );
+    });
+
+    it("should let anyone release a milestone after the challenge window", async function () {
+      const nft = await createFundedCampaign();
+      await factory.connect(creator).submitMilestone(nft);
+
+      await expect(
+        factory.connect(buyer1).releaseMilestone(nft)
+      ).to.be.revertedWithCustomError(factory, "MilestoneReleaseNotAllowed");
+
+      await networkHelper.increaseTime(challengeWindow);
+
+      await expect(factory.connect(buyer1).releaseMilestone(nft))
+        .to.emit(factory, "MilestoneReleased")
+        .withArgs(await nft.getAddress(), 0);
+    });
+
+    it("should release the creator's funds one milestone at a time", async function () {
+      const nft = await createFundedCampaign();
+      const withdrawalAmount = await nft.withdrawalAmount(mockPyUsd);
+
+      await releaseNext(nft);
+      await nft.connect(creator).withdrawCreatorsFunds();
+      expect(await nft.totalEarnedByCreator(mockPyUsd)).to.equal(
+        share(withdrawalAmount, 3000)
+      );
+
+      await releaseNext(nft);
+      await releaseNext(nft);
+      await nft.connect(creator).withdrawCreatorsFunds();
+
+      expect(await nft.totalEarnedByCreator(mockPyUsd)).to.equal(
+        withdrawalAmount
+      );
+      expect(await nft.withdrawalAmount(mockPyUsd)).to.equal(0);
+      expect(await mockPyUsd.balanceOf(nft)).to.equal(0);
+
+      await expect(
+        factory.connect(creator).submitMilestone(nft)
+      ).to.be.revertedWithCustomError(factory, "MilestoneSubmissionNotAllowed");
+    });
+
+    it("should revert if the milestone was not submitted", async function () {
+      const nft = await createFundedCampaign();
+
+      await expect(
+        factory.connect(arbiter).approveMilestone(nft)
+      ).to.be.revertedWithCustomError(factory, "MilestoneReleaseNotAllowed");
+      await expect(
+        factory.connect(buyer1).releaseMilestone(nft)
+      ).to.be.revertedWithCustomError(factory, "MilestoneReleaseNotAllowed");
+    });
+
+    it("should revert if caller is not an arbiter", async function () {
+      const nft = await createFundedCampaign();
+      await factory.connect(creator).submitMilestone(nft);
+
+      await expect(
+        factory.connect(creator).approveMilestone(nft)
+      ).to.be.revertedWithCustomError(factory, "CallerIsNotArbiter");
+      await expect(factory.approveMilestone(nft)).to.be.revertedWithCustomError(
+        factory,
+        "CallerIsNotArbiter"
+      );
+    });
+  });
+
+  describe("Rejection", function () {
+    it("should let an arbiter reject a submitted milestone", async function () {
+      const nft = await createFundedCampaign();
+      await releaseNext(nft);
+      await factory.connect(creator).submitMilestone(nft);
+
+      await expect(factory.connect(arbiter).rejectMilestone(nft))
+        .to.emit(factory, "MilestoneRejected")
+        .withArgs(await nft.getAddress(), 1);
+
+      const [releasedShare, rejected] = await factory.getMilestoneRelease(nft);
+      expect(releasedShare).to.equal(3000);
+      expect(rejected).to.equal(true);
+
+      await networkHelper.increaseTime(challengeWindow);
+
+      await expect(
+        factory.connect(buyer1).releaseMilestone(nft)
+      ).to.be.revertedWithCustomError(factory, "MilestoneReleaseNotAllowed");
+      await expect(
+        factory.connect(creator).submitMilestone(nft)
+      ).to.be.revertedWithCustomError(factory, "MilestoneSubmissionNotAllowed");
+    });
+
+    it("should refund holders the share that was not released", async function () {
+      const nft = await createFundedCampaign();
+      await releaseNext(nft);
+      await factory.connect(arbiter).rejectMilestone(nft);
+
+      const holder = await nft.getHolderByTokenId(3);
+
+      await expect(nft.connect(buyer2).claimRefund(3))
+        .to.emit(nft, "ClaimRefund")
+        .withArgs(buyer2.address, 3);
+      await expect(nft.connect(buyer1).claimRefund(1)).to.changeTokenBalance(
+        ethers,
+        mockPyUsd,
+        buyer1,
+        share((await nft.getHolderByTokenId(1)).mintPrice, 7000)
+      );
+
+      expect(await mockPyUsd.balanceOf(buyer2)).to.equal(
+        ethers.parseUnits("10000", 6) -
+          holder.mintPriceGross +
+          share(holder.mintPrice, 7000)
+      );
+    });
+
+    it("should let the creator keep the released share", async function () {
+      const nft = await createFundedCampaign();
+      const withdrawalAmount = await nft.withdrawalAmount(mockPyUsd);
+      await releaseNext(nft);
+      await factory.connect(arbiter).rejectMilestone(nft);
+
+      for (let tokenId = 1; tokenId <= 3; tokenId++) {
+        const owner = tokenId < 3 ? buyer1 : buyer2;
+        await nft.connect(owner).claimRefund(tokenId);
+      }
+
+      await expect(
+        nft.connect(creator).withdrawCreatorsFunds()
+      ).to.changeTokenBalance(
+        ethers,
+        mockPyUsd,
+        creator,
+        share(withdrawalAmount, 3000)
+      );
+      expect(await mockPyUsd.balanceOf(nft)).to.be.lt(3);
+    });
+
+    it("should keep escrowed platform fees for the treasury", async function () {
+      const nft = await createFundedCampaign({ escrowPlatformFee: true });
+      const escrowedFees = await nft.escrowedPlatformFees(mockPyUsd);
+      await factory.connect(arbiter).rejectMilestone(nft);
+
+      const holder = await nft.getHolderByTokenId(3);
+      await expect(nft.connect(buyer2).claimRefund(3)).to.changeTokenBalance(
+        ethers,
+        mockPyUsd,
+        buyer2,
+        holder.mintPrice
+      );
+
+      await expect(nft.releasePlatformFees()).to.changeTokenBalance(
+        ethers,
+        mockPyUsd,
+        treasury,
+        escrowedFees
+      );
+    });
+
+    it("should allow rejecting a milestone that was never submitted", async function () {
+      const nft = await createFundedCampaign();
+
+      await expect(factory.connect(arbiter).rejectMilestone(nft))
+        .to.emit(factory, "MilestoneRejected")
+        .withArgs(await nft.getAddress(), 0);
+
+      const holder = await nft.getHolderByTokenId(1);
+      await expect(nft.connect(buyer1).claimRefund(1)).to.changeTokenBalance(
+        ethers,
+        mockPyUsd,
+        buyer1,
+        holder.mintPrice
+      );
+    });
+
+    it("should revert after the challenge window", async function () {
+      const nft = await createFundedCampaign();
+      await factory.connect(creator).submitMilestone(nft);
+      await networkHelper.increaseTime(challengeWindow);
+
+      await expect(
+        factory.connect(arbiter).rejectMilestone(nft)
+      ).to.be.revertedWithCustomError(factory, "MilestoneRejectionNotAllowed");
+    });
+
+    it("should revert once every milestone is released", async function () {
+      const nft = await createFundedCampaign();
+      for (let i = 0; i < milestoneShares.length; i++) {
+        await releaseNext(nft);
+      }
+
+      await expect(
+        factory.connect(arbiter).rejectMilestone(nft)
+      ).to.be.revertedWithCustomError(factory, "MilestoneRejectionNotAllowed");
+    });
+
+    it("should revert if already rejected", async function () {
+      const nft = await createFundedCampaign();
+      await factory.connect(arbiter).rejectMilestone(nft);
+
+      await expect(
+        factory.connect(arbiter).rejectMilestone(nft)
+      ).to.be.revertedWithCustomError(factory, "MilestoneRejectionNotAllowed");
+    });
+
+    it("should not allow refunds without a rejection", async function () {
+      const nft = await createFundedCampaign();
+      await releaseNext(nft);
+
+      await expect(
+        nft.connect(buyer1).claimRefund(1)
+      ).to.be.revertedWithCustomError(nft, "ClaimingRefundIsNotAllowed");
+    });
+
+    it("should revert if caller is not an arbiter", async function () {
+      const nft = await createFundedCampaign();
+
+      await expect(
+        factory.connect(creator).rejectMilestone(nft)
+      ).to.be.revertedWithCustomError(factory, "CallerIsNotArbiter");
+    });
+  });
+});
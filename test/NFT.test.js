@@ -1,9 +1,26 @@
 import { assert, expect } from "chai";
 import { network } from "hardhat";
 import Network from "./helpers/network.js";
+import { buildCampaignParams } from "./helpers/campaign.js";
+import { deployFactory } from "./helpers/factory.js";
+import { signMintOrder, signPermit } from "./helpers/signatures.js";
 
 const { ethers } = await network.connect();
 
+const CampaignStatus = {
+  Active: 0n,
+  Succeeded: 1n,
+  Failed: 2n,
+  Finalized: 3n,
+};
+
+const RedemptionStatus = {
+  None: 0n,
+  Requested: 1n,
+  Acknowledged: 2n,
+  Fulfilled: 3n,
+};
+
 describe("NFT", function () {
   let accounts;
   let owner;
@@ -19,12 +36,12 @@ describe("NFT", function () {
 
   const startPrice = ethers.parseUnits("25", 6);
   const priceIncrement = 5;
-  const platformFee = 10;
+  const platformFee = 1000;
   const baseUri = "https://placeholder.com/";
   const minRequiredSales = 10;
 
   before("setup", async function () {
-    networkHelper = new Network();
+    networkHelper = new Network(ethers.provider);
     accounts = await ethers.getSigners();
     owner = accounts[0];
     creator = accounts[1];
@@ -38,14 +55,17 @@ describe("NFT", function () {
     mockPyUsd = await MockPYUSD.deploy("PyUSD", "PYUSD", 6);
     await mockPyUsd.waitForDeployment();
 
-    const Factory = await ethers.getContractFactory("Factory");
-    factory = await Factory.deploy(treasury.address, platformFee, baseUri);
-    await factory.waitForDeployment();
+    ({ factory } = await deployFactory(
+      ethers,
+      treasury.address,
+      platformFee,
+      baseUri
+    ));
 
     const currentBlock = await ethers.provider.getBlock("latest");
     futureTimestamp = currentBlock.timestamp + 86400;
 
-    const campaignParams = {
+    const campaignParams = buildCampaignParams({
       name: "Test Campaign",
       symbol: "TC",
       minRequiredSales: minRequiredSales,
@@ -53,7 +73,7 @@ describe("NFT", function () {
       startPrice: startPrice,
       priceIncrement: priceIncrement,
       paymentToken: await mockPyUsd.getAddress(),
-    };
+    });
 
     const tx = await factory.connect(creator).createCampaign(campaignParams);
     const receipt = await tx.wait();
@@ -63,8 +83,7 @@ describe("NFT", function () {
     );
     const nftAddress = event.args.campaignAddress;
 
-    const NFT = await ethers.getContractFactory("NFT");
-    nft = NFT.attach(nftAddress);
+    nft = await ethers.getContractAt("NFT", nftAddress);
 
     await mockPyUsd.transfer(buyer1.address, ethers.parseUnits("10000", 6));
     await mockPyUsd.transfer(buyer2.address, ethers.parseUnits("10000", 6));
@@ -111,277 +130,2230 @@ describe("NFT", function () {
       expect(await nft.priceIncrement()).to.equal(priceIncrement);
     });
 
+    it("should deploy with the platform fee snapshot", async function () {
+      expect(await nft.platformFee()).to.equal(platformFee);
+    });
+
     it("should deploy with zero totalEverMinted", async function () {
       expect(await nft.totalEverMinted()).to.equal(0);
     });
 
     it("should deploy with zero withdrawalAmount", async function () {
-      expect(await nft.withdrawalAmount()).to.equal(0);
+      expect(await nft.withdrawalAmount(mockPyUsd)).to.equal(0);
     });
 
     it("should deploy with zero totalEarnedByCreator", async function () {
-      expect(await nft.totalEarnedByCreator()).to.equal(0);
+      expect(await nft.totalEarnedByCreator(mockPyUsd)).to.equal(0);
     });
   });
 
-  describe("getCurrentPriceToMint", function () {
-    it("should return startPrice when no tokens minted", async function () {
-      expect(await nft.getCurrentPriceToMint()).to.equal(startPrice);
-    });
+  describe("Status", function () {
+    async function passTimestamp() {
+      const blockBefore = await ethers.provider.getBlock("latest");
+      const timeToIncrease = futureTimestamp - blockBefore.timestamp + 1;
 
-    it("should calculate correct price after first mint", async function () {
+      await ethers.provider.send("evm_increaseTime", [timeToIncrease]);
+      await ethers.provider.send("evm_mine", []);
+    }
+
+    beforeEach(async function () {
       await mockPyUsd
         .connect(buyer1)
-        .approve(await nft.getAddress(), ethers.parseUnits("1000", 6));
+        .approve(await nft.getAddress(), ethers.parseUnits("10000", 6));
+    });
+
+    it("should be Active after deployment", async function () {
+      expect(await nft.status()).to.equal(CampaignStatus.Active);
+    });
+
+    it("should stay Active below minRequiredSales", async function () {
+      await nft.connect(buyer1).mintBatch(minRequiredSales - 1, ethers.MaxUint256);
+
+      expect(await nft.status()).to.equal(CampaignStatus.Active);
+    });
+
+    it("should be Succeeded once minRequiredSales is reached", async function () {
+      await nft.connect(buyer1).mintBatch(minRequiredSales, ethers.MaxUint256);
+
+      expect(await nft.status()).to.equal(CampaignStatus.Succeeded);
+    });
+
+    it("should be Failed after timestamp below minRequiredSales", async function () {
       await nft.connect(buyer1).mint();
+      await passTimestamp();
 
-      const expectedPrice = startPrice + BigInt(priceIncrement) * BigInt(1);
-      expect(await nft.getCurrentPriceToMint()).to.equal(expectedPrice);
+      expect(await nft.status()).to.equal(CampaignStatus.Failed);
     });
 
-    it("should calculate correct price after multiple mints", async function () {
+    it("should be Finalized after timestamp with minRequiredSales reached", async function () {
+      await nft.connect(buyer1).mintBatch(minRequiredSales, ethers.MaxUint256);
+      await passTimestamp();
+
+      expect(await nft.status()).to.equal(CampaignStatus.Finalized);
+    });
+
+    it("should allow minting while Succeeded", async function () {
+      await nft.connect(buyer1).mintBatch(minRequiredSales, ethers.MaxUint256);
+      await nft.connect(buyer1).mint();
+
+      expect(await nft.totalEverMinted()).to.equal(minRequiredSales + 1);
+    });
+
+    it("should not allow minting once Finalized", async function () {
+      await nft.connect(buyer1).mintBatch(minRequiredSales, ethers.MaxUint256);
+      await passTimestamp();
+
+      await expect(nft.connect(buyer1).mint()).to.be.revertedWithCustomError(
+        nft,
+        "MintingIsNotAllowed"
+      );
+    });
+
+    it("should not allow refunds while Succeeded or Finalized", async function () {
+      await nft.connect(buyer1).mintBatch(minRequiredSales, ethers.MaxUint256);
+
+      await expect(
+        nft.connect(buyer1).claimRefund(1)
+      ).to.be.revertedWithCustomError(nft, "ClaimingRefundIsNotAllowed");
+
+      await passTimestamp();
+
+      await expect(
+        nft.connect(buyer1).claimRefund(1)
+      ).to.be.revertedWithCustomError(nft, "ClaimingRefundIsNotAllowed");
+    });
+
+    it("should not allow creator withdrawal while Active or Failed", async function () {
+      await nft.connect(buyer1).mint();
+
+      await expect(
+        nft.connect(creator).withdrawCreatorsFunds()
+      ).to.be.revertedWithCustomError(nft, "WithdrawalNotAllowed");
+
+      await passTimestamp();
+
+      await expect(
+        nft.connect(creator).withdrawCreatorsFunds()
+      ).to.be.revertedWithCustomError(nft, "WithdrawalNotAllowed");
+    });
+  });
+
+  describe("Finalize", function () {
+    async function passTimestamp() {
+      const blockBefore = await ethers.provider.getBlock("latest");
+      const timeToIncrease = futureTimestamp - blockBefore.timestamp + 1;
+
+      await ethers.provider.send("evm_increaseTime", [timeToIncrease]);
+      await ethers.provider.send("evm_mine", []);
+    }
+
+    beforeEach(async function () {
       await mockPyUsd
         .connect(buyer1)
-        .approve(await nft.getAddress(), ethers.parseUnits("1000", 6));
+        .approve(await nft.getAddress(), ethers.parseUnits("10000", 6));
+    });
+
+    it("should not be finalized after deployment", async function () {
+      expect(await nft.isFinalized()).to.equal(false);
+    });
+
+    it("should not allow finalizing before timestamp", async function () {
+      await nft.connect(buyer1).mintBatch(minRequiredSales, ethers.MaxUint256);
+
+      await expect(nft.finalize()).to.be.revertedWithCustomError(
+        nft,
+        "FinalizationNotAllowed"
+      );
+    });
+
+    it("should record success and emit CampaignSucceeded", async function () {
+      const totalRaised = await nft.getPriceToMint(minRequiredSales);
+      await nft.connect(buyer1).mintBatch(minRequiredSales, ethers.MaxUint256);
+      await passTimestamp();
+
+      await expect(nft.connect(buyer2).finalize())
+        .to.emit(nft, "CampaignSucceeded")
+        .withArgs(minRequiredSales, totalRaised);
+
+      expect(await nft.totalRaised()).to.equal(totalRaised);
+      expect(await nft.isFinalized()).to.equal(true);
+      expect(await nft.status()).to.equal(CampaignStatus.Finalized);
+    });
+
+    it("should include withdrawn funds in the raised total", async function () {
+      const totalRaised = await nft.getPriceToMint(minRequiredSales);
+      await nft.connect(buyer1).mintBatch(minRequiredSales, ethers.MaxUint256);
+      await nft.connect(creator).withdrawCreatorsFunds();
+      await passTimestamp();
+
+      await expect(nft.finalize())
+        .to.emit(nft, "CampaignSucceeded")
+        .withArgs(minRequiredSales, totalRaised);
+    });
+
+    it("should record failure and emit CampaignFailed", async function () {
+      await nft.connect(buyer1).mintBatch(3, ethers.MaxUint256);
+      await passTimestamp();
+
+      await expect(nft.connect(buyer2).finalize())
+        .to.emit(nft, "CampaignFailed")
+        .withArgs(3, minRequiredSales);
+
+      expect(await nft.isFinalized()).to.equal(true);
+      expect(await nft.status()).to.equal(CampaignStatus.Failed);
+    });
+
+    it("should only finalize once", async function () {
+      await passTimestamp();
+      await nft.finalize();
+
+      await expect(nft.finalize()).to.be.revertedWithCustomError(
+        nft,
+        "CampaignAlreadyFinalized"
+      );
+    });
+
+    it("should keep the outcome after refunds reduce the supply", async function () {
+      await nft.connect(buyer1).mintBatch(3, ethers.MaxUint256);
+      await passTimestamp();
+      await nft.finalize();
 
+      await nft.connect(buyer1).claimRefund(1);
+
+      expect(await nft.status()).to.equal(CampaignStatus.Failed);
+    });
+
+    it("should finalize on the first refund after timestamp", async function () {
       await nft.connect(buyer1).mint();
+      await passTimestamp();
+
+      await expect(nft.connect(buyer1).claimRefund(1))
+        .to.emit(nft, "CampaignFailed")
+        .withArgs(1, minRequiredSales);
+
+      expect(await nft.isFinalized()).to.equal(true);
+    });
+
+    it("should finalize on the first creator withdrawal after timestamp", async function () {
+      await nft.connect(buyer1).mintBatch(minRequiredSales, ethers.MaxUint256);
+      await passTimestamp();
+
+      await expect(nft.connect(creator).withdrawCreatorsFunds()).to.emit(
+        nft,
+        "CampaignSucceeded"
+      );
+
+      expect(await nft.isFinalized()).to.equal(true);
+      await expect(nft.finalize()).to.be.revertedWithCustomError(
+        nft,
+        "CampaignAlreadyFinalized"
+      );
+    });
+
+    it("should not finalize on withdrawal before timestamp", async function () {
+      await nft.connect(buyer1).mintBatch(minRequiredSales, ethers.MaxUint256);
+
+      await expect(nft.connect(creator).withdrawCreatorsFunds()).not.to.emit(
+        nft,
+        "CampaignSucceeded"
+      );
+
+      expect(await nft.isFinalized()).to.equal(false);
+    });
+  });
+
+  describe("Cancel", function () {
+    beforeEach(async function () {
+      await mockPyUsd
+        .connect(buyer1)
+        .approve(await nft.getAddress(), ethers.parseUnits("10000", 6));
+    });
+
+    it("should only allow the creator to cancel", async function () {
+      await expect(nft.connect(buyer1).cancel()).to.be.revertedWithCustomError(
+        nft,
+        "CallerIsNotCreator"
+      );
+    });
+
+    it("should open refunds immediately", async function () {
+      await nft.connect(buyer1).mintBatch(3, ethers.MaxUint256);
+      const holder = await nft.getHolderByTokenId(1);
+
+      await expect(nft.connect(creator).cancel())
+        .to.emit(nft, "CampaignCancelled")
+        .withArgs(3);
+
+      expect(await nft.status()).to.equal(CampaignStatus.Failed);
+      expect(await nft.isFinalized()).to.equal(true);
+
+      const balanceBefore = await mockPyUsd.balanceOf(buyer1.address);
+      await nft.connect(buyer1).claimRefund(1);
+      const balanceAfter = await mockPyUsd.balanceOf(buyer1.address);
+
+      expect(balanceAfter - balanceBefore).to.equal(holder.mintPrice);
+    });
+
+    it("should allow cancelling a campaign that reached minRequiredSales", async function () {
+      await nft.connect(buyer1).mintBatch(minRequiredSales, ethers.MaxUint256);
+
+      await nft.connect(creator).cancel();
+
+      await expect(
+        nft.connect(creator).withdrawCreatorsFunds()
+      ).to.be.revertedWithCustomError(nft, "WithdrawalNotAllowed");
+      await nft.connect(buyer1).claimRefund(1);
+    });
+
+    it("should stop minting after cancellation", async function () {
+      await nft.connect(creator).cancel();
+
+      await expect(nft.connect(buyer1).mint()).to.be.revertedWithCustomError(
+        nft,
+        "MintingIsNotAllowed"
+      );
+    });
+
+    it("should not allow cancelling after the creator withdrew", async function () {
+      await nft.connect(buyer1).mintBatch(minRequiredSales, ethers.MaxUint256);
+      await nft.connect(creator).withdrawCreatorsFunds();
+
+      await expect(
+        nft.connect(creator).cancel()
+      ).to.be.revertedWithCustomError(nft, "CancellationNotAllowed");
+    });
+
+    it("should not allow cancelling after timestamp", async function () {
+      await nft.connect(buyer1).mintBatch(minRequiredSales, ethers.MaxUint256);
+      await networkHelper.setTime(futureTimestamp + 1);
+
+      await expect(
+        nft.connect(creator).cancel()
+      ).to.be.revertedWithCustomError(nft, "CancellationNotAllowed");
+    });
+
+    it("should not allow cancelling twice", async function () {
+      await nft.connect(creator).cancel();
+
+      await expect(
+        nft.connect(creator).cancel()
+      ).to.be.revertedWithCustomError(nft, "CancellationNotAllowed");
+    });
+
+    it("should not refund redeemed tokens", async function () {
+      await nft.connect(buyer1).mintBatch(minRequiredSales, ethers.MaxUint256);
+      await nft.connect(buyer1).redeem(1, "0x");
+      await nft.connect(creator).cancel();
+
+      await expect(
+        nft.connect(buyer1).claimRefund(1)
+      ).to.be.revertedWithCustomError(nft, "TokenIsRedeemed");
+      await nft.connect(buyer1).claimRefund(2);
+    });
+  });
+
+  describe("Extend deadline", function () {
+    const day = 86400;
+
+    beforeEach(async function () {
+      await mockPyUsd
+        .connect(buyer1)
+        .approve(await nft.getAddress(), ethers.parseUnits("10000", 6));
+    });
+
+    it("should only allow the creator to extend", async function () {
+      await expect(
+        nft.connect(buyer1).extendDeadline(futureTimestamp + day)
+      ).to.be.revertedWithCustomError(nft, "CallerIsNotCreator");
+    });
+
+    it("should move the deadline and emit DeadlineExtended", async function () {
+      await expect(nft.connect(creator).extendDeadline(futureTimestamp + day))
+        .to.emit(nft, "DeadlineExtended")
+        .withArgs(futureTimestamp, futureTimestamp + day);
+
+      expect(await nft.timestamp()).to.equal(futureTimestamp + day);
+      expect(await nft.deadlineExtensions()).to.equal(1);
+    });
+
+    it("should keep minting open until the new deadline", async function () {
+      await nft.connect(creator).extendDeadline(futureTimestamp + day);
+      await networkHelper.setTime(futureTimestamp + 1);
+
       await nft.connect(buyer1).mint();
+      expect(await nft.status()).to.equal(CampaignStatus.Active);
+
+      await networkHelper.increaseTime(day);
+
+      expect(await nft.status()).to.equal(CampaignStatus.Failed);
+      await expect(nft.connect(buyer1).mint()).to.be.revertedWithCustomError(
+        nft,
+        "MintingIsNotAllowed"
+      );
+    });
+
+    it("should allow the maximum extension", async function () {
+      const maxExtension = await factory.maxDeadlineExtension();
+
+      await nft
+        .connect(creator)
+        .extendDeadline(BigInt(futureTimestamp) + maxExtension);
+
+      expect(await nft.timestamp()).to.equal(
+        BigInt(futureTimestamp) + maxExtension
+      );
+    });
+
+    it("should revert above the maximum extension", async function () {
+      const maxExtension = await factory.maxDeadlineExtension();
+
+      await expect(
+        nft
+          .connect(creator)
+          .extendDeadline(BigInt(futureTimestamp) + maxExtension + 1n)
+      ).to.be.revertedWithCustomError(nft, "InvalidDeadlineExtension");
+    });
+
+    it("should revert if the new deadline is not later", async function () {
+      await expect(
+        nft.connect(creator).extendDeadline(futureTimestamp)
+      ).to.be.revertedWithCustomError(nft, "InvalidDeadlineExtension");
+    });
+
+    it("should only allow one extension by default", async function () {
+      await nft.connect(creator).extendDeadline(futureTimestamp + day);
+
+      await expect(
+        nft.connect(creator).extendDeadline(futureTimestamp + 2 * day)
+      ).to.be.revertedWithCustomError(nft, "DeadlineExtensionNotAllowed");
+    });
+
+    it("should follow the limits set by the Factory admin", async function () {
+      await factory.setDeadlineExtensionLimits(2 * day, 2);
+
+      await nft.connect(creator).extendDeadline(futureTimestamp + 2 * day);
+      await nft.connect(creator).extendDeadline(futureTimestamp + 4 * day);
+
+      await expect(
+        nft.connect(creator).extendDeadline(futureTimestamp + 5 * day)
+      ).to.be.revertedWithCustomError(nft, "DeadlineExtensionNotAllowed");
+    });
+
+    it("should not allow extending after timestamp", async function () {
+      await networkHelper.setTime(futureTimestamp + 1);
+
+      await expect(
+        nft.connect(creator).extendDeadline(futureTimestamp + day)
+      ).to.be.revertedWithCustomError(nft, "DeadlineExtensionNotAllowed");
+    });
+
+    it("should not allow extending a cancelled campaign", async function () {
+      await nft.connect(creator).cancel();
+
+      await expect(
+        nft.connect(creator).extendDeadline(futureTimestamp + day)
+      ).to.be.revertedWithCustomError(nft, "DeadlineExtensionNotAllowed");
+    });
+  });
+
+  describe("Refund solvency", function () {
+    let buyers;
+
+    beforeEach(async function () {
+      buyers = [buyer1, buyer2, accounts[5], accounts[6]];
+
+      for (const buyer of buyers) {
+        if (buyer !== buyer1 && buyer !== buyer2) {
+          await mockPyUsd.transfer(buyer.address, ethers.parseUnits("10000", 6));
+        }
+        await mockPyUsd
+          .connect(buyer)
+          .approve(await nft.getAddress(), ethers.parseUnits("10000", 6));
+      }
+    });
+
+    async function failCampaign() {
+      const blockBefore = await ethers.provider.getBlock("latest");
+      const timeToIncrease = futureTimestamp - blockBefore.timestamp + 1;
+
+      await ethers.provider.send("evm_increaseTime", [timeToIncrease]);
+      await ethers.provider.send("evm_mine", []);
+
+      expect(await nft.status()).to.equal(CampaignStatus.Failed);
+    }
+
+    async function refundEveryone() {
+      const supply = await nft.totalSupply();
+      const tokenIds = [];
+      for (let i = 0n; i < supply; i++) {
+        tokenIds.push(await nft.tokenByIndex(i));
+      }
+
+      for (const tokenId of tokenIds) {
+        const holderAddress = await nft.ownerOf(tokenId);
+        const holder = await nft.getHolderByTokenId(tokenId);
+        const signer = buyers.find((buyer) => buyer.address === holderAddress);
+
+        const balanceBefore = await mockPyUsd.balanceOf(holderAddress);
+        await nft.connect(signer).claimRefund(tokenId);
+        const balanceAfter = await mockPyUsd.balanceOf(holderAddress);
+
+        expect(balanceAfter - balanceBefore).to.equal(holder.mintPrice);
+      }
+    }
+
+    it("should hold exactly the refundable amount after mints", async function () {
+      await nft.connect(buyer1).mintBatch(3, ethers.MaxUint256);
+      await nft.connect(buyer2).mint();
+      await nft.connect(buyers[2]).mintBatch(2, ethers.MaxUint256);
+
+      let refundable = 0n;
+      for (let tokenId = 1; tokenId <= 6; tokenId++) {
+        refundable += (await nft.getHolderByTokenId(tokenId)).mintPrice;
+      }
+
+      expect(await mockPyUsd.balanceOf(await nft.getAddress())).to.equal(
+        refundable
+      );
+      expect(await nft.withdrawalAmount(mockPyUsd)).to.equal(refundable);
+    });
+
+    it("should repay every buyer in full on failure", async function () {
+      await nft.connect(buyer1).mintBatch(2, ethers.MaxUint256);
+      await nft.connect(buyer2).mintBatch(3, ethers.MaxUint256);
+      await nft.connect(buyers[2]).mint();
+      await nft.connect(buyers[3]).mintBatch(3, ethers.MaxUint256);
+
+      await failCampaign();
+      await refundEveryone();
+
+      expect(await nft.totalSupply()).to.equal(0);
+      expect(await mockPyUsd.balanceOf(await nft.getAddress())).to.equal(0);
+    });
+
+    it("should not let the creator drain refunds after a failed deadline", async function () {
+      await nft.connect(buyer1).mintBatch(4, ethers.MaxUint256);
+      await nft.connect(buyer2).mintBatch(4, ethers.MaxUint256);
+
+      await failCampaign();
+
+      await expect(
+        nft.connect(creator).withdrawCreatorsFunds()
+      ).to.be.revertedWithCustomError(nft, "WithdrawalNotAllowed");
+
+      await refundEveryone();
+
+      expect(await mockPyUsd.balanceOf(await nft.getAddress())).to.equal(0);
+      expect(await nft.totalEarnedByCreator(mockPyUsd)).to.equal(0);
+    });
+
+    it("should repay the remaining buyers after some burned their tokens", async function () {
+      await nft.connect(buyer1).mintBatch(2, ethers.MaxUint256);
+      await nft.connect(buyer2).mintBatch(2, ethers.MaxUint256);
+
+      await failCampaign();
+
+      const burnedHolder = await nft.getHolderByTokenId(1);
+      await nft.connect(buyer1).burn(1);
+      await refundEveryone();
+
+      expect(await mockPyUsd.balanceOf(await nft.getAddress())).to.equal(
+        burnedHolder.mintPrice
+      );
+      expect(await nft.totalSupply()).to.equal(0);
+    });
+
+    it("should repay every buyer for any mint sequence", async function () {
+      const quantities = [1, 3, 2, 1, 2];
+
+      for (let i = 0; i < quantities.length; i++) {
+        const buyer = buyers[i % buyers.length];
+        await nft.connect(buyer).mintBatch(quantities[i], ethers.MaxUint256);
+      }
+
+      expect(await nft.totalEverMinted()).to.be.lt(minRequiredSales);
+
+      await failCampaign();
+      await refundEveryone();
+
+      expect(await mockPyUsd.balanceOf(await nft.getAddress())).to.equal(0);
+    });
+  });
+
+  describe("getCurrentPriceToMint", function () {
+    it("should return startPrice when no tokens minted", async function () {
+      expect(await nft.getCurrentPriceToMint()).to.equal(startPrice);
+    });
+
+    it("should calculate correct price after first mint", async function () {
+      await mockPyUsd
+        .connect(buyer1)
+        .approve(await nft.getAddress(), ethers.parseUnits("1000", 6));
+      await nft.connect(buyer1).mint();
+
+      const expectedPrice = startPrice + BigInt(priceIncrement) * BigInt(1);
+      expect(await nft.getCurrentPriceToMint()).to.equal(expectedPrice);
+    });
+
+    it("should calculate correct price after multiple mints", async function () {
+      await mockPyUsd
+        .connect(buyer1)
+        .approve(await nft.getAddress(), ethers.parseUnits("1000", 6));
+
+      await nft.connect(buyer1).mint();
+      await nft.connect(buyer1).mint();
+
+      const expectedPrice = startPrice + BigInt(priceIncrement) * BigInt(2);
+      expect(await nft.getCurrentPriceToMint()).to.equal(expectedPrice);
+    });
+
+    it("should increase price by priceIncrement with each mint", async function () {
+      await mockPyUsd
+        .connect(buyer1)
+        .approve(await nft.getAddress(), ethers.parseUnits("10000", 6));
+
+      const price0 = await nft.getCurrentPriceToMint();
+      await nft.connect(buyer1).mint();
+
+      const price1 = await nft.getCurrentPriceToMint();
+      await nft.connect(buyer1).mint();
+
+      const price2 = await nft.getCurrentPriceToMint();
+      await nft.connect(buyer1).mint();
+
+      const price3 = await nft.getCurrentPriceToMint();
+
+      expect(price1 - price0).to.equal(BigInt(priceIncrement));
+      expect(price2 - price1).to.equal(BigInt(priceIncrement));
+      expect(price3 - price2).to.equal(BigInt(priceIncrement));
+    });
+  });
+
+  describe("getPriceToMint", function () {
+    it("should return zero for zero quantity", async function () {
+      expect(await nft.getPriceToMint(0)).to.equal(0);
+    });
+
+    it("should equal current price for a single token", async function () {
+      expect(await nft.getPriceToMint(1)).to.equal(
+        await nft.getCurrentPriceToMint()
+      );
+    });
+
+    it("should sum the linear price curve", async function () {
+      const quantity = 4n;
+      const increment = BigInt(priceIncrement);
+      const expected =
+        startPrice +
+        (startPrice + increment) +
+        (startPrice + increment * 2n) +
+        (startPrice + increment * 3n);
+
+      expect(await nft.getPriceToMint(quantity)).to.equal(expected);
+    });
+
+    it("should account for tokens already minted", async function () {
+      await mockPyUsd
+        .connect(buyer1)
+        .approve(await nft.getAddress(), ethers.parseUnits("10000", 6));
+      await nft.connect(buyer1).mint();
+      await nft.connect(buyer1).mint();
+
+      const increment = BigInt(priceIncrement);
+      const expected =
+        startPrice + increment * 2n + (startPrice + increment * 3n);
+
+      expect(await nft.getPriceToMint(2)).to.equal(expected);
+    });
+  });
+
+  describe("Mint", function () {
+    beforeEach(async function () {
+      await mockPyUsd
+        .connect(buyer1)
+        .approve(await nft.getAddress(), ethers.parseUnits("10000", 6));
+    });
+
+    it("should mint successfully with correct payment", async function () {
+      const tx = await nft.connect(buyer1).mint();
+      const receipt = await tx.wait();
+
+      const event = receipt.logs.find(
+        (log) => log.fragment && log.fragment.name === "Mint"
+      );
+
+      expect(event).to.not.be.undefined;
+      expect(event.args.holder).to.equal(buyer1.address);
+      expect(event.args.tokenId).to.be.a("bigint");
+    });
+
+    it("should increase totalEverMinted", async function () {
+      expect(await nft.totalEverMinted()).to.equal(0);
+
+      await nft.connect(buyer1).mint();
+      expect(await nft.totalEverMinted()).to.equal(1);
+
+      await nft.connect(buyer1).mint();
+      expect(await nft.totalEverMinted()).to.equal(2);
+    });
+
+    it("should transfer correct net amount to contract (after fee)", async function () {
+      const mintPrice = await nft.getCurrentPriceToMint();
+      const feeValue = (mintPrice * BigInt(platformFee)) / 10000n;
+      const netAmount = mintPrice - feeValue;
+
+      const contractBalanceBefore = await mockPyUsd.balanceOf(
+        await nft.getAddress()
+      );
+
+      await nft.connect(buyer1).mint();
+
+      const contractBalanceAfter = await mockPyUsd.balanceOf(
+        await nft.getAddress()
+      );
+
+      expect(contractBalanceAfter - contractBalanceBefore).to.equal(netAmount);
+    });
+
+    it("should transfer correct fee to treasury", async function () {
+      const mintPrice = await nft.getCurrentPriceToMint();
+      const feeValue = (mintPrice * BigInt(platformFee)) / 10000n;
+
+      const treasuryBalanceBefore = await mockPyUsd.balanceOf(treasury.address);
+
+      await nft.connect(buyer1).mint();
+
+      const treasuryBalanceAfter = await mockPyUsd.balanceOf(treasury.address);
+
+      expect(treasuryBalanceAfter - treasuryBalanceBefore).to.equal(feeValue);
+    });
+
+    it("should update withdrawalAmount correctly", async function () {
+      const mintPrice = await nft.getCurrentPriceToMint();
+      const feeValue = (mintPrice * BigInt(platformFee)) / 10000n;
+      const netAmount = mintPrice - feeValue;
+
+      expect(await nft.withdrawalAmount(mockPyUsd)).to.equal(0);
+
+      await nft.connect(buyer1).mint();
+
+      expect(await nft.withdrawalAmount(mockPyUsd)).to.equal(netAmount);
+    });
+
+    it("should accumulate withdrawalAmount with multiple mints", async function () {
+      const price1 = await nft.getCurrentPriceToMint();
+      const fee1 = (price1 * BigInt(platformFee)) / 10000n;
+      const net1 = price1 - fee1;
+
+      await nft.connect(buyer1).mint();
+
+      const price2 = await nft.getCurrentPriceToMint();
+      const fee2 = (price2 * BigInt(platformFee)) / 10000n;
+      const net2 = price2 - fee2;
+
+      await nft.connect(buyer1).mint();
+
+      expect(await nft.withdrawalAmount(mockPyUsd)).to.equal(net1 + net2);
+    });
+
+    it("should store holder information correctly", async function () {
+      const mintPrice = await nft.getCurrentPriceToMint();
+      const feeValue = (mintPrice * BigInt(platformFee)) / 10000n;
+      const netAmount = mintPrice - feeValue;
+
+      const tx = await nft.connect(buyer1).mint();
+      const receipt = await tx.wait();
+
+      const event = receipt.logs.find(
+        (log) => log.fragment && log.fragment.name === "Mint"
+      );
+      const tokenId = event.args.tokenId;
+
+      const holder = await nft.getHolderByTokenId(tokenId);
+
+      expect(holder.mintPrice).to.equal(netAmount);
+      expect(holder.tokenId).to.equal(tokenId);
+      expect(holder.paymentToken).to.equal(await mockPyUsd.getAddress());
+      expect(holder.mintPriceGross).to.equal(mintPrice);
+    });
+
+    it("should mint NFT to msg.sender", async function () {
+      const tx = await nft.connect(buyer1).mint();
+      const receipt = await tx.wait();
+
+      const event = receipt.logs.find(
+        (log) => log.fragment && log.fragment.name === "Mint"
+      );
+      const tokenId = event.args.tokenId;
+
+      expect(await nft.ownerOf(tokenId)).to.equal(buyer1.address);
+    });
+
+    it("should emit Mint event with correct parameters", async function () {
+      await expect(nft.connect(buyer1).mint())
+        .to.emit(nft, "Mint")
+        .withArgs(buyer1.address, (tokenId) => tokenId > 0);
+    });
+
+    it("should increase buyer's NFT balance", async function () {
+      expect(await nft.balanceOf(buyer1.address)).to.equal(0);
+
+      await nft.connect(buyer1).mint();
+      expect(await nft.balanceOf(buyer1.address)).to.equal(1);
+
+      await nft.connect(buyer1).mint();
+      expect(await nft.balanceOf(buyer1.address)).to.equal(2);
+    });
+
+    it("should revert if timestamp has passed", async function () {
+      const nftTimestamp = await nft.timestamp();
+      const blockBefore = await ethers.provider.getBlock("latest");
+
+      const timeToIncrease = Number(nftTimestamp) - blockBefore.timestamp + 1;
+
+      await ethers.provider.send("evm_increaseTime", [timeToIncrease]);
+      await ethers.provider.send("evm_mine", []);
+
+      await mockPyUsd
+        .connect(buyer1)
+        .approve(await nft.getAddress(), ethers.parseUnits("10000", 6));
+
+      await expect(nft.connect(buyer1).mint()).to.be.revertedWithCustomError(
+        nft,
+        "MintingIsNotAllowed"
+      );
+    });
+
+    it("should revert if insufficient allowance", async function () {
+      await mockPyUsd.connect(buyer1).approve(await nft.getAddress(), 0);
+
+      await expect(nft.connect(buyer1).mint()).to.be.revertedWithCustomError(
+        mockPyUsd,
+        "ERC20InsufficientAllowance"
+      );
+    });
+
+    it("should revert if insufficient balance", async function () {
+      const buyer3 = accounts[5];
+      await mockPyUsd
+        .connect(buyer3)
+        .approve(await nft.getAddress(), ethers.parseUnits("10000", 6));
+
+      await expect(nft.connect(buyer3).mint()).to.be.revertedWithCustomError(
+        mockPyUsd,
+        "ERC20InsufficientBalance"
+      );
+    });
+
+    it("should allow multiple mints from same user", async function () {
+      await nft.connect(buyer1).mint();
+      await nft.connect(buyer1).mint();
+      await nft.connect(buyer1).mint();
+
+      expect(await nft.balanceOf(buyer1.address)).to.equal(3);
+      expect(await nft.totalEverMinted()).to.equal(3);
+    });
+
+    it("should allow mints from different users", async function () {
+      await mockPyUsd
+        .connect(buyer2)
+        .approve(await nft.getAddress(), ethers.parseUnits("10000", 6));
+
+      await nft.connect(buyer1).mint();
+      await nft.connect(buyer2).mint();
+
+      expect(await nft.balanceOf(buyer1.address)).to.equal(1);
+      expect(await nft.balanceOf(buyer2.address)).to.equal(1);
+      expect(await nft.totalEverMinted()).to.equal(2);
+    });
+
+    it("should deduct correct amount from buyer balance", async function () {
+      const mintPrice = await nft.getCurrentPriceToMint();
+      const balanceBefore = await mockPyUsd.balanceOf(buyer1.address);
+
+      await nft.connect(buyer1).mint();
+
+      const balanceAfter = await mockPyUsd.balanceOf(buyer1.address);
+
+      expect(balanceBefore - balanceAfter).to.equal(mintPrice);
+    });
+  });
+
+  describe("Mint with slippage protection", function () {
+    let deadline;
+
+    beforeEach(async function () {
+      await mockPyUsd
+        .connect(buyer1)
+        .approve(await nft.getAddress(), ethers.parseUnits("10000", 6));
+      await mockPyUsd
+        .connect(buyer2)
+        .approve(await nft.getAddress(), ethers.parseUnits("10000", 6));
+
+      const currentBlock = await ethers.provider.getBlock("latest");
+      deadline = currentBlock.timestamp + 600;
+    });
+
+    it("should mint at the quoted price", async function () {
+      const quotedPrice = await nft.getCurrentPriceToMint();
+      const balanceBefore = await mockPyUsd.balanceOf(buyer1.address);
+
+      await expect(
+        nft.connect(buyer1)["mint(uint256,uint256)"](quotedPrice, deadline)
+      )
+        .to.emit(nft, "Mint")
+        .withArgs(buyer1.address, 1);
+
+      const balanceAfter = await mockPyUsd.balanceOf(buyer1.address);
+      expect(balanceBefore - balanceAfter).to.equal(quotedPrice);
+    });
+
+    it("should mint when the price is below maxPrice", async function () {
+      const quotedPrice = await nft.getCurrentPriceToMint();
+
+      await nft
+        .connect(buyer1)
+        ["mint(uint256,uint256)"](quotedPrice * 2n, deadline);
+
+      expect(await nft.balanceOf(buyer1.address)).to.equal(1);
+    });
+
+    it("should revert when another mint moved the price", async function () {
+      const quotedPrice = await nft.getCurrentPriceToMint();
+
+      await nft.connect(buyer2).mint();
+
+      const newPrice = await nft.getCurrentPriceToMint();
+
+      await expect(
+        nft.connect(buyer1)["mint(uint256,uint256)"](quotedPrice, deadline)
+      )
+        .to.be.revertedWithCustomError(nft, "PriceAboveMaximum")
+        .withArgs(newPrice, quotedPrice);
+    });
+
+    it("should revert when the deadline has passed", async function () {
+      const quotedPrice = await nft.getCurrentPriceToMint();
+
+      await ethers.provider.send("evm_increaseTime", [601]);
+      await ethers.provider.send("evm_mine", []);
+
+      await expect(
+        nft.connect(buyer1)["mint(uint256,uint256)"](quotedPrice, deadline)
+      )
+        .to.be.revertedWithCustomError(nft, "DeadlineExpired")
+        .withArgs(deadline);
+    });
+
+    it("should allow minting in the deadline block", async function () {
+      const quotedPrice = await nft.getCurrentPriceToMint();
+      const currentBlock = await ethers.provider.getBlock("latest");
+
+      await nft
+        .connect(buyer1)
+        ["mint(uint256,uint256)"](quotedPrice, currentBlock.timestamp + 1);
+
+      expect(await nft.balanceOf(buyer1.address)).to.equal(1);
+    });
+
+    it("should still enforce the campaign timestamp", async function () {
+      const quotedPrice = await nft.getCurrentPriceToMint();
+      const blockBefore = await ethers.provider.getBlock("latest");
+      const timeToIncrease = futureTimestamp - blockBefore.timestamp + 1;
+
+      await ethers.provider.send("evm_increaseTime", [timeToIncrease]);
+      await ethers.provider.send("evm_mine", []);
+
+      await expect(
+        nft
+          .connect(buyer1)
+          ["mint(uint256,uint256)"](quotedPrice, ethers.MaxUint256)
+      ).to.be.revertedWithCustomError(nft, "MintingIsNotAllowed");
+    });
+
+    it("should batch mint within maxTotalPrice and deadline", async function () {
+      const totalPrice = await nft.getPriceToMint(3);
+
+      await nft
+        .connect(buyer1)
+        ["mintBatch(uint256,uint256,uint256)"](3, totalPrice, deadline);
+
+      expect(await nft.balanceOf(buyer1.address)).to.equal(3);
+    });
+
+    it("should revert batch mint when the price moved", async function () {
+      const totalPrice = await nft.getPriceToMint(3);
+
+      await nft.connect(buyer2).mint();
+
+      await expect(
+        nft
+          .connect(buyer1)
+          ["mintBatch(uint256,uint256,uint256)"](3, totalPrice, deadline)
+      ).to.be.revertedWithCustomError(nft, "PriceAboveMaximum");
+    });
+
+    it("should revert batch mint when the deadline has passed", async function () {
+      const totalPrice = await nft.getPriceToMint(3);
+
+      await ethers.provider.send("evm_increaseTime", [601]);
+      await ethers.provider.send("evm_mine", []);
+
+      await expect(
+        nft
+          .connect(buyer1)
+          ["mintBatch(uint256,uint256,uint256)"](3, totalPrice, deadline)
+      )
+        .to.be.revertedWithCustomError(nft, "DeadlineExpired")
+        .withArgs(deadline);
+    });
+  });
+
+  describe("MintWithPermit", function () {
+    let deadline;
+
+    beforeEach(async function () {
+      const currentBlock = await ethers.provider.getBlock("latest");
+      deadline = currentBlock.timestamp + 600;
+    });
+
+    it("should mint without a prior approve transaction", async function () {
+      const totalPrice = await nft.getPriceToMint(2);
+      const { v, r, s } = await signPermit(
+        mockPyUsd,
+        buyer1,
+        await nft.getAddress(),
+        totalPrice,
+        deadline
+      );
+
+      expect(
+        await mockPyUsd.allowance(buyer1.address, await nft.getAddress())
+      ).to.equal(0);
+
+      const balanceBefore = await mockPyUsd.balanceOf(buyer1.address);
+      await nft
+        .connect(buyer1)
+        .mintWithPermit(2, totalPrice, deadline, v, r, s);
+      const balanceAfter = await mockPyUsd.balanceOf(buyer1.address);
+
+      expect(await nft.balanceOf(buyer1.address)).to.equal(2);
+      expect(balanceBefore - balanceAfter).to.equal(totalPrice);
+    });
+
+    it("should leave the unused allowance when the price is lower", async function () {
+      const totalPrice = await nft.getPriceToMint(1);
+      const maxTotalPrice = totalPrice + 100n;
+      const { v, r, s } = await signPermit(
+        mockPyUsd,
+        buyer1,
+        await nft.getAddress(),
+        maxTotalPrice,
+        deadline
+      );
+
+      await nft
+        .connect(buyer1)
+        .mintWithPermit(1, maxTotalPrice, deadline, v, r, s);
+
+      expect(
+        await mockPyUsd.allowance(buyer1.address, await nft.getAddress())
+      ).to.equal(100n);
+    });
+
+    it("should still mint if the permit was already submitted", async function () {
+      const totalPrice = await nft.getPriceToMint(1);
+      const { v, r, s } = await signPermit(
+        mockPyUsd,
+        buyer1,
+        await nft.getAddress(),
+        totalPrice,
+        deadline
+      );
+
+      await mockPyUsd
+        .connect(buyer2)
+        .permit(
+          buyer1.address,
+          await nft.getAddress(),
+          totalPrice,
+          deadline,
+          v,
+          r,
+          s
+        );
+
+      await nft
+        .connect(buyer1)
+        .mintWithPermit(1, totalPrice, deadline, v, r, s);
+
+      expect(await nft.balanceOf(buyer1.address)).to.equal(1);
+    });
+
+    it("should revert if the permit is for another buyer", async function () {
+      const totalPrice = await nft.getPriceToMint(1);
+      const { v, r, s } = await signPermit(
+        mockPyUsd,
+        buyer2,
+        await nft.getAddress(),
+        totalPrice,
+        deadline
+      );
+
+      await expect(
+        nft.connect(buyer1).mintWithPermit(1, totalPrice, deadline, v, r, s)
+      ).to.be.revertedWithCustomError(mockPyUsd, "ERC20InsufficientAllowance");
+    });
+
+    it("should revert if the price moved past maxTotalPrice", async function () {
+      const totalPrice = await nft.getPriceToMint(1);
+      const { v, r, s } = await signPermit(
+        mockPyUsd,
+        buyer1,
+        await nft.getAddress(),
+        totalPrice,
+        deadline
+      );
+
+      await mockPyUsd
+        .connect(buyer2)
+        .approve(await nft.getAddress(), ethers.parseUnits("10000", 6));
+      await nft.connect(buyer2).mint();
+
+      await expect(
+        nft.connect(buyer1).mintWithPermit(1, totalPrice, deadline, v, r, s)
+      ).to.be.revertedWithCustomError(nft, "PriceAboveMaximum");
+    });
+
+    it("should revert if the deadline has passed", async function () {
+      const totalPrice = await nft.getPriceToMint(1);
+      const { v, r, s } = await signPermit(
+        mockPyUsd,
+        buyer1,
+        await nft.getAddress(),
+        totalPrice,
+        deadline
+      );
+
+      await ethers.provider.send("evm_increaseTime", [601]);
+      await ethers.provider.send("evm_mine", []);
+
+      await expect(
+        nft.connect(buyer1).mintWithPermit(1, totalPrice, deadline, v, r, s)
+      ).to.be.revertedWithCustomError(nft, "DeadlineExpired");
+    });
+  });
+
+  describe("MintWithSignature", function () {
+    let relayer;
+    let deadline;
+
+    before(function () {
+      relayer = accounts[6];
+    });
+
+    beforeEach(async function () {
+      const currentBlock = await ethers.provider.getBlock("latest");
+      deadline = currentBlock.timestamp + 600;
+    });
+
+    async function buildOrder(buyer, quantity, overrides = {}) {
+      return {
+        buyer: buyer.address,
+        quantity,
+        maxTotalPrice: await nft.getPriceToMint(quantity),
+        nonce: await nft.nonces(buyer.address),
+        deadline,
+        ...overrides,
+      };
+    }
+
+    it("should match the on-chain order hash", async function () {
+      const order = await buildOrder(buyer1, 2);
+      const signature = await signMintOrder(nft, buyer1, order);
+
+      const digest = await nft.hashMintOrder(order);
+
+      expect(ethers.recoverAddress(digest, signature)).to.equal(
+        buyer1.address
+      );
+    });
+
+    it("should let a relayer submit a signed order", async function () {
+      await mockPyUsd
+        .connect(buyer1)
+        .approve(await nft.getAddress(), ethers.parseUnits("10000", 6));
+
+      const order = await buildOrder(buyer1, 2);
+      const signature = await signMintOrder(nft, buyer1, order);
+
+      const buyerBalanceBefore = await mockPyUsd.balanceOf(buyer1.address);
+      const relayerBalanceBefore = await mockPyUsd.balanceOf(relayer.address);
+
+      await expect(nft.connect(relayer).mintWithSignature(order, signature))
+        .to.emit(nft, "MintOrderExecuted")
+        .withArgs(buyer1.address, relayer.address, order.nonce);
+
+      expect(await nft.balanceOf(buyer1.address)).to.equal(2);
+      expect(await nft.balanceOf(relayer.address)).to.equal(0);
+      expect(
+        buyerBalanceBefore - (await mockPyUsd.balanceOf(buyer1.address))
+      ).to.equal(order.maxTotalPrice);
+      expect(await mockPyUsd.balanceOf(relayer.address)).to.equal(
+        relayerBalanceBefore
+      );
+      expect(await nft.nonces(buyer1.address)).to.equal(1);
+    });
+
+    it("should let a relayer submit an order with a permit", async function () {
+      const order = await buildOrder(buyer1, 3);
+      const signature = await signMintOrder(nft, buyer1, order);
+      const { v, r, s } = await signPermit(
+        mockPyUsd,
+        buyer1,
+        await nft.getAddress(),
+        order.maxTotalPrice,
+        order.deadline
+      );
+
+      await nft
+        .connect(relayer)
+        .mintWithSignatureAndPermit(order, signature, v, r, s);
+
+      expect(await nft.balanceOf(buyer1.address)).to.equal(3);
+      expect(
+        await mockPyUsd.allowance(buyer1.address, await nft.getAddress())
+      ).to.equal(0);
+    });
+
+    it("should revert when the order is replayed", async function () {
+      await mockPyUsd
+        .connect(buyer1)
+        .approve(await nft.getAddress(), ethers.parseUnits("10000", 6));
+
+      const order = await buildOrder(buyer1, 1, {
+        maxTotalPrice: ethers.parseUnits("100", 6),
+      });
+      const signature = await signMintOrder(nft, buyer1, order);
+
+      await nft.connect(relayer).mintWithSignature(order, signature);
+
+      await expect(nft.connect(relayer).mintWithSignature(order, signature))
+        .to.be.revertedWithCustomError(nft, "InvalidAccountNonce")
+        .withArgs(buyer1.address, 1);
+    });
+
+    it("should revert when signed by someone other than the buyer", async function () {
+      const order = await buildOrder(buyer1, 1);
+      const signature = await signMintOrder(nft, buyer2, order);
+
+      await expect(
+        nft.connect(relayer).mintWithSignature(order, signature)
+      ).to.be.revertedWithCustomError(nft, "InvalidSignature");
+    });
+
+    it("should revert when the relayer alters the order", async function () {
+      const order = await buildOrder(buyer1, 1);
+      const signature = await signMintOrder(nft, buyer1, order);
+
+      await expect(
+        nft
+          .connect(relayer)
+          .mintWithSignature({ ...order, quantity: 2 }, signature)
+      ).to.be.revertedWithCustomError(nft, "InvalidSignature");
+    });
+
+    it("should revert when the order has expired", async function () {
+      const order = await buildOrder(buyer1, 1);
+      const signature = await signMintOrder(nft, buyer1, order);
+
+      await ethers.provider.send("evm_increaseTime", [601]);
+      await ethers.provider.send("evm_mine", []);
+
+      await expect(nft.connect(relayer).mintWithSignature(order, signature))
+        .to.be.revertedWithCustomError(nft, "DeadlineExpired")
+        .withArgs(deadline);
+    });
+
+    it("should revert when the price moved past maxTotalPrice", async function () {
+      await mockPyUsd
+        .connect(buyer1)
+        .approve(await nft.getAddress(), ethers.parseUnits("10000", 6));
+
+      const order = await buildOrder(buyer1, 1);
+      const signature = await signMintOrder(nft, buyer1, order);
+
+      await nft.connect(buyer1).mint();
+
+      await expect(
+        nft.connect(relayer).mintWithSignature(order, signature)
+      ).to.be.revertedWithCustomError(nft, "PriceAboveMaximum");
+    });
+  });
+
+  describe("Supply limits", function () {
+    const maxSupply = 15;
+    const maxPerWallet = 10;
+
+    async function createLimitedCampaign(params = {}) {
+      const tx = await factory.connect(creator).createCampaign(
+        buildCampaignParams({
+          name: "Limited Campaign",
+          symbol: "LC",
+          minRequiredSales: minRequiredSales,
+          maxSupply: maxSupply,
+          maxPerWallet: maxPerWallet,
+          timestamp: futureTimestamp,
+          startPrice: startPrice,
+          priceIncrement: priceIncrement,
+          paymentToken: await mockPyUsd.getAddress(),
+          ...params,
+        })
+      );
+      const receipt = await tx.wait();
+
+      const event = receipt.logs.find(
+        (log) => log.fragment && log.fragment.name === "CampaignCreated"
+      );
+
+      const limitedNft = await ethers.getContractAt(
+        "NFT",
+        event.args.campaignAddress
+      );
+
+      await mockPyUsd
+        .connect(buyer1)
+        .approve(await limitedNft.getAddress(), ethers.parseUnits("10000", 6));
+      await mockPyUsd
+        .connect(buyer2)
+        .approve(await limitedNft.getAddress(), ethers.parseUnits("10000", 6));
+
+      return limitedNft;
+    }
+
+    it("should allow minting up to the max supply", async function () {
+      const limitedNft = await createLimitedCampaign();
+
+      await limitedNft.connect(buyer1).mintBatch(10, ethers.MaxUint256);
+      await limitedNft.connect(buyer2).mintBatch(5, ethers.MaxUint256);
+
+      expect(await limitedNft.totalEverMinted()).to.equal(maxSupply);
+      expect(await limitedNft.isSoldOut()).to.equal(true);
+    });
+
+    it("should revert one mint past the max supply", async function () {
+      const limitedNft = await createLimitedCampaign();
+      await limitedNft.connect(buyer1).mintBatch(10, ethers.MaxUint256);
+      await limitedNft.connect(buyer2).mintBatch(5, ethers.MaxUint256);
+
+      await expect(
+        limitedNft.connect(buyer2).mint()
+      ).to.be.revertedWithCustomError(limitedNft, "MaxSupplyExceeded");
+    });
+
+    it("should revert a batch that crosses the max supply", async function () {
+      const limitedNft = await createLimitedCampaign();
+      await limitedNft.connect(buyer1).mintBatch(10, ethers.MaxUint256);
+
+      await expect(
+        limitedNft.connect(buyer2).mintBatch(6, ethers.MaxUint256)
+      ).to.be.revertedWithCustomError(limitedNft, "MaxSupplyExceeded");
+      expect(await limitedNft.totalEverMinted()).to.equal(10);
+    });
+
+    it("should count burned tokens against the max supply", async function () {
+      const limitedNft = await createLimitedCampaign();
+      await limitedNft.connect(buyer1).mintBatch(10, ethers.MaxUint256);
+      await limitedNft.connect(buyer2).mintBatch(5, ethers.MaxUint256);
+      await limitedNft.connect(buyer2).burn(15);
+
+      await expect(
+        limitedNft.connect(buyer2).mint()
+      ).to.be.revertedWithCustomError(limitedNft, "MaxSupplyExceeded");
+    });
+
+    it("should allow minting up to the wallet limit", async function () {
+      const limitedNft = await createLimitedCampaign();
+
+      await limitedNft.connect(buyer1).mintBatch(4, ethers.MaxUint256);
+      await limitedNft.connect(buyer1).mintBatch(6, ethers.MaxUint256);
+
+      expect(await limitedNft.mintedByWallet(buyer1.address)).to.equal(
+        maxPerWallet
+      );
+    });
+
+    it("should revert one mint past the wallet limit", async function () {
+      const limitedNft = await createLimitedCampaign();
+      await limitedNft.connect(buyer1).mintBatch(10, ethers.MaxUint256);
+
+      await expect(
+        limitedNft.connect(buyer1).mint()
+      ).to.be.revertedWithCustomError(limitedNft, "WalletLimitExceeded");
+      await limitedNft.connect(buyer2).mint();
+    });
+
+    it("should revert a batch that crosses the wallet limit", async function () {
+      const limitedNft = await createLimitedCampaign();
+      await limitedNft.connect(buyer1).mintBatch(9, ethers.MaxUint256);
+
+      await expect(
+        limitedNft.connect(buyer1).mintBatch(2, ethers.MaxUint256)
+      ).to.be.revertedWithCustomError(limitedNft, "WalletLimitExceeded");
+    });
+
+    it("should not limit campaigns without a max supply", async function () {
+      await mockPyUsd
+        .connect(buyer1)
+        .approve(await nft.getAddress(), ethers.parseUnits("10000", 6));
+
+      await nft.connect(buyer1).mintBatch(50, ethers.MaxUint256);
+
+      expect(await nft.isSoldOut()).to.equal(false);
+    });
+
+    it("should keep a sold out campaign open until timestamp by default", async function () {
+      const limitedNft = await createLimitedCampaign();
+      await limitedNft.connect(buyer1).mintBatch(10, ethers.MaxUint256);
+      await limitedNft.connect(buyer2).mintBatch(5, ethers.MaxUint256);
+
+      expect(await limitedNft.status()).to.equal(CampaignStatus.Succeeded);
+      expect(await limitedNft.isFinalized()).to.equal(false);
+    });
+
+    it("should not allow finalizing a sold out campaign early by default", async function () {
+      const limitedNft = await createLimitedCampaign();
+      await limitedNft.connect(buyer1).mintBatch(10, ethers.MaxUint256);
+      await limitedNft.connect(buyer2).mintBatch(5, ethers.MaxUint256);
+
+      await expect(
+        limitedNft.connect(buyer2).finalize()
+      ).to.be.revertedWithCustomError(limitedNft, "FinalizationNotAllowed");
+      expect(await limitedNft.status()).to.equal(CampaignStatus.Succeeded);
+    });
+
+    it("should still let the creator extend a sold out campaign", async function () {
+      const limitedNft = await createLimitedCampaign();
+      await limitedNft.connect(buyer1).mintBatch(10, ethers.MaxUint256);
+      await limitedNft.connect(buyer2).mintBatch(5, ethers.MaxUint256);
+
+      await expect(
+        limitedNft.connect(creator).extendDeadline(futureTimestamp + 86400)
+      )
+        .to.emit(limitedNft, "DeadlineExtended")
+        .withArgs(futureTimestamp, futureTimestamp + 86400);
+    });
+
+    it("should close the campaign on sell-out when configured", async function () {
+      const limitedNft = await createLimitedCampaign({ closeOnSellOut: true });
+      await limitedNft.connect(buyer1).mintBatch(10, ethers.MaxUint256);
+
+      await expect(
+        limitedNft.connect(buyer2).mintBatch(5, ethers.MaxUint256)
+      ).to.emit(limitedNft, "CampaignSucceeded");
+
+      expect(await limitedNft.isFinalized()).to.equal(true);
+      expect(await limitedNft.status()).to.equal(CampaignStatus.Finalized);
+
+      const withdrawalAmount = await limitedNft.withdrawalAmount(mockPyUsd);
+      await expect(limitedNft.connect(creator).withdrawCreatorsFunds())
+        .to.emit(limitedNft, "WithdrawCreatorsFunds")
+        .withArgs(creator.address, await mockPyUsd.getAddress(), withdrawalAmount);
+    });
+
+    it("should stay open until the last token is minted", async function () {
+      const limitedNft = await createLimitedCampaign({
+        closeOnSellOut: true,
+        maxSupply: minRequiredSales,
+      });
+
+      await limitedNft.connect(buyer1).mintBatch(9, ethers.MaxUint256);
+
+      expect(await limitedNft.isFinalized()).to.equal(false);
+      expect(await limitedNft.status()).to.equal(CampaignStatus.Active);
+    });
+  });
+
+  describe("Token IDs", function () {
+    beforeEach(async function () {
+      await mockPyUsd
+        .connect(buyer1)
+        .approve(await nft.getAddress(), ethers.parseUnits("10000", 6));
+      await mockPyUsd
+        .connect(buyer2)
+        .approve(await nft.getAddress(), ethers.parseUnits("10000", 6));
+    });
+
+    it("should assign sequential token IDs starting at 1", async function () {
+      await nft.connect(buyer1).mint();
+      await nft.connect(buyer2).mint();
+      await nft.connect(buyer1).mint();
+
+      expect(await nft.ownerOf(1)).to.equal(buyer1.address);
+      expect(await nft.ownerOf(2)).to.equal(buyer2.address);
+      expect(await nft.ownerOf(3)).to.equal(buyer1.address);
+    });
+
+    it("should allow the same buyer to mint twice in one block", async function () {
+      await ethers.provider.send("evm_setAutomine", [false]);
+
+      try {
+        const tx1 = await nft.connect(buyer1).mint();
+        const tx2 = await nft.connect(buyer1).mint();
+
+        await ethers.provider.send("evm_mine", []);
+
+        const receipt1 = await tx1.wait();
+        const receipt2 = await tx2.wait();
+
+        expect(receipt1.blockNumber).to.equal(receipt2.blockNumber);
+        expect(receipt1.status).to.equal(1);
+        expect(receipt2.status).to.equal(1);
+      } finally {
+        await ethers.provider.send("evm_setAutomine", [true]);
+      }
+
+      expect(await nft.balanceOf(buyer1.address)).to.equal(2);
+      expect(await nft.totalEverMinted()).to.equal(2);
+      expect(await nft.ownerOf(1)).to.equal(buyer1.address);
+      expect(await nft.ownerOf(2)).to.equal(buyer1.address);
+    });
+
+    it("should allow different buyers to mint in one block", async function () {
+      await ethers.provider.send("evm_setAutomine", [false]);
+
+      try {
+        await nft.connect(buyer1).mint();
+        await nft.connect(buyer2).mint();
+        await nft.connect(buyer1).mint();
+
+        await ethers.provider.send("evm_mine", []);
+      } finally {
+        await ethers.provider.send("evm_setAutomine", [true]);
+      }
+
+      expect(await nft.totalEverMinted()).to.equal(3);
+      expect(await nft.balanceOf(buyer1.address)).to.equal(2);
+      expect(await nft.balanceOf(buyer2.address)).to.equal(1);
+    });
+  });
+
+  describe("MintBatch", function () {
+    beforeEach(async function () {
+      await mockPyUsd
+        .connect(buyer1)
+        .approve(await nft.getAddress(), ethers.parseUnits("10000", 6));
+    });
+
+    it("should mint the requested quantity", async function () {
+      await nft.connect(buyer1).mintBatch(5, ethers.MaxUint256);
+
+      expect(await nft.balanceOf(buyer1.address)).to.equal(5);
+      expect(await nft.totalEverMinted()).to.equal(5);
+      for (let tokenId = 1; tokenId <= 5; tokenId++) {
+        expect(await nft.ownerOf(tokenId)).to.equal(buyer1.address);
+      }
+    });
+
+    it("should return the first token ID", async function () {
+      await nft.connect(buyer1).mint();
+
+      const firstTokenId = await nft
+        .connect(buyer1)
+        .mintBatch.staticCall(3, ethers.MaxUint256);
+
+      expect(firstTokenId).to.equal(2);
+    });
+
+    it("should charge the exact sum of the price curve", async function () {
+      const quantity = 5n;
+      const totalPrice = await nft.getPriceToMint(quantity);
+      const balanceBefore = await mockPyUsd.balanceOf(buyer1.address);
+
+      await nft.connect(buyer1).mintBatch(quantity, totalPrice);
+
+      const balanceAfter = await mockPyUsd.balanceOf(buyer1.address);
+      expect(balanceBefore - balanceAfter).to.equal(totalPrice);
+    });
+
+    it("should charge the same as sequential single mints", async function () {
+      const quantity = 4;
+      const snapshotPrices = [];
+      for (let i = 0; i < quantity; i++) {
+        snapshotPrices.push(
+          startPrice + BigInt(priceIncrement) * BigInt(i)
+        );
+      }
+
+      await nft.connect(buyer1).mintBatch(quantity, ethers.MaxUint256);
+
+      for (let i = 0; i < quantity; i++) {
+        const holder = await nft.getHolderByTokenId(i + 1);
+        const feeValue = (snapshotPrices[i] * BigInt(platformFee)) / 10000n;
+
+        expect(holder.mintPriceGross).to.equal(snapshotPrices[i]);
+        expect(holder.mintPrice).to.equal(snapshotPrices[i] - feeValue);
+      }
+    });
+
+    it("should split the payment between contract and treasury", async function () {
+      const quantity = 3n;
+      const totalPrice = await nft.getPriceToMint(quantity);
+
+      await nft.connect(buyer1).mintBatch(quantity, totalPrice);
+
+      let totalFee = 0n;
+      for (let tokenId = 1n; tokenId <= quantity; tokenId++) {
+        const holder = await nft.getHolderByTokenId(tokenId);
+        totalFee += holder.mintPriceGross - holder.mintPrice;
+      }
+
+      expect(await mockPyUsd.balanceOf(treasury.address)).to.equal(totalFee);
+      expect(await mockPyUsd.balanceOf(await nft.getAddress())).to.equal(
+        totalPrice - totalFee
+      );
+      expect(await nft.withdrawalAmount(mockPyUsd)).to.equal(totalPrice - totalFee);
+    });
+
+    it("should emit a Mint event per token", async function () {
+      const tx = await nft.connect(buyer1).mintBatch(3, ethers.MaxUint256);
+      const receipt = await tx.wait();
+
+      const events = receipt.logs.filter(
+        (log) => log.fragment && log.fragment.name === "Mint"
+      );
+
+      expect(events.map((event) => event.args.tokenId)).to.deep.equal([
+        1n,
+        2n,
+        3n,
+      ]);
+    });
+
+    it("should revert if total price exceeds maxTotalPrice", async function () {
+      const totalPrice = await nft.getPriceToMint(3);
+
+      await expect(nft.connect(buyer1).mintBatch(3, totalPrice - 1n))
+        .to.be.revertedWithCustomError(nft, "PriceAboveMaximum")
+        .withArgs(totalPrice, totalPrice - 1n);
+    });
+
+    it("should revert if price moved after the quote", async function () {
+      const quotedPrice = await nft.getPriceToMint(2);
+
+      await mockPyUsd
+        .connect(buyer2)
+        .approve(await nft.getAddress(), ethers.parseUnits("10000", 6));
+      await nft.connect(buyer2).mint();
+
+      await expect(
+        nft.connect(buyer1).mintBatch(2, quotedPrice)
+      ).to.be.revertedWithCustomError(nft, "PriceAboveMaximum");
+    });
+
+    it("should revert for zero quantity", async function () {
+      await expect(
+        nft.connect(buyer1).mintBatch(0, ethers.MaxUint256)
+      ).to.be.revertedWithCustomError(nft, "InvalidQuantity");
+    });
+
+    it("should revert if timestamp has passed", async function () {
+      const blockBefore = await ethers.provider.getBlock("latest");
+      const timeToIncrease = futureTimestamp - blockBefore.timestamp + 1;
+
+      await ethers.provider.send("evm_increaseTime", [timeToIncrease]);
+      await ethers.provider.send("evm_mine", []);
+
+      await expect(
+        nft.connect(buyer1).mintBatch(2, ethers.MaxUint256)
+      ).to.be.revertedWithCustomError(nft, "MintingIsNotAllowed");
+    });
+  });
+
+  describe("Platform fee", function () {
+    async function createCampaignWithFee(fee, campaignStartPrice) {
+      await factory.setPlatformFee(fee);
+
+      const tx = await factory.connect(creator).createCampaign(
+        buildCampaignParams({
+          name: "Fee Campaign",
+          symbol: "FC",
+          minRequiredSales: minRequiredSales,
+          timestamp: futureTimestamp,
+          startPrice: campaignStartPrice,
+          priceIncrement: priceIncrement,
+          paymentToken: await mockPyUsd.getAddress(),
+        })
+      );
+      const receipt = await tx.wait();
+
+      const event = receipt.logs.find(
+        (log) => log.fragment && log.fragment.name === "CampaignCreated"
+      );
+
+      const campaign = await ethers.getContractAt(
+        "NFT",
+        event.args.campaignAddress
+      );
+
+      await mockPyUsd
+        .connect(buyer1)
+        .approve(await campaign.getAddress(), ethers.parseUnits("10000", 6));
+
+      return campaign;
+    }
+
+    it("should charge fractional percentages in basis points", async function () {
+      const campaign = await createCampaignWithFee(250, startPrice);
+
+      const treasuryBalanceBefore = await mockPyUsd.balanceOf(treasury.address);
+      await campaign.connect(buyer1).mint();
+      const treasuryBalanceAfter = await mockPyUsd.balanceOf(treasury.address);
+
+      expect(treasuryBalanceAfter - treasuryBalanceBefore).to.equal(
+        ethers.parseUnits("0.625", 6)
+      );
+    });
+
+    it("should round the fee down on 6-decimal prices", async function () {
+      const campaign = await createCampaignWithFee(
+        250,
+        ethers.parseUnits("25.000005", 6)
+      );
+
+      const treasuryBalanceBefore = await mockPyUsd.balanceOf(treasury.address);
+      const tx = await campaign.connect(buyer1).mint();
+      const receipt = await tx.wait();
+      const treasuryBalanceAfter = await mockPyUsd.balanceOf(treasury.address);
+
+      const event = receipt.logs.find(
+        (log) => log.fragment && log.fragment.name === "Mint"
+      );
+      const holder = await campaign.getHolderByTokenId(event.args.tokenId);
+
+      // 2.5% of 25.000005 is 0.625000125, which rounds down to 0.625000
+      expect(treasuryBalanceAfter - treasuryBalanceBefore).to.equal(625000n);
+      expect(holder.mintPrice).to.equal(24375005n);
+      expect(holder.mintPriceGross).to.equal(25000005n);
+    });
+
+    it("should charge no fee below one unit of the token", async function () {
+      const campaign = await createCampaignWithFee(1, 9999n);
+
+      const treasuryBalanceBefore = await mockPyUsd.balanceOf(treasury.address);
+      await campaign.connect(buyer1).mint();
+      const treasuryBalanceAfter = await mockPyUsd.balanceOf(treasury.address);
 
-      const expectedPrice = startPrice + BigInt(priceIncrement) * BigInt(2);
-      expect(await nft.getCurrentPriceToMint()).to.equal(expectedPrice);
+      expect(treasuryBalanceAfter - treasuryBalanceBefore).to.equal(0);
+      expect(await campaign.withdrawalAmount(mockPyUsd)).to.equal(9999n);
     });
 
-    it("should increase price by priceIncrement with each mint", async function () {
-      await mockPyUsd
-        .connect(buyer1)
-        .approve(await nft.getAddress(), ethers.parseUnits("10000", 6));
-
-      const price0 = await nft.getCurrentPriceToMint();
-      await nft.connect(buyer1).mint();
+    it("should split every price step exactly into net and fee", async function () {
+      const campaign = await createCampaignWithFee(333, startPrice);
 
-      const price1 = await nft.getCurrentPriceToMint();
-      await nft.connect(buyer1).mint();
+      for (let i = 0; i < 3; i++) {
+        const mintPrice = await campaign.getCurrentPriceToMint();
+        const feeValue = (mintPrice * 333n) / 10000n;
 
-      const price2 = await nft.getCurrentPriceToMint();
-      await nft.connect(buyer1).mint();
+        const buyerBalanceBefore = await mockPyUsd.balanceOf(buyer1.address);
+        const tx = await campaign.connect(buyer1).mint();
+        const receipt = await tx.wait();
+        const buyerBalanceAfter = await mockPyUsd.balanceOf(buyer1.address);
 
-      const price3 = await nft.getCurrentPriceToMint();
+        const event = receipt.logs.find(
+          (log) => log.fragment && log.fragment.name === "Mint"
+        );
+        const holder = await campaign.getHolderByTokenId(event.args.tokenId);
 
-      expect(price1 - price0).to.equal(BigInt(priceIncrement));
-      expect(price2 - price1).to.equal(BigInt(priceIncrement));
-      expect(price3 - price2).to.equal(BigInt(priceIncrement));
+        expect(buyerBalanceBefore - buyerBalanceAfter).to.equal(mintPrice);
+        expect(holder.mintPriceGross - holder.mintPrice).to.equal(feeValue);
+      }
     });
-  });
 
-  describe("Mint", function () {
-    beforeEach(async function () {
+    it("should not change the fee of a deployed campaign", async function () {
+      await factory.setPlatformFee(2000);
+
+      const mintPrice = await nft.getCurrentPriceToMint();
+      const feeValue = (mintPrice * BigInt(platformFee)) / 10000n;
+
       await mockPyUsd
         .connect(buyer1)
         .approve(await nft.getAddress(), ethers.parseUnits("10000", 6));
+
+      const treasuryBalanceBefore = await mockPyUsd.balanceOf(treasury.address);
+      await nft.connect(buyer1).mint();
+      const treasuryBalanceAfter = await mockPyUsd.balanceOf(treasury.address);
+
+      expect(treasuryBalanceAfter - treasuryBalanceBefore).to.equal(feeValue);
     });
+  });
 
-    it("should mint successfully with correct payment", async function () {
-      const tx = await nft.connect(buyer1).mint();
+  describe("Platform fee escrow", function () {
+    let escrowNft;
+
+    beforeEach(async function () {
+      const tx = await factory.connect(creator).createCampaign(
+        buildCampaignParams({
+          name: "Escrow Campaign",
+          symbol: "EC",
+          minRequiredSales: minRequiredSales,
+          timestamp: futureTimestamp,
+          startPrice: startPrice,
+          priceIncrement: priceIncrement,
+          paymentToken: await mockPyUsd.getAddress(),
+          escrowPlatformFee: true,
+        })
+      );
       const receipt = await tx.wait();
 
       const event = receipt.logs.find(
-        (log) => log.fragment && log.fragment.name === "Mint"
+        (log) => log.fragment && log.fragment.name === "CampaignCreated"
       );
 
-      expect(event).to.not.be.undefined;
-      expect(event.args.holder).to.equal(buyer1.address);
-      expect(event.args.tokenId).to.be.a("bigint");
+      escrowNft = await ethers.getContractAt("NFT", event.args.campaignAddress);
+
+      await mockPyUsd
+        .connect(buyer1)
+        .approve(await escrowNft.getAddress(), ethers.parseUnits("10000", 6));
+      await mockPyUsd
+        .connect(buyer2)
+        .approve(await escrowNft.getAddress(), ethers.parseUnits("10000", 6));
     });
 
-    it("should increase totalEverMinted", async function () {
-      expect(await nft.totalEverMinted()).to.equal(0);
+    async function passTimestamp() {
+      const blockBefore = await ethers.provider.getBlock("latest");
+      const timeToIncrease = futureTimestamp - blockBefore.timestamp + 1;
 
-      await nft.connect(buyer1).mint();
-      expect(await nft.totalEverMinted()).to.equal(1);
+      await ethers.provider.send("evm_increaseTime", [timeToIncrease]);
+      await ethers.provider.send("evm_mine", []);
+    }
 
-      await nft.connect(buyer1).mint();
-      expect(await nft.totalEverMinted()).to.equal(2);
+    async function totalFees(fromTokenId, toTokenId) {
+      let fees = 0n;
+      for (let tokenId = fromTokenId; tokenId <= toTokenId; tokenId++) {
+        const holder = await escrowNft.getHolderByTokenId(tokenId);
+        fees += holder.mintPriceGross - holder.mintPrice;
+      }
+      return fees;
+    }
+
+    it("should record the escrow policy", async function () {
+      expect(await escrowNft.escrowPlatformFee()).to.equal(true);
+      expect(await nft.escrowPlatformFee()).to.equal(false);
     });
 
-    it("should transfer correct net amount to contract (after fee)", async function () {
-      const mintPrice = await nft.getCurrentPriceToMint();
-      const feeValue = (mintPrice * BigInt(platformFee)) / 100n;
-      const netAmount = mintPrice - feeValue;
+    it("should keep the fee in the campaign while Active", async function () {
+      const totalPrice = await escrowNft.getPriceToMint(3);
 
-      const contractBalanceBefore = await mockPyUsd.balanceOf(
-        await nft.getAddress()
-      );
+      await escrowNft.connect(buyer1).mintBatch(3, totalPrice);
 
-      await nft.connect(buyer1).mint();
+      const fees = await totalFees(1, 3);
 
-      const contractBalanceAfter = await mockPyUsd.balanceOf(
-        await nft.getAddress()
-      );
+      expect(fees).to.be.gt(0);
+      expect(await mockPyUsd.balanceOf(treasury.address)).to.equal(0);
+      expect(await escrowNft.escrowedPlatformFees(mockPyUsd)).to.equal(fees);
+      expect(await escrowNft.withdrawalAmount(mockPyUsd)).to.equal(totalPrice - fees);
+      expect(
+        await mockPyUsd.balanceOf(await escrowNft.getAddress())
+      ).to.equal(totalPrice);
+    });
 
-      expect(contractBalanceAfter - contractBalanceBefore).to.equal(netAmount);
+    it("should refund the gross price on failure", async function () {
+      await escrowNft.connect(buyer1).mint();
+      const holder = await escrowNft.getHolderByTokenId(1);
+
+      await passTimestamp();
+
+      const balanceBefore = await mockPyUsd.balanceOf(buyer1.address);
+      await escrowNft.connect(buyer1).claimRefund(1);
+      const balanceAfter = await mockPyUsd.balanceOf(buyer1.address);
+
+      expect(balanceAfter - balanceBefore).to.equal(holder.mintPriceGross);
     });
 
-    it("should transfer correct fee to treasury", async function () {
-      const mintPrice = await nft.getCurrentPriceToMint();
-      const feeValue = (mintPrice * BigInt(platformFee)) / 100n;
+    it("should repay every buyer in full and leave nothing behind", async function () {
+      await escrowNft.connect(buyer1).mintBatch(3, ethers.MaxUint256);
+      await escrowNft.connect(buyer2).mintBatch(2, ethers.MaxUint256);
 
-      const treasuryBalanceBefore = await mockPyUsd.balanceOf(treasury.address);
+      const buyer1BalanceBefore = await mockPyUsd.balanceOf(buyer1.address);
+      const buyer2BalanceBefore = await mockPyUsd.balanceOf(buyer2.address);
+      let buyer1Paid = 0n;
+      let buyer2Paid = 0n;
+      for (let tokenId = 1; tokenId <= 5; tokenId++) {
+        const holder = await escrowNft.getHolderByTokenId(tokenId);
+        if (tokenId <= 3) buyer1Paid += holder.mintPriceGross;
+        else buyer2Paid += holder.mintPriceGross;
+      }
 
-      await nft.connect(buyer1).mint();
+      await passTimestamp();
 
-      const treasuryBalanceAfter = await mockPyUsd.balanceOf(treasury.address);
+      for (let tokenId = 1; tokenId <= 3; tokenId++) {
+        await escrowNft.connect(buyer1).claimRefund(tokenId);
+      }
+      for (let tokenId = 4; tokenId <= 5; tokenId++) {
+        await escrowNft.connect(buyer2).claimRefund(tokenId);
+      }
 
-      expect(treasuryBalanceAfter - treasuryBalanceBefore).to.equal(feeValue);
+      expect(
+        (await mockPyUsd.balanceOf(buyer1.address)) - buyer1BalanceBefore
+      ).to.equal(buyer1Paid);
+      expect(
+        (await mockPyUsd.balanceOf(buyer2.address)) - buyer2BalanceBefore
+      ).to.equal(buyer2Paid);
+      expect(
+        await mockPyUsd.balanceOf(await escrowNft.getAddress())
+      ).to.equal(0);
+      expect(await mockPyUsd.balanceOf(treasury.address)).to.equal(0);
     });
 
-    it("should update withdrawalAmount correctly", async function () {
-      const mintPrice = await nft.getCurrentPriceToMint();
-      const feeValue = (mintPrice * BigInt(platformFee)) / 100n;
-      const netAmount = mintPrice - feeValue;
+    it("should not release fees while Active", async function () {
+      await escrowNft.connect(buyer1).mint();
 
-      expect(await nft.withdrawalAmount()).to.equal(0);
+      await expect(
+        escrowNft.releasePlatformFees()
+      ).to.be.revertedWithCustomError(
+        escrowNft,
+        "PlatformFeeReleaseNotAllowed"
+      );
+    });
 
-      await nft.connect(buyer1).mint();
+    it("should not release fees after failure", async function () {
+      await escrowNft.connect(buyer1).mint();
+      await passTimestamp();
 
-      expect(await nft.withdrawalAmount()).to.equal(netAmount);
+      await expect(
+        escrowNft.releasePlatformFees()
+      ).to.be.revertedWithCustomError(
+        escrowNft,
+        "PlatformFeeReleaseNotAllowed"
+      );
     });
 
-    it("should accumulate withdrawalAmount with multiple mints", async function () {
-      const price1 = await nft.getCurrentPriceToMint();
-      const fee1 = (price1 * BigInt(platformFee)) / 100n;
-      const net1 = price1 - fee1;
+    it("should not release fees before the campaign is finalized", async function () {
+      await escrowNft
+        .connect(buyer1)
+        .mintBatch(minRequiredSales, ethers.MaxUint256);
 
-      await nft.connect(buyer1).mint();
+      await expect(
+        escrowNft.releasePlatformFees()
+      ).to.be.revertedWithCustomError(
+        escrowNft,
+        "PlatformFeeReleaseNotAllowed"
+      );
+    });
 
-      const price2 = await nft.getCurrentPriceToMint();
-      const fee2 = (price2 * BigInt(platformFee)) / 100n;
-      const net2 = price2 - fee2;
+    it("should let anyone release fees once the campaign is finalized", async function () {
+      await escrowNft
+        .connect(buyer1)
+        .mintBatch(minRequiredSales, ethers.MaxUint256);
+      await passTimestamp();
 
-      await nft.connect(buyer1).mint();
+      const fees = await totalFees(1, minRequiredSales);
 
-      expect(await nft.withdrawalAmount()).to.equal(net1 + net2);
-    });
+      await expect(escrowNft.connect(buyer2).releasePlatformFees())
+        .to.emit(escrowNft, "PlatformFeesReleased")
+        .withArgs(treasury.address, await mockPyUsd.getAddress(), fees);
 
-    it("should store holder information correctly", async function () {
-      const mintPrice = await nft.getCurrentPriceToMint();
-      const feeValue = (mintPrice * BigInt(platformFee)) / 100n;
-      const netAmount = mintPrice - feeValue;
+      expect(await mockPyUsd.balanceOf(treasury.address)).to.equal(fees);
+      expect(await escrowNft.escrowedPlatformFees(mockPyUsd)).to.equal(0);
+    });
 
-      const tx = await nft.connect(buyer1).mint();
-      const receipt = await tx.wait();
+    it("should keep the fees escrowed when the creator withdraws early", async function () {
+      await escrowNft
+        .connect(buyer1)
+        .mintBatch(minRequiredSales, ethers.MaxUint256);
 
-      const event = receipt.logs.find(
-        (log) => log.fragment && log.fragment.name === "Mint"
+      const fees = await totalFees(1, minRequiredSales);
+      const withdrawalAmount = await escrowNft.withdrawalAmount(
+        mockPyUsd
       );
-      const tokenId = event.args.tokenId;
+      const creatorBalanceBefore = await mockPyUsd.balanceOf(creator.address);
 
-      const holder = await nft.getHolderByTokenId(tokenId);
+      await escrowNft.connect(creator).withdrawCreatorsFunds();
 
-      expect(holder.mintPrice).to.equal(netAmount);
-      expect(holder.tokenId).to.equal(tokenId);
-      expect(holder.paymentToken).to.equal(await mockPyUsd.getAddress());
-      expect(holder.mintPriceGross).to.equal(mintPrice);
+      expect(await mockPyUsd.balanceOf(treasury.address)).to.equal(0);
+      expect(await escrowNft.escrowedPlatformFees(mockPyUsd)).to.equal(
+        fees
+      );
+      expect(
+        (await mockPyUsd.balanceOf(creator.address)) - creatorBalanceBefore
+      ).to.equal(withdrawalAmount);
     });
 
-    it("should mint NFT to msg.sender", async function () {
-      const tx = await nft.connect(buyer1).mint();
-      const receipt = await tx.wait();
+    it("should release fees when the creator withdraws after finalization", async function () {
+      await escrowNft
+        .connect(buyer1)
+        .mintBatch(minRequiredSales, ethers.MaxUint256);
+      await passTimestamp();
 
-      const event = receipt.logs.find(
-        (log) => log.fragment && log.fragment.name === "Mint"
+      const fees = await totalFees(1, minRequiredSales);
+      const withdrawalAmount = await escrowNft.withdrawalAmount(
+        mockPyUsd
       );
-      const tokenId = event.args.tokenId;
+      const creatorBalanceBefore = await mockPyUsd.balanceOf(creator.address);
 
-      expect(await nft.ownerOf(tokenId)).to.equal(buyer1.address);
-    });
+      await escrowNft.connect(creator).withdrawCreatorsFunds();
 
-    it("should emit Mint event with correct parameters", async function () {
-      await expect(nft.connect(buyer1).mint())
-        .to.emit(nft, "Mint")
-        .withArgs(buyer1.address, (tokenId) => tokenId > 0);
+      expect(await mockPyUsd.balanceOf(treasury.address)).to.equal(fees);
+      expect(
+        (await mockPyUsd.balanceOf(creator.address)) - creatorBalanceBefore
+      ).to.equal(withdrawalAmount);
+      expect(
+        await mockPyUsd.balanceOf(await escrowNft.getAddress())
+      ).to.equal(0);
     });
 
-    it("should increase buyer's NFT balance", async function () {
-      expect(await nft.balanceOf(buyer1.address)).to.equal(0);
+    it("should release fees from mints after success", async function () {
+      await escrowNft
+        .connect(buyer1)
+        .mintBatch(minRequiredSales, ethers.MaxUint256);
+      await escrowNft.connect(buyer2).mint();
+      await passTimestamp();
 
-      await nft.connect(buyer1).mint();
-      expect(await nft.balanceOf(buyer1.address)).to.equal(1);
+      const fees = await totalFees(1, minRequiredSales + 1);
 
-      await nft.connect(buyer1).mint();
-      expect(await nft.balanceOf(buyer1.address)).to.equal(2);
+      await expect(escrowNft.releasePlatformFees()).to.changeTokenBalance(
+        ethers,
+        mockPyUsd,
+        treasury,
+        fees
+      );
     });
 
-    it("should revert if timestamp has passed", async function () {
-      const nftTimestamp = await nft.timestamp();
-      const blockBefore = await ethers.provider.getBlock("latest");
+    it("should repay every holder in full after cancelling a succeeded campaign", async function () {
+      await escrowNft
+        .connect(buyer1)
+        .mintBatch(minRequiredSales - 1, ethers.MaxUint256);
+      await escrowNft.connect(buyer2).mint();
+
+      await escrowNft.connect(creator).cancel();
+
+      for (let tokenId = 1; tokenId <= minRequiredSales; tokenId++) {
+        const holder = await escrowNft.getHolderByTokenId(tokenId);
+        const buyer = tokenId < minRequiredSales ? buyer1 : buyer2;
+
+        await expect(
+          escrowNft.connect(buyer).claimRefund(tokenId)
+        ).to.changeTokenBalance(
+          ethers,
+          mockPyUsd,
+          buyer,
+          holder.mintPriceGross
+        );
+      }
 
-      const timeToIncrease = Number(nftTimestamp) - blockBefore.timestamp + 1;
+      expect(
+        await mockPyUsd.balanceOf(await escrowNft.getAddress())
+      ).to.equal(0);
+    });
+  });
+
+  describe("Redeem", function () {
+    const data = ethers.toUtf8Bytes("ship to: 1 Main St");
+
+    async function passTimestamp() {
+      const blockBefore = await ethers.provider.getBlock("latest");
+      const timeToIncrease = futureTimestamp - blockBefore.timestamp + 1;
 
       await ethers.provider.send("evm_increaseTime", [timeToIncrease]);
       await ethers.provider.send("evm_mine", []);
+    }
 
+    beforeEach(async function () {
       await mockPyUsd
         .connect(buyer1)
         .approve(await nft.getAddress(), ethers.parseUnits("10000", 6));
+    });
 
-      await expect(nft.connect(buyer1).mint()).to.be.revertedWithCustomError(
-        nft,
-        "MintingIsNotAllowed"
-      );
+    it("should not allow redeeming while Active", async function () {
+      await nft.connect(buyer1).mint();
+
+      await expect(
+        nft.connect(buyer1).redeem(1, data)
+      ).to.be.revertedWithCustomError(nft, "RedemptionNotAllowed");
     });
 
-    it("should revert if insufficient allowance", async function () {
-      await mockPyUsd.connect(buyer1).approve(await nft.getAddress(), 0);
+    it("should not allow redeeming a failed campaign", async function () {
+      await nft.connect(buyer1).mint();
+      await passTimestamp();
 
-      await expect(nft.connect(buyer1).mint()).to.be.revertedWithCustomError(
-        mockPyUsd,
-        "ERC20InsufficientAllowance"
-      );
+      await expect(
+        nft.connect(buyer1).redeem(1, data)
+      ).to.be.revertedWithCustomError(nft, "RedemptionNotAllowed");
     });
 
-    it("should revert if insufficient balance", async function () {
-      const buyer3 = accounts[5];
-      await mockPyUsd
-        .connect(buyer3)
-        .approve(await nft.getAddress(), ethers.parseUnits("10000", 6));
+    it("should only allow the owner to redeem", async function () {
+      await nft.connect(buyer1).mintBatch(minRequiredSales, ethers.MaxUint256);
 
-      await expect(nft.connect(buyer3).mint()).to.be.revertedWithCustomError(
-        mockPyUsd,
-        "ERC20InsufficientBalance"
-      );
+      await expect(
+        nft.connect(buyer2).redeem(1, data)
+      ).to.be.revertedWithCustomError(nft, "OwnerIsNotSender");
     });
 
-    it("should allow multiple mints from same user", async function () {
-      await nft.connect(buyer1).mint();
-      await nft.connect(buyer1).mint();
-      await nft.connect(buyer1).mint();
+    it("should record the redemption and keep the token", async function () {
+      await nft.connect(buyer1).mintBatch(minRequiredSales, ethers.MaxUint256);
 
-      expect(await nft.balanceOf(buyer1.address)).to.equal(3);
-      expect(await nft.totalEverMinted()).to.equal(3);
+      await expect(nft.connect(buyer1).redeem(1, data))
+        .to.emit(nft, "RedemptionRequested")
+        .withArgs(1, buyer1.address, ethers.hexlify(data));
+
+      const redemption = await nft.redemptions(1);
+      expect(redemption.redeemer).to.equal(buyer1.address);
+      expect(redemption.status).to.equal(RedemptionStatus.Requested);
+      expect(await nft.ownerOf(1)).to.equal(buyer1.address);
+      expect((await nft.getHolderByTokenId(1)).tokenId).to.equal(1);
     });
 
-    it("should allow mints from different users", async function () {
-      await mockPyUsd
-        .connect(buyer2)
-        .approve(await nft.getAddress(), ethers.parseUnits("10000", 6));
+    it("should not allow redeeming twice", async function () {
+      await nft.connect(buyer1).mintBatch(minRequiredSales, ethers.MaxUint256);
+      await nft.connect(buyer1).redeem(1, data);
 
-      await nft.connect(buyer1).mint();
-      await nft.connect(buyer2).mint();
+      await expect(
+        nft.connect(buyer1).redeem(1, data)
+      ).to.be.revertedWithCustomError(nft, "TokenIsRedeemed");
+    });
 
-      expect(await nft.balanceOf(buyer1.address)).to.equal(1);
-      expect(await nft.balanceOf(buyer2.address)).to.equal(1);
-      expect(await nft.totalEverMinted()).to.equal(2);
+    it("should make redeemed tokens non-transferable", async function () {
+      await nft.connect(buyer1).mintBatch(minRequiredSales, ethers.MaxUint256);
+      await nft.connect(buyer1).redeem(1, data);
+
+      await expect(
+        nft.connect(buyer1).transferFrom(buyer1.address, buyer2.address, 1)
+      ).to.be.revertedWithCustomError(nft, "TokenIsRedeemed");
+
+      await nft
+        .connect(buyer1)
+        .transferFrom(buyer1.address, buyer2.address, 2);
+      expect(await nft.ownerOf(2)).to.equal(buyer2.address);
     });
 
-    it("should deduct correct amount from buyer balance", async function () {
-      const mintPrice = await nft.getCurrentPriceToMint();
-      const balanceBefore = await mockPyUsd.balanceOf(buyer1.address);
+    it("should still allow burning a redeemed token", async function () {
+      await nft.connect(buyer1).mintBatch(minRequiredSales, ethers.MaxUint256);
+      await nft.connect(buyer1).redeem(1, data);
 
-      await nft.connect(buyer1).mint();
+      await nft.connect(buyer1).burn(1);
 
-      const balanceAfter = await mockPyUsd.balanceOf(buyer1.address);
+      expect(await nft.balanceOf(buyer1.address)).to.equal(
+        minRequiredSales - 1
+      );
+      expect((await nft.redemptions(1)).redeemer).to.equal(buyer1.address);
+    });
 
-      expect(balanceBefore - balanceAfter).to.equal(mintPrice);
+    it("should finalize the campaign when redeeming after timestamp", async function () {
+      await nft.connect(buyer1).mintBatch(minRequiredSales, ethers.MaxUint256);
+      await passTimestamp();
+
+      await expect(nft.connect(buyer1).redeem(1, data)).to.emit(
+        nft,
+        "CampaignSucceeded"
+      );
+    });
+
+    it("should burn the token when the campaign burns on redeem", async function () {
+      const tx = await factory.connect(creator).createCampaign(
+        buildCampaignParams({
+          name: "Burn Campaign",
+          symbol: "BC",
+          minRequiredSales: 1,
+          timestamp: futureTimestamp,
+          startPrice: startPrice,
+          priceIncrement: priceIncrement,
+          paymentToken: await mockPyUsd.getAddress(),
+          burnOnRedeem: true,
+        })
+      );
+      const receipt = await tx.wait();
+
+      const event = receipt.logs.find(
+        (log) => log.fragment && log.fragment.name === "CampaignCreated"
+      );
+
+      const burnNft = await ethers.getContractAt(
+        "NFT",
+        event.args.campaignAddress
+      );
+
+      await mockPyUsd
+        .connect(buyer1)
+        .approve(await burnNft.getAddress(), ethers.parseUnits("10000", 6));
+      await burnNft.connect(buyer1).mint();
+
+      await expect(burnNft.connect(buyer1).redeem(1, data))
+        .to.emit(burnNft, "RedemptionRequested")
+        .withArgs(1, buyer1.address, ethers.hexlify(data));
+
+      expect(await burnNft.burnOnRedeem()).to.equal(true);
+      expect(await burnNft.balanceOf(buyer1.address)).to.equal(0);
+      expect((await burnNft.redemptions(1)).redeemer).to.equal(buyer1.address);
+      expect((await burnNft.getHolderByTokenId(1)).tokenId).to.equal(1);
+    });
+
+    describe("Fulfilment", function () {
+      beforeEach(async function () {
+        await nft
+          .connect(buyer1)
+          .mintBatch(minRequiredSales, ethers.MaxUint256);
+        await nft.connect(buyer1).redeem(1, data);
+      });
+
+      it("should let the creator acknowledge a redemption", async function () {
+        await expect(nft.connect(creator).acknowledgeRedemption(1))
+          .to.emit(nft, "RedemptionAcknowledged")
+          .withArgs(1);
+
+        expect((await nft.redemptions(1)).status).to.equal(
+          RedemptionStatus.Acknowledged
+        );
+      });
+
+      it("should let the creator fulfil an acknowledged redemption", async function () {
+        await nft.connect(creator).acknowledgeRedemption(1);
+
+        await expect(nft.connect(creator).fulfillRedemption(1))
+          .to.emit(nft, "RedemptionFulfilled")
+          .withArgs(1);
+
+        expect((await nft.redemptions(1)).status).to.equal(
+          RedemptionStatus.Fulfilled
+        );
+      });
+
+      it("should let the creator fulfil without acknowledging first", async function () {
+        await nft.connect(creator).fulfillRedemption(1);
+
+        expect((await nft.redemptions(1)).status).to.equal(
+          RedemptionStatus.Fulfilled
+        );
+      });
+
+      it("should only allow the creator to update redemptions", async function () {
+        await expect(
+          nft.connect(buyer1).acknowledgeRedemption(1)
+        ).to.be.revertedWithCustomError(nft, "CallerIsNotCreator");
+        await expect(
+          nft.connect(buyer1).fulfillRedemption(1)
+        ).to.be.revertedWithCustomError(nft, "CallerIsNotCreator");
+      });
+
+      it("should reject updates for tokens that were not redeemed", async function () {
+        await expect(
+          nft.connect(creator).acknowledgeRedemption(2)
+        ).to.be.revertedWithCustomError(nft, "InvalidRedemptionStatus");
+        await expect(
+          nft.connect(creator).fulfillRedemption(2)
+        ).to.be.revertedWithCustomError(nft, "InvalidRedemptionStatus");
+      });
+
+      it("should reject updates after fulfilment", async function () {
+        await nft.connect(creator).fulfillRedemption(1);
+
+        await expect(
+          nft.connect(creator).acknowledgeRedemption(1)
+        ).to.be.revertedWithCustomError(nft, "InvalidRedemptionStatus");
+        await expect(
+          nft.connect(creator).fulfillRedemption(1)
+        ).to.be.revertedWithCustomError(nft, "InvalidRedemptionStatus");
+      });
     });
   });
 
@@ -823,10 +2795,11 @@ describe("NFT", function () {
     });
 
     it("should allow withdrawal after timestamp passes", async function () {
-      await nft.connect(buyer1).mint();
-      await nft.connect(buyer1).mint();
+      for (let i = 0; i < minRequiredSales; i++) {
+        await nft.connect(buyer1).mint();
+      }
 
-      const withdrawalAmountBefore = await nft.withdrawalAmount();
+      const withdrawalAmountBefore = await nft.withdrawalAmount(mockPyUsd);
       expect(withdrawalAmountBefore).to.be.gt(0);
 
       const nftTimestamp = await nft.timestamp();
@@ -853,7 +2826,7 @@ describe("NFT", function () {
 
       expect(await nft.totalEverMinted()).to.be.gte(minRequiredSales);
 
-      const withdrawalAmountBefore = await nft.withdrawalAmount();
+      const withdrawalAmountBefore = await nft.withdrawalAmount(mockPyUsd);
       const creatorBalanceBefore = await mockPyUsd.balanceOf(creator.address);
 
       await nft.connect(creator).withdrawCreatorsFunds();
@@ -865,7 +2838,7 @@ describe("NFT", function () {
     });
 
     it("should reset withdrawalAmount to zero after withdrawal", async function () {
-      await nft.connect(buyer1).mint();
+      await nft.connect(buyer1).mintBatch(minRequiredSales, ethers.MaxUint256);
 
       const nftTimestamp = await nft.timestamp();
       const blockBefore = await ethers.provider.getBlock("latest");
@@ -876,14 +2849,14 @@ describe("NFT", function () {
 
       await nft.connect(creator).withdrawCreatorsFunds();
 
-      expect(await nft.withdrawalAmount()).to.equal(0);
+      expect(await nft.withdrawalAmount(mockPyUsd)).to.equal(0);
     });
 
     it("should update totalEarnedByCreator correctly", async function () {
-      await nft.connect(buyer1).mint();
+      await nft.connect(buyer1).mintBatch(minRequiredSales, ethers.MaxUint256);
 
-      const withdrawalAmountBefore = await nft.withdrawalAmount();
-      const totalEarnedBefore = await nft.totalEarnedByCreator();
+      const withdrawalAmountBefore = await nft.withdrawalAmount(mockPyUsd);
+      const totalEarnedBefore = await nft.totalEarnedByCreator(mockPyUsd);
 
       const nftTimestamp = await nft.timestamp();
       const blockBefore = await ethers.provider.getBlock("latest");
@@ -894,16 +2867,16 @@ describe("NFT", function () {
 
       await nft.connect(creator).withdrawCreatorsFunds();
 
-      const totalEarnedAfter = await nft.totalEarnedByCreator();
+      const totalEarnedAfter = await nft.totalEarnedByCreator(mockPyUsd);
       expect(totalEarnedAfter - totalEarnedBefore).to.equal(
         withdrawalAmountBefore
       );
     });
 
     it("should emit WithdrawCreatorsFunds event", async function () {
-      await nft.connect(buyer1).mint();
+      await nft.connect(buyer1).mintBatch(minRequiredSales, ethers.MaxUint256);
 
-      const withdrawalAmount = await nft.withdrawalAmount();
+      const withdrawalAmount = await nft.withdrawalAmount(mockPyUsd);
 
       const nftTimestamp = await nft.timestamp();
       const blockBefore = await ethers.provider.getBlock("latest");
@@ -914,11 +2887,11 @@ describe("NFT", function () {
 
       await expect(nft.connect(creator).withdrawCreatorsFunds())
         .to.emit(nft, "WithdrawCreatorsFunds")
-        .withArgs(creator.address, withdrawalAmount);
+        .withArgs(creator.address, await mockPyUsd.getAddress(), withdrawalAmount);
     });
 
     it("should revert if caller is not creator", async function () {
-      await nft.connect(buyer1).mint();
+      await nft.connect(buyer1).mintBatch(minRequiredSales, ethers.MaxUint256);
 
       const nftTimestamp = await nft.timestamp();
       const blockBefore = await ethers.provider.getBlock("latest");
@@ -940,20 +2913,36 @@ describe("NFT", function () {
       ).to.be.revertedWithCustomError(nft, "WithdrawalNotAllowed");
     });
 
+    it("should revert after timestamp if minSales not reached", async function () {
+      await nft.connect(buyer1).mint();
+      await nft.connect(buyer1).mint();
+
+      const nftTimestamp = await nft.timestamp();
+      const blockBefore = await ethers.provider.getBlock("latest");
+      const timeToIncrease = Number(nftTimestamp) - blockBefore.timestamp + 1;
+
+      await ethers.provider.send("evm_increaseTime", [timeToIncrease]);
+      await ethers.provider.send("evm_mine", []);
+
+      await expect(
+        nft.connect(creator).withdrawCreatorsFunds()
+      ).to.be.revertedWithCustomError(nft, "WithdrawalNotAllowed");
+    });
+
     it("should allow multiple withdrawals as funds accumulate", async function () {
       for (let i = 0; i < minRequiredSales; i++) {
         await nft.connect(buyer1).mint();
       }
 
-      const firstWithdrawal = await nft.withdrawalAmount();
+      const firstWithdrawal = await nft.withdrawalAmount(mockPyUsd);
       await nft.connect(creator).withdrawCreatorsFunds();
 
-      expect(await nft.totalEarnedByCreator()).to.equal(firstWithdrawal);
+      expect(await nft.totalEarnedByCreator(mockPyUsd)).to.equal(firstWithdrawal);
 
       await nft.connect(buyer1).mint();
       await nft.connect(buyer1).mint();
 
-      const secondWithdrawal = await nft.withdrawalAmount();
+      const secondWithdrawal = await nft.withdrawalAmount(mockPyUsd);
       expect(secondWithdrawal).to.be.gt(0);
 
       const creatorBalanceBefore = await mockPyUsd.balanceOf(creator.address);
@@ -963,13 +2952,13 @@ describe("NFT", function () {
       expect(creatorBalanceAfter - creatorBalanceBefore).to.equal(
         secondWithdrawal
       );
-      expect(await nft.totalEarnedByCreator()).to.equal(
+      expect(await nft.totalEarnedByCreator(mockPyUsd)).to.equal(
         firstWithdrawal + secondWithdrawal
       );
     });
 
     it("should decrease contract balance after withdrawal", async function () {
-      await nft.connect(buyer1).mint();
+      await nft.connect(buyer1).mintBatch(minRequiredSales, ethers.MaxUint256);
 
       const nftTimestamp = await nft.timestamp();
       const blockBefore = await ethers.provider.getBlock("latest");
@@ -978,7 +2967,7 @@ describe("NFT", function () {
       await ethers.provider.send("evm_increaseTime", [timeToIncrease]);
       await ethers.provider.send("evm_mine", []);
 
-      const withdrawalAmount = await nft.withdrawalAmount();
+      const withdrawalAmount = await nft.withdrawalAmount(mockPyUsd);
       const contractBalanceBefore = await mockPyUsd.balanceOf(
         await nft.getAddress()
       );
@@ -994,7 +2983,7 @@ describe("NFT", function () {
     });
 
     it("should work at exact timestamp boundary", async function () {
-      await nft.connect(buyer1).mint();
+      await nft.connect(buyer1).mintBatch(minRequiredSales, ethers.MaxUint256);
 
       const nftTimestamp = await nft.timestamp();
       const blockBefore = await ethers.provider.getBlock("latest");
@@ -1003,7 +2992,7 @@ describe("NFT", function () {
       await ethers.provider.send("evm_increaseTime", [timeToIncrease]);
       await ethers.provider.send("evm_mine", []);
 
-      const withdrawalAmount = await nft.withdrawalAmount();
+      const withdrawalAmount = await nft.withdrawalAmount(mockPyUsd);
       const creatorBalanceBefore = await mockPyUsd.balanceOf(creator.address);
 
       await nft.connect(creator).withdrawCreatorsFunds();
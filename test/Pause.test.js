@@ -0,0 +1,306 @@
+import { expect } from "chai";
+import { network } from "hardhat";
+import Network from "./helpers/network.js";
+import { createCampaign } from "./helpers/campaign.js";
+import { deployFactory } from "./helpers/factory.js";
+
+const { ethers } = await network.connect();
+
+describe("Pause", function () {
+  let accounts;
+  let creator;
+  let treasury;
+  let buyer1;
+  let admin;
+  let factory;
+  let mockPyUsd;
+  let networkHelper;
+  let futureTimestamp;
+
+  const startPrice = ethers.parseUnits("25", 6);
+  const priceIncrement = ethers.parseUnits("1", 6);
+  const platformFee = 1000;
+  const baseUri = "https://placeholder.com/";
+  const minRequiredSales = 3;
+
+  before("setup", async function () {
+    networkHelper = new Network(ethers.provider);
+    accounts = await ethers.getSigners();
+    creator = accounts[1];
+    treasury = accounts[2];
+    buyer1 = accounts[3];
+    admin = accounts[5];
+  });
+
+  beforeEach(async function () {
+    const MockPYUSD = await ethers.getContractFactory("MockPYUSD");
+    mockPyUsd = await MockPYUSD.deploy("PyUSD", "PYUSD", 6);
+
+    ({ factory } = await deployFactory(
+      ethers,
+      treasury.address,
+      platformFee,
+      baseUri
+    ));
+    await factory.setAdmin(admin.address, true);
+
+    const currentBlock = await ethers.provider.getBlock("latest");
+    futureTimestamp = currentBlock.timestamp + 86400;
+
+    await mockPyUsd.transfer(buyer1.address, ethers.parseUnits("10000", 6));
+
+    await networkHelper.snapshot();
+  });
+
+  afterEach(async function () {
+    await networkHelper.revert();
+  });
+
+  async function newCampaign(params = {}) {
+    return createCampaign(
+      factory,
+      creator,
+      mockPyUsd,
+      {
+        minRequiredSales: minRequiredSales,
+        timestamp: futureTimestamp,
+        startPrice: startPrice,
+        priceIncrement: priceIncrement,
+        ...params,
+      },
+      [buyer1]
+    );
+  }
+
+  describe("Platform pause", function () {
+    it("should let admins pause and unpause the platform", async function () {
+      await expect(factory.connect(admin).pause())
+        .to.emit(factory, "Paused")
+        .withArgs(admin.address);
+      expect(await factory.paused()).to.equal(true);
+
+      await expect(factory.connect(admin).unpause())
+        .to.emit(factory, "Unpaused")
+        .withArgs(admin.address);
+      expect(await factory.paused()).to.equal(false);
+    });
+
+    it("should revert if caller is not admin", async function () {
+      await expect(
+        factory.connect(creator).pause()
+      ).to.be.revertedWithCustomError(factory, "CallerIsNotAdmin");
+
+      await factory.connect(admin).pause();
+
+      await expect(
+        factory.connect(creator).unpause()
+      ).to.be.revertedWithCustomError(factory, "CallerIsNotAdmin");
+    });
+
+    it("should block campaign creation", async function () {
+      await factory.connect(admin).pause();
+
+      await expect(newCampaign()).to.be.revertedWithCustomError(
+        factory,
+        "EnforcedPause"
+      );
+    });
+
+    it("should block minting on existing campaigns", async function () {
+      const nft = await newCampaign();
+      await factory.connect(admin).pause();
+
+      await expect(nft.connect(buyer1).mint()).to.be.revertedWithCustomError(
+        nft,
+        "PlatformPaused"
+      );
+      await expect(
+        nft.connect(buyer1).mintBatch(2, ethers.MaxUint256)
+      ).to.be.revertedWithCustomError(nft, "PlatformPaused");
+
+      await factory.connect(admin).unpause();
+
+      await expect(nft.connect(buyer1).mint()).to.emit(nft, "Mint");
+    });
+
+    it("should keep refunds available", async function () {
+      const nft = await newCampaign();
+      await nft.connect(buyer1).mint();
+      await factory.connect(admin).pause();
+      await networkHelper.setTime(futureTimestamp + 1);
+
+      const holder = await nft.getHolderByTokenId(1);
+
+      await expect(nft.connect(buyer1).claimRefund(1)).to.changeTokenBalance(
+        ethers,
+        mockPyUsd,
+        buyer1,
+        holder.mintPrice
+      );
+    });
+
+    it("should keep creator withdrawals available", async function () {
+      const nft = await newCampaign();
+      await nft.connect(buyer1).mintBatch(minRequiredSales, ethers.MaxUint256);
+      await factory.connect(admin).pause();
+
+      const amount = await nft.withdrawalAmount(mockPyUsd);
+
+      await expect(
+        nft.connect(creator).withdrawCreatorsFunds()
+      ).to.changeTokenBalance(ethers, mockPyUsd, creator, amount);
+    });
+  });
+
+  describe("Campaign pause", function () {
+    it("should let the creator pause and unpause minting", async function () {
+      const nft = await newCampaign();
+
+      await expect(nft.connect(creator).pause())
+        .to.emit(nft, "Paused")
+        .withArgs(creator.address);
+      expect(await nft.paused()).to.equal(true);
+
+      await expect(nft.connect(buyer1).mint()).to.be.revertedWithCustomError(
+        nft,
+        "EnforcedPause"
+      );
+
+      await expect(nft.connect(creator).unpause())
+        .to.emit(nft, "Unpaused")
+        .withArgs(creator.address);
+
+      await expect(nft.connect(buyer1).mint()).to.emit(nft, "Mint");
+    });
+
+    it("should revert if caller is not the creator", async function () {
+      const nft = await newCampaign();
+
+      await expect(nft.connect(buyer1).pause()).to.be.revertedWithCustomError(
+        nft,
+        "CallerIsNotCreator"
+      );
+
+      await nft.connect(creator).pause();
+
+      await expect(nft.connect(buyer1).unpause()).to.be.revertedWithCustomError(
+        nft,
+        "CallerIsNotCreator"
+      );
+    });
+
+    it("should not affect other campaigns", async function () {
+      const nft = await newCampaign();
+      const other = await newCampaign();
+      await nft.connect(creator).pause();
+
+      await expect(other.connect(buyer1).mint()).to.emit(other, "Mint");
+    });
+
+    it("should keep refunds, burns and withdrawals available", async function () {
+      const nft = await newCampaign();
+      await nft.connect(buyer1).mintBatch(minRequiredSales, ethers.MaxUint256);
+      await nft.connect(creator).pause();
+
+      await expect(nft.connect(creator).withdrawCreatorsFunds()).to.emit(
+        nft,
+        "WithdrawCreatorsFunds"
+      );
+      await expect(nft.connect(buyer1).burn(1)).to.emit(nft, "Burn");
+    });
+  });
+
+  describe("Emergency cancellation", function () {
+    it("should let an admin open refunds early", async function () {
+      const nft = await newCampaign();
+      await nft.connect(buyer1).mint();
+
+      await expect(factory.connect(admin).emergencyCancel(nft))
+        .to.emit(factory, "CampaignEmergencyCancelled")
+        .withArgs(await nft.getAddress(), admin.address)
+        .and.to.emit(nft, "CampaignCancelled")
+        .withArgs(1);
+      expect(await nft.status()).to.equal(2);
+
+      const holder = await nft.getHolderByTokenId(1);
+
+      await expect(nft.connect(buyer1).claimRefund(1)).to.changeTokenBalance(
+        ethers,
+        mockPyUsd,
+        buyer1,
+        holder.mintPrice
+      );
+    });
+
+    it("should work while the platform is paused", async function () {
+      const nft = await newCampaign();
+      await nft.connect(buyer1).mint();
+      await factory.connect(admin).pause();
+
+      await factory.connect(admin).emergencyCancel(nft);
+
+      await expect(nft.connect(buyer1).claimRefund(1)).to.emit(
+        nft,
+        "ClaimRefund"
+      );
+    });
+
+    it("should revert once the creator has withdrawn", async function () {
+      const nft = await newCampaign();
+      await nft.connect(buyer1).mintBatch(minRequiredSales, ethers.MaxUint256);
+      await nft.connect(creator).withdrawCreatorsFunds();
+
+      await expect(
+        factory.connect(admin).emergencyCancel(nft)
+      ).to.be.revertedWithCustomError(nft, "CancellationNotAllowed");
+    });
+
+    it("should repay every holder in full when fees are escrowed", async function () {
+      const nft = await newCampaign({ escrowPlatformFee: true });
+      await nft.connect(buyer1).mintBatch(minRequiredSales, ethers.MaxUint256);
+
+      await expect(
+        nft.releasePlatformFees()
+      ).to.be.revertedWithCustomError(nft, "PlatformFeeReleaseNotAllowed");
+
+      await factory.connect(admin).emergencyCancel(nft);
+
+      for (let tokenId = 1; tokenId <= minRequiredSales; tokenId++) {
+        const holder = await nft.getHolderByTokenId(tokenId);
+
+        await expect(
+          nft.connect(buyer1).claimRefund(tokenId)
+        ).to.changeTokenBalance(
+          ethers,
+          mockPyUsd,
+          buyer1,
+          holder.mintPriceGross
+        );
+      }
+
+      expect(await mockPyUsd.balanceOf(await nft.getAddress())).to.equal(0);
+    });
+
+    it("should revert if caller is not admin", async function () {
+      const nft = await newCampaign();
+
+      await expect(
+        factory.connect(creator).emergencyCancel(nft)
+      ).to.be.revertedWithCustomError(factory, "CallerIsNotAdmin");
+    });
+
+    it("should revert for unknown campaigns", async function () {
+      await expect(
+        factory.connect(admin).emergencyCancel(accounts[7].address)
+      ).to.be.revertedWithCustomError(factory, "NotACampaign");
+    });
+
+    it("should only be callable on the campaign by the factory", async function () {
+      const nft = await newCampaign();
+
+      await expect(
+        nft.connect(admin).emergencyCancel()
+      ).to.be.revertedWithCustomError(nft, "CallerIsNotFactory");
+    });
+  });
+});
@@ -0,0 +1,473 @@
+import { expect } from "chai";
+import { network } from "hardhat";
+import Network from "./helpers/network.js";
+import { createCampaign } from "./helpers/campaign.js";
+import { deployFactory } from "./helpers/factory.js";
+
+const { ethers } = await network.connect();
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+const WAD = 10n ** 18n;
+
+function rpow(x, n) {
+  let z = n % 2n !== 0n ? x : WAD;
+
+  for (n /= 2n; n !== 0n; n /= 2n) {
+    x = (x * x + WAD / 2n) / WAD;
+
+    if (n % 2n !== 0n) z = (z * x + WAD / 2n) / WAD;
+  }
+
+  return z;
+}
+
+describe("PricingCurves", function () {
+  let accounts;
+  let creator;
+  let treasury;
+  let buyer;
+  let factory;
+  let mockPyUsd;
+  let networkHelper;
+  let futureTimestamp;
+
+  const platformFee = 1000;
+  const baseUri = "https://placeholder.com/";
+  const minRequiredSales = 10;
+
+  before("setup", async function () {
+    networkHelper = new Network(ethers.provider);
+    accounts = await ethers.getSigners();
+    creator = accounts[1];
+    treasury = accounts[2];
+    buyer = accounts[3];
+  });
+
+  beforeEach(async function () {
+    const MockPYUSD = await ethers.getContractFactory("MockPYUSD");
+    mockPyUsd = await MockPYUSD.deploy("PyUSD", "PYUSD", 6);
+    await mockPyUsd.waitForDeployment();
+
+    ({ factory } = await deployFactory(
+      ethers,
+      treasury.address,
+      platformFee,
+      baseUri
+    ));
+
+    const currentBlock = await ethers.provider.getBlock("latest");
+    futureTimestamp = currentBlock.timestamp + 86400;
+
+    await mockPyUsd.transfer(buyer.address, ethers.parseUnits("100000", 6));
+
+    await networkHelper.snapshot();
+  });
+
+  afterEach(async function () {
+    await networkHelper.revert();
+  });
+
+  async function deployCurve(name) {
+    const Curve = await ethers.getContractFactory(name);
+    const curve = await Curve.deploy();
+    await curve.waitForDeployment();
+
+    await factory.setPricingCurve(await curve.getAddress(), true);
+
+    return curve;
+  }
+
+  async function newCampaign(curve, pricingParams, params = {}) {
+    return createCampaign(
+      factory,
+      creator,
+      mockPyUsd,
+      {
+        name: "Curve Campaign",
+        symbol: "CC",
+        minRequiredSales: minRequiredSales,
+        timestamp: futureTimestamp,
+        startPrice: 0,
+        priceIncrement: 0,
+        pricingCurve: await curve.getAddress(),
+        pricingParams,
+        ...params,
+      },
+      [buyer]
+    );
+  }
+
+  async function expectCharged(nft, quantity, expected) {
+    const balanceBefore = await mockPyUsd.balanceOf(buyer.address);
+    await nft.connect(buyer).mintBatch(quantity, ethers.MaxUint256);
+    const balanceAfter = await mockPyUsd.balanceOf(buyer.address);
+
+    expect(balanceBefore - balanceAfter).to.equal(expected);
+  }
+
+  describe("TieredPricingCurve", function () {
+    let curve;
+    let pricingParams;
+
+    const prices = [
+      ethers.parseUnits("10", 6),
+      ethers.parseUnits("15", 6),
+      ethers.parseUnits("20", 6),
+    ];
+
+    beforeEach(async function () {
+      curve = await deployCurve("TieredPricingCurve");
+      pricingParams = abiCoder.encode(
+        ["uint256[]", "uint256[]"],
+        [[3, 5], prices]
+      );
+    });
+
+    it("should quote across tier boundaries", async function () {
+      expect(await curve.quote(pricingParams, 0, 1, 0, 0)).to.equal(prices[0]);
+      expect(await curve.quote(pricingParams, 2, 2, 0, 0)).to.equal(
+        prices[0] + prices[1]
+      );
+      expect(await curve.quote(pricingParams, 1, 6, 0, 0)).to.equal(
+        prices[0] * 2n + prices[1] * 2n + prices[2] * 2n
+      );
+      expect(await curve.quote(pricingParams, 10, 2, 0, 0)).to.equal(
+        prices[2] * 2n
+      );
+    });
+
+    it("should support flat pricing with a single tier", async function () {
+      const flatParams = abiCoder.encode(
+        ["uint256[]", "uint256[]"],
+        [[], [prices[0]]]
+      );
+
+      expect(await curve.quote(flatParams, 100, 4, 0, 0)).to.equal(
+        prices[0] * 4n
+      );
+    });
+
+    it("should charge the exact tiered amounts", async function () {
+      const nft = await newCampaign(curve, pricingParams);
+
+      expect(await nft.getPriceToMint(4)).to.equal(prices[0] * 3n + prices[1]);
+
+      await expectCharged(nft, 2, prices[0] * 2n);
+      await expectCharged(nft, 2, prices[0] + prices[1]);
+      await expectCharged(nft, 3, prices[1] + prices[2] * 2n);
+
+      expect(await nft.getCurrentPriceToMint()).to.equal(prices[2]);
+    });
+
+    it("should record the tier price per token", async function () {
+      const nft = await newCampaign(curve, pricingParams);
+
+      await nft.connect(buyer).mintBatch(4, ethers.MaxUint256);
+
+      expect((await nft.getHolderByTokenId(3)).mintPriceGross).to.equal(
+        prices[0]
+      );
+      expect((await nft.getHolderByTokenId(4)).mintPriceGross).to.equal(
+        prices[1]
+      );
+    });
+
+    it("should reject mismatched tiers", async function () {
+      const badParams = abiCoder.encode(
+        ["uint256[]", "uint256[]"],
+        [
+          [3, 5],
+          [prices[0], prices[1]],
+        ]
+      );
+
+      await expect(newCampaign(curve, badParams)).to.be.revertedWithCustomError(
+        curve,
+        "InvalidTiers"
+      );
+    });
+
+    it("should reject thresholds that are not increasing", async function () {
+      const badParams = abiCoder.encode(
+        ["uint256[]", "uint256[]"],
+        [[5, 5], prices]
+      );
+
+      await expect(newCampaign(curve, badParams)).to.be.revertedWithCustomError(
+        curve,
+        "InvalidTiers"
+      );
+    });
+  });
+
+  describe("ExponentialPricingCurve", function () {
+    let curve;
+    let pricingParams;
+
+    const curveStartPrice = ethers.parseUnits("10", 6);
+    const growthBps = 500n;
+    const factor = WAD + (growthBps * WAD) / 10000n;
+
+    function priceAt(position) {
+      return (curveStartPrice * rpow(factor, BigInt(position))) / WAD;
+    }
+
+    beforeEach(async function () {
+      curve = await deployCurve("ExponentialPricingCurve");
+      pricingParams = abiCoder.encode(
+        ["uint256", "uint256"],
+        [curveStartPrice, growthBps]
+      );
+    });
+
+    it("should quote the compounded price", async function () {
+      expect(await curve.quote(pricingParams, 0, 1, 0, 0)).to.equal(
+        curveStartPrice
+      );
+      expect(await curve.quote(pricingParams, 1, 1, 0, 0)).to.equal(
+        ethers.parseUnits("10.5", 6)
+      );
+      expect(await curve.quote(pricingParams, 2, 1, 0, 0)).to.equal(
+        ethers.parseUnits("11.025", 6)
+      );
+    });
+
+    it("should quote N tokens as the sum of single prices", async function () {
+      const expected = priceAt(5) + priceAt(6) + priceAt(7) + priceAt(8);
+
+      expect(await curve.quote(pricingParams, 5, 4, 0, 0)).to.equal(expected);
+    });
+
+    it("should charge the exact exponential amounts", async function () {
+      const nft = await newCampaign(curve, pricingParams);
+
+      await expectCharged(nft, 3, priceAt(0) + priceAt(1) + priceAt(2));
+      await expectCharged(nft, 1, priceAt(3));
+
+      expect(await nft.getCurrentPriceToMint()).to.equal(priceAt(4));
+    });
+
+    it("should reject growth above the maximum", async function () {
+      const badParams = abiCoder.encode(
+        ["uint256", "uint256"],
+        [curveStartPrice, 10001]
+      );
+
+      await expect(newCampaign(curve, badParams)).to.be.revertedWithCustomError(
+        curve,
+        "InvalidGrowth"
+      );
+    });
+  });
+
+  describe("DutchAuctionPricingCurve", function () {
+    let curve;
+    let pricingParams;
+
+    const auctionStartPrice = ethers.parseUnits("100", 6);
+    const floorPrice = ethers.parseUnits("40", 6);
+
+    beforeEach(async function () {
+      curve = await deployCurve("DutchAuctionPricingCurve");
+      pricingParams = abiCoder.encode(
+        ["uint256", "uint256"],
+        [auctionStartPrice, floorPrice]
+      );
+    });
+
+    it("should quote the start price before the auction starts", async function () {
+      const currentBlock = await ethers.provider.getBlock("latest");
+
+      expect(
+        await curve.quote(
+          pricingParams,
+          0,
+          3,
+          currentBlock.timestamp + 100,
+          futureTimestamp
+        )
+      ).to.equal(auctionStartPrice * 3n);
+    });
+
+    it("should fall linearly toward the campaign timestamp", async function () {
+      const nft = await newCampaign(curve, pricingParams);
+      const startTimestamp = await nft.startTimestamp();
+      const duration = BigInt(futureTimestamp) - startTimestamp;
+      const halfway = startTimestamp + duration / 2n;
+
+      await ethers.provider.send("evm_setNextBlockTimestamp", [
+        Number(halfway),
+      ]);
+
+      const expectedPrice =
+        auctionStartPrice -
+        ((auctionStartPrice - floorPrice) * (halfway - startTimestamp)) /
+          duration;
+
+      await expectCharged(nft, 2, expectedPrice * 2n);
+    });
+
+    it("should keep the original timestamp when the deadline is extended", async function () {
+      const nft = await newCampaign(curve, pricingParams);
+      const startTimestamp = await nft.startTimestamp();
+      const duration = BigInt(futureTimestamp) - startTimestamp;
+      const halfway = startTimestamp + duration / 2n;
+
+      await nft.connect(creator).extendDeadline(futureTimestamp + 86400);
+
+      expect(await nft.pricingEndTimestamp()).to.equal(futureTimestamp);
+
+      await ethers.provider.send("evm_setNextBlockTimestamp", [
+        Number(halfway),
+      ]);
+
+      const expectedPrice =
+        auctionStartPrice -
+        ((auctionStartPrice - floorPrice) * (halfway - startTimestamp)) /
+          duration;
+
+      await expectCharged(nft, 1, expectedPrice);
+    });
+
+    it("should start falling when the sale starts", async function () {
+      const currentBlock = await ethers.provider.getBlock("latest");
+      const saleStart = currentBlock.timestamp + 3600;
+      const nft = await newCampaign(curve, pricingParams, { saleStart });
+
+      await networkHelper.setTime(saleStart - 1);
+      expect(await nft.getPriceToMint(1)).to.equal(auctionStartPrice);
+
+      const duration = BigInt(futureTimestamp - saleStart);
+      const halfway = BigInt(saleStart) + duration / 2n;
+
+      await ethers.provider.send("evm_setNextBlockTimestamp", [
+        Number(halfway),
+      ]);
+
+      const expectedPrice =
+        auctionStartPrice -
+        ((auctionStartPrice - floorPrice) * (halfway - BigInt(saleStart))) /
+          duration;
+
+      await expectCharged(nft, 1, expectedPrice);
+    });
+
+    it("should hold the start price through the allowlist window", async function () {
+      const currentBlock = await ethers.provider.getBlock("latest");
+      const allowlistEnd = currentBlock.timestamp + 3600;
+      const nft = await newCampaign(curve, pricingParams, {
+        allowlistEnd,
+        allowlistRoot: ethers.id("allowlist"),
+      });
+
+      await networkHelper.setTime(allowlistEnd);
+
+      expect(await nft.getPriceToMint(2)).to.equal(auctionStartPrice * 2n);
+    });
+
+    it("should not depend on the number of tokens minted", async function () {
+      const nft = await newCampaign(curve, pricingParams);
+
+      await nft.connect(buyer).mintBatch(5, ethers.MaxUint256);
+
+      expect(await curve.quote(pricingParams, 0, 1, 0, 0)).to.equal(
+        await curve.quote(pricingParams, 100, 1, 0, 0)
+      );
+    });
+
+    it("should quote the floor price once the auction has ended", async function () {
+      const currentBlock = await ethers.provider.getBlock("latest");
+
+      expect(
+        await curve.quote(
+          pricingParams,
+          0,
+          2,
+          currentBlock.timestamp - 100,
+          currentBlock.timestamp
+        )
+      ).to.equal(floorPrice * 2n);
+    });
+
+    it("should reject a floor above the start price", async function () {
+      const badParams = abiCoder.encode(
+        ["uint256", "uint256"],
+        [floorPrice, auctionStartPrice]
+      );
+
+      await expect(newCampaign(curve, badParams)).to.be.revertedWithCustomError(
+        curve,
+        "FloorAboveStartPrice"
+      );
+    });
+  });
+
+  describe("EarlyBirdPricingCurve", function () {
+    let curve;
+
+    const price = ethers.parseUnits("50", 6);
+    const discountBps = 2000n;
+    const discountedPrice = price - (price * discountBps) / 10000n;
+
+    beforeEach(async function () {
+      curve = await deployCurve("EarlyBirdPricingCurve");
+    });
+
+    function encode(earlyBirdQuantity, earlyBirdEnd) {
+      return abiCoder.encode(
+        ["uint256", "uint256", "uint256", "uint256"],
+        [price, discountBps, earlyBirdQuantity, earlyBirdEnd]
+      );
+    }
+
+    it("should discount the first early bird tokens", async function () {
+      const nft = await newCampaign(curve, encode(3, 0));
+
+      await expectCharged(nft, 2, discountedPrice * 2n);
+      await expectCharged(nft, 2, discountedPrice + price);
+      await expectCharged(nft, 1, price);
+    });
+
+    it("should discount every token before the early bird end", async function () {
+      const currentBlock = await ethers.provider.getBlock("latest");
+      const earlyBirdEnd = currentBlock.timestamp + 3600;
+      const nft = await newCampaign(curve, encode(0, earlyBirdEnd));
+
+      await expectCharged(nft, 4, discountedPrice * 4n);
+
+      await ethers.provider.send("evm_setNextBlockTimestamp", [earlyBirdEnd]);
+
+      await expectCharged(nft, 1, price);
+    });
+
+    it("should apply both the quantity and time limits", async function () {
+      const currentBlock = await ethers.provider.getBlock("latest");
+      const earlyBirdEnd = currentBlock.timestamp + 3600;
+      const nft = await newCampaign(curve, encode(5, earlyBirdEnd));
+
+      await expectCharged(nft, 1, discountedPrice);
+
+      await ethers.provider.send("evm_setNextBlockTimestamp", [earlyBirdEnd]);
+
+      await expectCharged(nft, 1, price);
+    });
+
+    it("should reject a discount above 100%", async function () {
+      const badParams = abiCoder.encode(
+        ["uint256", "uint256", "uint256", "uint256"],
+        [price, 10001, 3, 0]
+      );
+
+      await expect(newCampaign(curve, badParams)).to.be.revertedWithCustomError(
+        curve,
+        "InvalidDiscount"
+      );
+    });
+
+    it("should reject an unbounded early bird window", async function () {
+      await expect(
+        newCampaign(curve, encode(0, 0))
+      ).to.be.revertedWithCustomError(curve, "InvalidEarlyBirdWindow");
+    });
+  });
+});
@@ -0,0 +1,268 @@
+import { expect } from "chai";
+import { network } from "hardhat";
+import Network from "./helpers/network.js";
+import { buildCampaignParams, createCampaign } from "./helpers/campaign.js";
+import { deployFactory } from "./helpers/factory.js";
+
+const { ethers } = await network.connect();
+
+describe("Reentrancy", function () {
+  let accounts;
+  let creator;
+  let treasury;
+  let buyer1;
+  let factory;
+  let evilToken;
+  let networkHelper;
+  let futureTimestamp;
+
+  const startPrice = ethers.parseUnits("25", 6);
+  const priceIncrement = ethers.parseUnits("1", 6);
+  const platformFee = 1000;
+  const baseUri = "https://placeholder.com/";
+  const minRequiredSales = 3;
+
+  before("setup", async function () {
+    networkHelper = new Network(ethers.provider);
+    accounts = await ethers.getSigners();
+    creator = accounts[1];
+    treasury = accounts[2];
+    buyer1 = accounts[3];
+  });
+
+  beforeEach(async function () {
+    const MockReentrantToken = await ethers.getContractFactory(
+      "MockReentrantToken"
+    );
+    evilToken = await MockReentrantToken.deploy("Evil", "EVIL");
+
+    ({ factory } = await deployFactory(
+      ethers,
+      treasury.address,
+      platformFee,
+      baseUri
+    ));
+
+    const currentBlock = await ethers.provider.getBlock("latest");
+    futureTimestamp = currentBlock.timestamp + 86400;
+
+    await evilToken.mint(buyer1.address, ethers.parseUnits("10000", 6));
+    await evilToken.mint(
+      await evilToken.getAddress(),
+      ethers.parseUnits("10000", 6)
+    );
+
+    await networkHelper.snapshot();
+  });
+
+  afterEach(async function () {
+    await networkHelper.revert();
+  });
+
+  function campaignParams(params = {}) {
+    return buildCampaignParams({
+      name: "Test Campaign",
+      symbol: "TC",
+      minRequiredSales: minRequiredSales,
+      timestamp: futureTimestamp,
+      startPrice: startPrice,
+      priceIncrement: priceIncrement,
+      ...params,
+    });
+  }
+
+  async function campaignFromReceipt(receipt) {
+    const event = receipt.logs
+      .map((log) => {
+        try {
+          return factory.interface.parseLog(log);
+        } catch {
+          return null;
+        }
+      })
+      .find((log) => log && log.name === "CampaignCreated");
+
+    return ethers.getContractAt("NFT", event.args.campaignAddress);
+  }
+
+  async function newCampaign(params = {}) {
+    return createCampaign(factory, creator, evilToken, campaignParams(params));
+  }
+
+  // The token itself buys, so calls it makes from its hook come from the holder.
+  async function buyAsToken(nft, data, value = 0n) {
+    await evilToken.execute(
+      evilToken,
+      evilToken.interface.encodeFunctionData("approve", [
+        await nft.getAddress(),
+        ethers.MaxUint256,
+      ])
+    );
+
+    return evilToken.execute(nft, data, { value });
+  }
+
+  describe("Refunds", function () {
+    it("should block a second refund from the token hook", async function () {
+      const nft = await newCampaign({ minRequiredSales: 10 });
+      await buyAsToken(nft, nft.interface.encodeFunctionData("mint()"));
+      await networkHelper.setTime(futureTimestamp + 1);
+
+      const claim = nft.interface.encodeFunctionData("claimRefund", [1]);
+      await evilToken.setReentry(nft, claim);
+
+      await expect(evilToken.execute(nft, claim)).to.be.revertedWithCustomError(
+        nft,
+        "ReentrancyGuardReentrantCall"
+      );
+
+      await evilToken.setReentry(ethers.ZeroAddress, "0x");
+      const holder = await nft.getHolderByTokenId(1);
+
+      await expect(evilToken.execute(nft, claim)).to.changeTokenBalances(
+        ethers,
+        evilToken,
+        [evilToken, nft],
+        [holder.mintPrice, -holder.mintPrice]
+      );
+      await expect(evilToken.execute(nft, claim)).to.be.revertedWithCustomError(
+        nft,
+        "ERC721NonexistentToken"
+      );
+    });
+
+    it("should burn the token before paying the refund", async function () {
+      const nft = await newCampaign({ minRequiredSales: 10 });
+      await buyAsToken(nft, nft.interface.encodeFunctionData("mint()"));
+      await networkHelper.setTime(futureTimestamp + 1);
+
+      await evilToken.setReentry(
+        nft,
+        nft.interface.encodeFunctionData("burn", [1])
+      );
+
+      await expect(
+        evilToken.execute(
+          nft,
+          nft.interface.encodeFunctionData("claimRefund", [1])
+        )
+      )
+        .to.be.revertedWithCustomError(nft, "ERC721NonexistentToken")
+        .withArgs(1);
+    });
+
+    it("should block a second ETH refund from the receive hook", async function () {
+      const MockPYUSD = await ethers.getContractFactory("MockPYUSD");
+      const mockPyUsd = await MockPYUSD.deploy("PyUSD", "PYUSD", 6);
+      const rate = 4n * 10n ** 26n;
+      const nft = await newCampaign({
+        minRequiredSales: 10,
+        paymentToken: await mockPyUsd.getAddress(),
+        currencies: [{ token: ethers.ZeroAddress, rate }],
+      });
+      const price = await nft.convertPrice(ethers.ZeroAddress, startPrice);
+
+      await buyAsToken(
+        nft,
+        nft.interface.encodeFunctionData("mintWithCurrency", [
+          ethers.ZeroAddress,
+          1,
+          price,
+        ]),
+        price
+      );
+      await networkHelper.setTime(futureTimestamp + 1);
+
+      const claim = nft.interface.encodeFunctionData("claimRefund", [1]);
+      await evilToken.setReentry(nft, claim);
+
+      await expect(evilToken.execute(nft, claim)).to.be.revertedWithCustomError(
+        nft,
+        "NativeTransferFailed"
+      );
+      expect(await nft.ownerOf(1)).to.equal(await evilToken.getAddress());
+    });
+  });
+
+  describe("Withdrawals", function () {
+    let nft;
+
+    beforeEach(async function () {
+      const tx = await evilToken.execute(
+        factory,
+        factory.interface.encodeFunctionData("createCampaign", [
+          campaignParams({ paymentToken: await evilToken.getAddress() }),
+        ])
+      );
+      nft = await campaignFromReceipt(await tx.wait());
+
+      await evilToken
+        .connect(buyer1)
+        .approve(await nft.getAddress(), ethers.MaxUint256);
+      await nft.connect(buyer1).mintBatch(minRequiredSales, ethers.MaxUint256);
+    });
+
+    it("should block a second withdrawal from the token hook", async function () {
+      const withdraw = nft.interface.encodeFunctionData(
+        "withdrawCreatorsFunds"
+      );
+      await evilToken.setReentry(nft, withdraw);
+
+      await expect(
+        evilToken.execute(nft, withdraw)
+      ).to.be.revertedWithCustomError(nft, "ReentrancyGuardReentrantCall");
+
+      await evilToken.setReentry(ethers.ZeroAddress, "0x");
+      const amount = await nft.withdrawalAmount(evilToken);
+
+      await expect(evilToken.execute(nft, withdraw)).to.changeTokenBalances(
+        ethers,
+        evilToken,
+        [evilToken, nft],
+        [amount, -amount]
+      );
+      expect(await nft.withdrawalAmount(evilToken)).to.equal(0);
+      expect(await nft.totalEarnedByCreator(evilToken)).to.equal(amount);
+    });
+
+    it("should block a withdrawal while a mint payment is collected", async function () {
+      await evilToken.setReentry(
+        nft,
+        nft.interface.encodeFunctionData("withdrawCreatorsFunds")
+      );
+
+      await expect(
+        buyAsToken(nft, nft.interface.encodeFunctionData("mint()"))
+      ).to.be.revertedWithCustomError(nft, "ReentrancyGuardReentrantCall");
+      expect(await nft.totalEverMinted()).to.equal(minRequiredSales);
+    });
+
+    it("should block releasing platform fees from the token hook", async function () {
+      await evilToken.setReentry(
+        nft,
+        nft.interface.encodeFunctionData("releasePlatformFees")
+      );
+
+      await expect(
+        evilToken.execute(
+          nft,
+          nft.interface.encodeFunctionData("withdrawCreatorsFunds")
+        )
+      ).to.be.revertedWithCustomError(nft, "ReentrancyGuardReentrantCall");
+    });
+  });
+
+  describe("Minting", function () {
+    it("should block a nested mint while the payment is collected", async function () {
+      const nft = await newCampaign();
+      const mint = nft.interface.encodeFunctionData("mint()");
+      await evilToken.setReentry(nft, mint);
+
+      await expect(buyAsToken(nft, mint)).to.be.revertedWithCustomError(
+        nft,
+        "ReentrancyGuardReentrantCall"
+      );
+      expect(await nft.totalEverMinted()).to.equal(0);
+    });
+  });
+});
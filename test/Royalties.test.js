@@ -0,0 +1,245 @@
+import { expect } from "chai";
+import { network } from "hardhat";
+import Network from "./helpers/network.js";
+import { createCampaign } from "./helpers/campaign.js";
+import { deployFactory } from "./helpers/factory.js";
+
+const { ethers } = await network.connect();
+
+describe("Royalties", function () {
+  let accounts;
+  let creator;
+  let treasury;
+  let buyer1;
+  let buyer2;
+  let factory;
+  let mockPyUsd;
+  let networkHelper;
+  let futureTimestamp;
+
+  const startPrice = ethers.parseUnits("25", 6);
+  const priceIncrement = ethers.parseUnits("1", 6);
+  const platformFee = 1000;
+  const baseUri = "https://placeholder.com/";
+  const minRequiredSales = 3;
+  const royaltyFee = 500;
+
+  before("setup", async function () {
+    networkHelper = new Network(ethers.provider);
+    accounts = await ethers.getSigners();
+    creator = accounts[1];
+    treasury = accounts[2];
+    buyer1 = accounts[3];
+    buyer2 = accounts[4];
+  });
+
+  beforeEach(async function () {
+    const MockPYUSD = await ethers.getContractFactory("MockPYUSD");
+    mockPyUsd = await MockPYUSD.deploy("PyUSD", "PYUSD", 6);
+
+    ({ factory } = await deployFactory(
+      ethers,
+      treasury.address,
+      platformFee,
+      baseUri
+    ));
+
+    const currentBlock = await ethers.provider.getBlock("latest");
+    futureTimestamp = currentBlock.timestamp + 86400;
+
+    await mockPyUsd.transfer(buyer1.address, ethers.parseUnits("10000", 6));
+    await mockPyUsd.transfer(buyer2.address, ethers.parseUnits("10000", 6));
+
+    await networkHelper.snapshot();
+  });
+
+  afterEach(async function () {
+    await networkHelper.revert();
+  });
+
+  async function newCampaign(params = {}) {
+    return createCampaign(
+      factory,
+      creator,
+      mockPyUsd,
+      {
+        minRequiredSales: minRequiredSales,
+        timestamp: futureTimestamp,
+        startPrice: startPrice,
+        priceIncrement: priceIncrement,
+        royaltyFee: royaltyFee,
+        ...params,
+      },
+      [buyer1]
+    );
+  }
+
+  async function getSplitter(nft) {
+    const RoyaltySplitter = await ethers.getContractFactory("RoyaltySplitter");
+
+    return RoyaltySplitter.attach(await nft.royaltySplitter());
+  }
+
+  describe("ERC-2981", function () {
+    it("should report the royalty of the campaign", async function () {
+      const nft = await newCampaign();
+      await nft.connect(buyer1).mint();
+      const salePrice = ethers.parseUnits("200", 6);
+
+      const [receiver, royaltyAmount] = await nft.royaltyInfo(1, salePrice);
+
+      expect(await nft.royaltyFee()).to.equal(royaltyFee);
+      expect(receiver).to.equal(await nft.royaltySplitter());
+      expect(receiver).to.not.equal(ethers.ZeroAddress);
+      expect(royaltyAmount).to.equal(ethers.parseUnits("10", 6));
+    });
+
+    it("should round the royalty down", async function () {
+      const nft = await newCampaign();
+
+      const [, royaltyAmount] = await nft.royaltyInfo(1, 39);
+
+      expect(royaltyAmount).to.equal(1);
+    });
+
+    it("should report no royalty for campaigns without one", async function () {
+      const nft = await newCampaign({ royaltyFee: 0 });
+
+      const [receiver, royaltyAmount] = await nft.royaltyInfo(
+        1,
+        ethers.parseUnits("200", 6)
+      );
+
+      expect(receiver).to.equal(ethers.ZeroAddress);
+      expect(royaltyAmount).to.equal(0);
+    });
+
+    it("should support the ERC-2981 interface", async function () {
+      const nft = await newCampaign();
+
+      expect(await nft.supportsInterface("0x2a55205a")).to.equal(true);
+      expect(await nft.supportsInterface("0x80ac58cd")).to.equal(true);
+      expect(await nft.supportsInterface("0x780e9d63")).to.equal(true);
+      expect(await nft.supportsInterface("0x01ffc9a7")).to.equal(true);
+      expect(await nft.supportsInterface("0xffffffff")).to.equal(false);
+    });
+
+    it("should give every campaign its own splitter", async function () {
+      const first = await newCampaign();
+      const second = await newCampaign();
+
+      const splitter = await getSplitter(first);
+
+      expect(await first.royaltySplitter()).to.not.equal(
+        await second.royaltySplitter()
+      );
+      expect(await splitter.campaign()).to.equal(await first.getAddress());
+    });
+  });
+
+  describe("Splitter", function () {
+    it("should split token royalties between the creator and the treasury", async function () {
+      const nft = await newCampaign();
+      await nft.connect(buyer1).mint();
+      const splitter = await getSplitter(nft);
+
+      // A marketplace sale from buyer1 to buyer2 that pays the royalty.
+      const salePrice = ethers.parseUnits("200", 6);
+      const [receiver, royaltyAmount] = await nft.royaltyInfo(1, salePrice);
+      await mockPyUsd.connect(buyer2).transfer(receiver, royaltyAmount);
+      await mockPyUsd
+        .connect(buyer2)
+        .transfer(buyer1, salePrice - royaltyAmount);
+      await nft.connect(buyer1).transferFrom(buyer1, buyer2, 1);
+
+      const treasuryAmount = (royaltyAmount * BigInt(platformFee)) / 10000n;
+      const creatorAmount = royaltyAmount - treasuryAmount;
+
+      const tx = splitter.connect(buyer1).release(mockPyUsd);
+
+      await expect(tx)
+        .to.emit(splitter, "RoyaltiesReleased")
+        .withArgs(await mockPyUsd.getAddress(), creatorAmount, treasuryAmount);
+      await expect(tx).to.changeTokenBalances(
+        ethers,
+        mockPyUsd,
+        [creator, treasury, splitter],
+        [creatorAmount, treasuryAmount, -royaltyAmount]
+      );
+    });
+
+    it("should split ETH royalties between the creator and the treasury", async function () {
+      const nft = await newCampaign();
+      const splitter = await getSplitter(nft);
+      const royaltyAmount = ethers.parseEther("1");
+
+      await buyer2.sendTransaction({ to: splitter, value: royaltyAmount });
+
+      await expect(splitter.release(ethers.ZeroAddress)).to.changeEtherBalances(
+        ethers,
+        [creator, treasury, splitter],
+        [ethers.parseEther("0.9"), ethers.parseEther("0.1"), -royaltyAmount]
+      );
+    });
+
+    it("should use the platform fee the campaign was created with", async function () {
+      const nft = await newCampaign();
+      const splitter = await getSplitter(nft);
+      await factory.setPlatformFee(2000);
+      await mockPyUsd.connect(buyer2).transfer(splitter, 1000);
+
+      await expect(splitter.release(mockPyUsd)).to.changeTokenBalances(
+        ethers,
+        mockPyUsd,
+        [creator, treasury],
+        [900, 100]
+      );
+    });
+
+    it("should pay the current treasury", async function () {
+      const nft = await newCampaign();
+      const splitter = await getSplitter(nft);
+      const newTreasury = accounts[6];
+      await factory.setTreasury(newTreasury.address);
+      await mockPyUsd.connect(buyer2).transfer(splitter, 1000);
+
+      await expect(splitter.release(mockPyUsd)).to.changeTokenBalances(
+        ethers,
+        mockPyUsd,
+        [newTreasury, treasury],
+        [100, 0]
+      );
+    });
+
+    it("should revert if there is nothing to release", async function () {
+      const nft = await newCampaign();
+      const splitter = await getSplitter(nft);
+
+      await expect(splitter.release(mockPyUsd)).to.be.revertedWithCustomError(
+        splitter,
+        "NothingToRelease"
+      );
+      await expect(
+        splitter.release(ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(splitter, "NothingToRelease");
+    });
+
+    it("should not allow initializing a splitter twice", async function () {
+      const nft = await newCampaign();
+      const splitter = await getSplitter(nft);
+      const RoyaltySplitter = await ethers.getContractFactory(
+        "RoyaltySplitter"
+      );
+      const implementation = RoyaltySplitter.attach(
+        await factory.royaltySplitterImplementation()
+      );
+
+      await expect(
+        splitter.initialize(buyer1.address)
+      ).to.be.revertedWithCustomError(splitter, "InvalidInitialization");
+      await expect(
+        implementation.initialize(buyer1.address)
+      ).to.be.revertedWithCustomError(implementation, "InvalidInitialization");
+    });
+  });
+});
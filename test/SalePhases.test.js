@@ -0,0 +1,294 @@
+import { expect } from "chai";
+import { network } from "hardhat";
+import Network from "./helpers/network.js";
+import { createCampaign } from "./helpers/campaign.js";
+import { deployFactory } from "./helpers/factory.js";
+import {
+  buildMerkleTree,
+  getMerkleProof,
+  parseAllowlistCsv,
+  readAllowlistCsv,
+} from "../scripts/merkle.js";
+
+const { ethers } = await network.connect();
+
+const allowlistCsv = new URL("./fixtures/allowlist.csv", import.meta.url);
+
+describe("SalePhases", function () {
+  let accounts;
+  let creator;
+  let treasury;
+  let buyer1;
+  let buyer2;
+  let factory;
+  let mockPyUsd;
+  let networkHelper;
+  let tree;
+  let buyer1Proof;
+  let saleStart;
+  let allowlistEnd;
+  let futureTimestamp;
+
+  const startPrice = ethers.parseUnits("25", 6);
+  const priceIncrement = ethers.parseUnits("1", 6);
+  const allowlistPrice = ethers.parseUnits("20", 6);
+  const allowlistQuota = 3;
+  const platformFee = 1000;
+  const baseUri = "https://placeholder.com/";
+  const minRequiredSales = 10;
+
+  before("setup", async function () {
+    networkHelper = new Network(ethers.provider);
+    accounts = await ethers.getSigners();
+    creator = accounts[1];
+    treasury = accounts[2];
+    buyer1 = accounts[3];
+    buyer2 = accounts[4];
+
+    tree = buildMerkleTree(readAllowlistCsv(allowlistCsv));
+    buyer1Proof = getMerkleProof(tree, buyer1.address);
+  });
+
+  beforeEach(async function () {
+    const MockPYUSD = await ethers.getContractFactory("MockPYUSD");
+    mockPyUsd = await MockPYUSD.deploy("PyUSD", "PYUSD", 6);
+    await mockPyUsd.waitForDeployment();
+
+    ({ factory } = await deployFactory(
+      ethers,
+      treasury.address,
+      platformFee,
+      baseUri
+    ));
+
+    const currentBlock = await ethers.provider.getBlock("latest");
+    saleStart = currentBlock.timestamp + 3600;
+    allowlistEnd = saleStart + 3600;
+    futureTimestamp = currentBlock.timestamp + 86400;
+
+    await mockPyUsd.transfer(buyer1.address, ethers.parseUnits("10000", 6));
+    await mockPyUsd.transfer(buyer2.address, ethers.parseUnits("10000", 6));
+
+    await networkHelper.snapshot();
+  });
+
+  afterEach(async function () {
+    await networkHelper.revert();
+  });
+
+  async function newCampaign(params = {}) {
+    return createCampaign(
+      factory,
+      creator,
+      mockPyUsd,
+      {
+        minRequiredSales: minRequiredSales,
+        timestamp: futureTimestamp,
+        saleStart: saleStart,
+        allowlistEnd: allowlistEnd,
+        allowlistRoot: tree.root,
+        allowlistPrice: allowlistPrice,
+        allowlistQuota: allowlistQuota,
+        startPrice: startPrice,
+        priceIncrement: priceIncrement,
+        ...params,
+      },
+      [buyer1, buyer2]
+    );
+  }
+
+  describe("Merkle utility", function () {
+    it("should read checksummed addresses and skip the header", async function () {
+      const addresses = readAllowlistCsv(allowlistCsv);
+
+      expect(addresses).to.have.length(5);
+      expect(addresses[0]).to.equal(buyer1.address);
+    });
+
+    it("should drop duplicates and blank lines", async function () {
+      const addresses = parseAllowlistCsv(
+        `${buyer1.address.toLowerCase()}\n\n${buyer1.address}\n`
+      );
+
+      expect(addresses).to.deep.equal([buyer1.address]);
+    });
+
+    it("should reject invalid addresses", async function () {
+      expect(() =>
+        parseAllowlistCsv(`address\n${buyer1.address}\nnot-an-address`)
+      ).to.throw("Invalid address on line 3");
+    });
+
+    it("should refuse proofs for accounts that are not listed", async function () {
+      expect(() => getMerkleProof(tree, buyer2.address)).to.throw(
+        "is not on the allowlist"
+      );
+    });
+  });
+
+  describe("Before sale start", function () {
+    it("should not allow public mints", async function () {
+      const nft = await newCampaign();
+
+      await expect(nft.connect(buyer1).mint()).to.be.revertedWithCustomError(
+        nft,
+        "SaleNotStarted"
+      );
+    });
+
+    it("should not allow allowlist mints", async function () {
+      const nft = await newCampaign();
+
+      await expect(
+        nft.connect(buyer1).mintAllowlist(1, allowlistPrice, buyer1Proof)
+      ).to.be.revertedWithCustomError(nft, "SaleNotStarted");
+    });
+  });
+
+  describe("Allowlist window", function () {
+    let nft;
+
+    beforeEach(async function () {
+      nft = await newCampaign();
+      await networkHelper.setTime(saleStart);
+    });
+
+    it("should mint at the allowlist price", async function () {
+      const balanceBefore = await mockPyUsd.balanceOf(buyer1.address);
+
+      await nft
+        .connect(buyer1)
+        .mintAllowlist(2, ethers.MaxUint256, buyer1Proof);
+
+      const balanceAfter = await mockPyUsd.balanceOf(buyer1.address);
+
+      expect(balanceBefore - balanceAfter).to.equal(allowlistPrice * 2n);
+      expect((await nft.getHolderByTokenId(2)).mintPriceGross).to.equal(
+        allowlistPrice
+      );
+      expect(await nft.allowlistMinted(buyer1.address)).to.equal(2);
+    });
+
+    it("should not allow public mints", async function () {
+      await expect(nft.connect(buyer1).mint()).to.be.revertedWithCustomError(
+        nft,
+        "AllowlistSaleOnly"
+      );
+    });
+
+    it("should reject accounts that are not listed", async function () {
+      await expect(
+        nft.connect(buyer2).mintAllowlist(1, ethers.MaxUint256, buyer1Proof)
+      ).to.be.revertedWithCustomError(nft, "NotAllowlisted");
+    });
+
+    it("should allow minting up to the quota", async function () {
+      await nft
+        .connect(buyer1)
+        .mintAllowlist(1, ethers.MaxUint256, buyer1Proof);
+      await nft
+        .connect(buyer1)
+        .mintAllowlist(allowlistQuota - 1, ethers.MaxUint256, buyer1Proof);
+
+      expect(await nft.balanceOf(buyer1.address)).to.equal(allowlistQuota);
+    });
+
+    it("should revert past the quota", async function () {
+      await nft
+        .connect(buyer1)
+        .mintAllowlist(allowlistQuota, ethers.MaxUint256, buyer1Proof);
+
+      await expect(
+        nft.connect(buyer1).mintAllowlist(1, ethers.MaxUint256, buyer1Proof)
+      ).to.be.revertedWithCustomError(nft, "AllowlistQuotaExceeded");
+    });
+
+    it("should enforce the maximum total price", async function () {
+      await expect(
+        nft
+          .connect(buyer1)
+          .mintAllowlist(2, allowlistPrice * 2n - 1n, buyer1Proof)
+      )
+        .to.be.revertedWithCustomError(nft, "PriceAboveMaximum")
+        .withArgs(allowlistPrice * 2n, allowlistPrice * 2n - 1n);
+    });
+  });
+
+  describe("Public window", function () {
+    let nft;
+
+    beforeEach(async function () {
+      nft = await newCampaign();
+    });
+
+    it("should continue the price curve after allowlist mints", async function () {
+      await networkHelper.setTime(saleStart);
+      await nft
+        .connect(buyer1)
+        .mintAllowlist(2, ethers.MaxUint256, buyer1Proof);
+
+      await networkHelper.setTime(allowlistEnd);
+
+      expect(await nft.getCurrentPriceToMint()).to.equal(
+        startPrice + priceIncrement * 2n
+      );
+      await nft.connect(buyer2).mint();
+      expect(await nft.ownerOf(3)).to.equal(buyer2.address);
+    });
+
+    it("should close the allowlist", async function () {
+      await networkHelper.setTime(allowlistEnd);
+
+      await expect(
+        nft.connect(buyer1).mintAllowlist(1, ethers.MaxUint256, buyer1Proof)
+      ).to.be.revertedWithCustomError(nft, "AllowlistSaleNotActive");
+    });
+  });
+
+  describe("Without allowlist", function () {
+    it("should open public minting at sale start", async function () {
+      const nft = await newCampaign({
+        allowlistEnd: 0,
+        allowlistRoot: ethers.ZeroHash,
+      });
+
+      await networkHelper.setTime(saleStart);
+      await nft.connect(buyer1).mint();
+
+      expect(await nft.ownerOf(1)).to.equal(buyer1.address);
+      await expect(
+        nft.connect(buyer1).mintAllowlist(1, ethers.MaxUint256, buyer1Proof)
+      ).to.be.revertedWithCustomError(nft, "AllowlistSaleNotActive");
+    });
+  });
+
+  describe("Validation", function () {
+    it("should revert if sale start is not before timestamp", async function () {
+      await expect(
+        newCampaign({
+          saleStart: futureTimestamp,
+          allowlistEnd: 0,
+          allowlistRoot: ethers.ZeroHash,
+        })
+      ).to.be.revertedWithCustomError(factory, "InvalidSalePhases");
+    });
+
+    it("should revert if the allowlist window has no root", async function () {
+      await expect(
+        newCampaign({ allowlistRoot: ethers.ZeroHash })
+      ).to.be.revertedWithCustomError(factory, "InvalidSalePhases");
+    });
+
+    it("should revert if the allowlist ends before sale start", async function () {
+      await expect(
+        newCampaign({ allowlistEnd: saleStart })
+      ).to.be.revertedWithCustomError(factory, "InvalidSalePhases");
+    });
+
+    it("should revert if the allowlist ends after timestamp", async function () {
+      await expect(
+        newCampaign({ allowlistEnd: futureTimestamp + 1 })
+      ).to.be.revertedWithCustomError(factory, "InvalidSalePhases");
+    });
+  });
+});
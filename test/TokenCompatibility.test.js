@@ -0,0 +1,264 @@
+import { expect } from "chai";
+import { network } from "hardhat";
+import Network from "./helpers/network.js";
+import { createCampaign } from "./helpers/campaign.js";
+import { deployFactory } from "./helpers/factory.js";
+
+const { ethers } = await network.connect();
+
+describe("Token compatibility", function () {
+  let accounts;
+  let creator;
+  let treasury;
+  let buyer1;
+  let buyer2;
+  let factory;
+  let networkHelper;
+  let futureTimestamp;
+
+  const startPrice = ethers.parseUnits("25", 6);
+  const priceIncrement = ethers.parseUnits("1", 6);
+  const platformFee = 1000;
+  const baseUri = "https://placeholder.com/";
+  const minRequiredSales = 3;
+
+  before("setup", async function () {
+    networkHelper = new Network(ethers.provider);
+    accounts = await ethers.getSigners();
+    creator = accounts[1];
+    treasury = accounts[2];
+    buyer1 = accounts[3];
+    buyer2 = accounts[4];
+  });
+
+  beforeEach(async function () {
+    ({ factory } = await deployFactory(
+      ethers,
+      treasury.address,
+      platformFee,
+      baseUri
+    ));
+
+    const currentBlock = await ethers.provider.getBlock("latest");
+    futureTimestamp = currentBlock.timestamp + 86400;
+
+    await networkHelper.snapshot();
+  });
+
+  afterEach(async function () {
+    await networkHelper.revert();
+  });
+
+  async function fundBuyers(token) {
+    const amount = ethers.parseUnits("10000", 6);
+    await token.transfer(buyer1.address, amount);
+    await token.transfer(buyer2.address, amount);
+  }
+
+  async function newCampaign(token, params = {}) {
+    return createCampaign(
+      factory,
+      creator,
+      token,
+      {
+        minRequiredSales: minRequiredSales,
+        timestamp: futureTimestamp,
+        startPrice: startPrice,
+        priceIncrement: priceIncrement,
+        ...params,
+      },
+      [buyer1, buyer2]
+    );
+  }
+
+  describe("Tokens without return values", function () {
+    let token;
+
+    beforeEach(async function () {
+      const MockNoReturnToken = await ethers.getContractFactory(
+        "MockNoReturnToken"
+      );
+      token = await MockNoReturnToken.deploy("Tether", "USDT", 6);
+      await fundBuyers(token);
+    });
+
+    it("should mint and pay the platform fee", async function () {
+      const nft = await newCampaign(token);
+      const fee = (startPrice * BigInt(platformFee)) / 10000n;
+
+      await nft.connect(buyer1).mint();
+
+      expect(await token.balanceOf(await nft.getAddress())).to.equal(
+        startPrice - fee
+      );
+      expect(await token.balanceOf(treasury.address)).to.equal(fee);
+      expect(await nft.withdrawalAmount(token)).to.equal(startPrice - fee);
+    });
+
+    it("should let the creator withdraw", async function () {
+      const nft = await newCampaign(token);
+      await nft.connect(buyer1).mintBatch(minRequiredSales, ethers.MaxUint256);
+      const amount = await nft.withdrawalAmount(token);
+
+      await nft.connect(creator).withdrawCreatorsFunds();
+
+      expect(await token.balanceOf(creator.address)).to.equal(amount);
+      expect(await token.balanceOf(await nft.getAddress())).to.equal(0);
+    });
+
+    it("should refund buyers of a failed campaign", async function () {
+      const nft = await newCampaign(token);
+      await nft.connect(buyer1).mint();
+      const balanceBefore = await token.balanceOf(buyer1.address);
+      await networkHelper.setTime(futureTimestamp + 1);
+
+      await nft.connect(buyer1).claimRefund(1);
+
+      const holder = await nft.getHolderByTokenId(1);
+      expect(await token.balanceOf(buyer1.address)).to.equal(
+        balanceBefore + holder.mintPrice
+      );
+    });
+  });
+
+  describe("Tokens returning false", function () {
+    let token;
+
+    beforeEach(async function () {
+      const MockFalseReturnToken = await ethers.getContractFactory(
+        "MockFalseReturnToken"
+      );
+      token = await MockFalseReturnToken.deploy("Falsy", "FLS", 6);
+      await fundBuyers(token);
+    });
+
+    it("should revert the mint if the payment fails", async function () {
+      const nft = await newCampaign(token);
+      await token.setFailTransfers(true);
+
+      await expect(nft.connect(buyer1).mint())
+        .to.be.revertedWithCustomError(nft, "SafeERC20FailedOperation")
+        .withArgs(await token.getAddress());
+      expect(await nft.totalEverMinted()).to.equal(0);
+    });
+
+    it("should keep the refund claimable if the transfer fails", async function () {
+      const nft = await newCampaign(token);
+      await nft.connect(buyer1).mint();
+      await networkHelper.setTime(futureTimestamp + 1);
+      await token.setFailTransfers(true);
+
+      await expect(
+        nft.connect(buyer1).claimRefund(1)
+      ).to.be.revertedWithCustomError(nft, "SafeERC20FailedOperation");
+      expect(await nft.ownerOf(1)).to.equal(buyer1.address);
+
+      await token.setFailTransfers(false);
+      await expect(nft.connect(buyer1).claimRefund(1)).to.emit(
+        nft,
+        "ClaimRefund"
+      );
+    });
+
+    it("should keep the creator's funds if the withdrawal fails", async function () {
+      const nft = await newCampaign(token);
+      await nft.connect(buyer1).mintBatch(minRequiredSales, ethers.MaxUint256);
+      const amount = await nft.withdrawalAmount(token);
+      await token.setFailTransfers(true);
+
+      await expect(
+        nft.connect(creator).withdrawCreatorsFunds()
+      ).to.be.revertedWithCustomError(nft, "SafeERC20FailedOperation");
+      expect(await nft.withdrawalAmount(token)).to.equal(amount);
+    });
+  });
+
+  describe("Fee-on-transfer tokens", function () {
+    const transferFeeBps = 100n;
+    let token;
+
+    function afterTransferFee(amount) {
+      return amount - (amount * transferFeeBps) / 10000n;
+    }
+
+    beforeEach(async function () {
+      const MockFeeOnTransferToken = await ethers.getContractFactory(
+        "MockFeeOnTransferToken"
+      );
+      token = await MockFeeOnTransferToken.deploy(
+        "Taxed",
+        "TAX",
+        6,
+        transferFeeBps
+      );
+      await fundBuyers(token);
+    });
+
+    it("should credit the amount actually received", async function () {
+      const nft = await newCampaign(token);
+      const fee = (startPrice * BigInt(platformFee)) / 10000n;
+      const received = afterTransferFee(startPrice - fee);
+
+      await nft.connect(buyer1).mint();
+
+      const holder = await nft.getHolderByTokenId(1);
+      expect(holder.mintPrice).to.equal(received);
+      expect(holder.mintPriceGross).to.equal(startPrice);
+      expect(await nft.withdrawalAmount(token)).to.equal(received);
+      expect(await token.balanceOf(await nft.getAddress())).to.equal(received);
+    });
+
+    it("should credit each token of a batch proportionally", async function () {
+      const nft = await newCampaign(token);
+
+      await nft.connect(buyer1).mintBatch(3, ethers.MaxUint256);
+
+      const balance = await token.balanceOf(await nft.getAddress());
+      let credited = 0n;
+      for (let tokenId = 1; tokenId <= 3; tokenId++) {
+        credited += (await nft.getHolderByTokenId(tokenId)).mintPrice;
+      }
+
+      expect(await nft.withdrawalAmount(token)).to.equal(balance);
+      expect(credited).to.be.lte(balance);
+    });
+
+    it("should refund every buyer from what was received", async function () {
+      const nft = await newCampaign(token, { minRequiredSales: 10 });
+      await nft.connect(buyer1).mintBatch(2, ethers.MaxUint256);
+      await nft.connect(buyer2).mint();
+      await networkHelper.setTime(futureTimestamp + 1);
+
+      await nft.connect(buyer1).claimRefund(1);
+      await nft.connect(buyer1).claimRefund(2);
+      await nft.connect(buyer2).claimRefund(3);
+
+      expect(await token.balanceOf(await nft.getAddress())).to.equal(0);
+    });
+
+    it("should split escrowed payments between creator and treasury", async function () {
+      const nft = await newCampaign(token, { escrowPlatformFee: true });
+      const received = afterTransferFee(startPrice);
+
+      await nft.connect(buyer1).mint();
+
+      const holder = await nft.getHolderByTokenId(1);
+      expect(holder.mintPriceGross).to.equal(received);
+      expect(
+        (await nft.withdrawalAmount(token)) +
+          (await nft.escrowedPlatformFees(token))
+      ).to.equal(received);
+      expect(await token.balanceOf(await nft.getAddress())).to.equal(received);
+    });
+
+    it("should settle a successful campaign without a shortfall", async function () {
+      const nft = await newCampaign(token, { escrowPlatformFee: true });
+      await nft.connect(buyer1).mintBatch(minRequiredSales, ethers.MaxUint256);
+      await networkHelper.setTime(futureTimestamp + 1);
+
+      await nft.connect(creator).withdrawCreatorsFunds();
+
+      expect(await token.balanceOf(await nft.getAddress())).to.equal(0);
+    });
+  });
+});
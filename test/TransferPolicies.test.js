@@ -0,0 +1,330 @@
+import { expect } from "chai";
+import { network } from "hardhat";
+import Network from "./helpers/network.js";
+import { createCampaign } from "./helpers/campaign.js";
+import { deployFactory } from "./helpers/factory.js";
+
+const { ethers } = await network.connect();
+
+const Free = 0;
+const Soulbound = 1;
+const RefundRight = 2;
+
+describe("Transfer policies", function () {
+  let accounts;
+  let creator;
+  let treasury;
+  let buyer1;
+  let buyer2;
+  let factory;
+  let mockPyUsd;
+  let networkHelper;
+  let futureTimestamp;
+
+  const startPrice = ethers.parseUnits("25", 6);
+  const priceIncrement = ethers.parseUnits("1", 6);
+  const platformFee = 1000;
+  const baseUri = "https://placeholder.com/";
+  const minRequiredSales = 3;
+
+  before("setup", async function () {
+    networkHelper = new Network(ethers.provider);
+    accounts = await ethers.getSigners();
+    creator = accounts[1];
+    treasury = accounts[2];
+    buyer1 = accounts[3];
+    buyer2 = accounts[4];
+  });
+
+  beforeEach(async function () {
+    const MockPYUSD = await ethers.getContractFactory("MockPYUSD");
+    mockPyUsd = await MockPYUSD.deploy("PyUSD", "PYUSD", 6);
+
+    ({ factory } = await deployFactory(
+      ethers,
+      treasury.address,
+      platformFee,
+      baseUri
+    ));
+
+    const currentBlock = await ethers.provider.getBlock("latest");
+    futureTimestamp = currentBlock.timestamp + 86400;
+
+    await mockPyUsd.transfer(buyer1.address, ethers.parseUnits("10000", 6));
+
+    await networkHelper.snapshot();
+  });
+
+  afterEach(async function () {
+    await networkHelper.revert();
+  });
+
+  async function createPolicyCampaign(transferPolicy) {
+    return createCampaign(
+      factory,
+      creator,
+      mockPyUsd,
+      {
+        minRequiredSales: minRequiredSales,
+        timestamp: futureTimestamp,
+        startPrice: startPrice,
+        priceIncrement: priceIncrement,
+        transferPolicy: transferPolicy,
+      },
+      [buyer1]
+    );
+  }
+
+  async function fail() {
+    await networkHelper.setTime(futureTimestamp + 1);
+  }
+
+  async function succeed(nft) {
+    await nft.connect(buyer1).mintBatch(minRequiredSales, ethers.MaxUint256);
+  }
+
+  it("should store the policy of the campaign", async function () {
+    const nft = await createPolicyCampaign(RefundRight);
+
+    expect(await nft.transferPolicy()).to.equal(RefundRight);
+  });
+
+  describe("Free", function () {
+    let nft;
+
+    beforeEach(async function () {
+      nft = await createPolicyCampaign(Free);
+      await nft.connect(buyer1).mint();
+    });
+
+    it("should forfeit the refund right on transfer", async function () {
+      await expect(nft.connect(buyer1).transferFrom(buyer1, buyer2, 1))
+        .to.emit(nft, "RefundForfeited")
+        .withArgs(1, buyer1.address);
+
+      expect(await nft.refundForfeited(1)).to.equal(true);
+      expect((await nft.getHolderByTokenId(1)).minter).to.equal(buyer1.address);
+      expect(await nft.ownerOf(1)).to.equal(buyer2.address);
+    });
+
+    it("should not refund the new owner of a transferred token", async function () {
+      await nft.connect(buyer1).transferFrom(buyer1, buyer2, 1);
+      await fail();
+
+      await expect(
+        nft.connect(buyer2).claimRefund(1)
+      ).to.be.revertedWithCustomError(nft, "RefundRightForfeited");
+    });
+
+    it("should refund the minter without burning the owner's token", async function () {
+      const holder = await nft.getHolderByTokenId(1);
+      await nft.connect(buyer1).transferFrom(buyer1, buyer2, 1);
+      await nft.connect(buyer2).transferFrom(buyer2, creator, 1);
+      await fail();
+
+      const tx = nft.connect(buyer1).claimRefund(1);
+
+      await expect(tx).to.emit(nft, "ClaimRefund").withArgs(buyer1.address, 1);
+      await expect(tx).to.changeTokenBalances(
+        ethers,
+        mockPyUsd,
+        [buyer1, creator],
+        [holder.mintPrice, 0]
+      );
+      expect(await nft.ownerOf(1)).to.equal(creator.address);
+      expect(await mockPyUsd.balanceOf(await nft.getAddress())).to.equal(0);
+    });
+
+    it("should only refund the minter once", async function () {
+      await nft.connect(buyer1).transferFrom(buyer1, buyer2, 1);
+      await fail();
+      await nft.connect(buyer1).claimRefund(1);
+
+      await expect(
+        nft.connect(buyer1).claimRefund(1)
+      ).to.be.revertedWithCustomError(nft, "OwnerIsNotSender");
+      await expect(
+        nft.connect(buyer2).claimRefund(1)
+      ).to.be.revertedWithCustomError(nft, "CannotRefundZero");
+    });
+
+    it("should refund the minter after the new owner burned the token", async function () {
+      const holder = await nft.getHolderByTokenId(1);
+      await nft.connect(buyer1).transferFrom(buyer1, buyer2, 1);
+      await fail();
+      await nft.connect(buyer2).burn(1);
+
+      await expect(nft.connect(buyer1).claimRefund(1)).to.changeTokenBalance(
+        ethers,
+        mockPyUsd,
+        buyer1,
+        holder.mintPrice
+      );
+    });
+
+    it("should keep the refund right with the minter when transferred back", async function () {
+      await nft.connect(buyer1).transferFrom(buyer1, buyer2, 1);
+      await nft.connect(buyer2).transferFrom(buyer2, buyer1, 1);
+      await fail();
+
+      expect((await nft.getHolderByTokenId(1)).minter).to.equal(buyer1.address);
+      await expect(nft.connect(buyer1).claimRefund(1)).to.emit(
+        nft,
+        "ClaimRefund"
+      );
+    });
+
+    it("should keep refunding tokens that were never transferred", async function () {
+      await nft.connect(buyer1).mint();
+      await nft.connect(buyer1).transferFrom(buyer1, buyer2, 1);
+      await fail();
+
+      const holder = await nft.getHolderByTokenId(2);
+
+      expect(await nft.refundForfeited(2)).to.equal(false);
+      await expect(nft.connect(buyer1).claimRefund(2)).to.changeTokenBalance(
+        ethers,
+        mockPyUsd,
+        buyer1,
+        holder.mintPrice
+      );
+    });
+  });
+
+  describe("Soulbound", function () {
+    let nft;
+
+    beforeEach(async function () {
+      nft = await createPolicyCampaign(Soulbound);
+      await nft.connect(buyer1).mint();
+    });
+
+    it("should lock transfers while the campaign is active", async function () {
+      await expect(
+        nft.connect(buyer1).transferFrom(buyer1, buyer2, 1)
+      ).to.be.revertedWithCustomError(nft, "TransfersLocked");
+    });
+
+    it("should lock transfers after the campaign failed", async function () {
+      await fail();
+
+      await expect(
+        nft.connect(buyer1).transferFrom(buyer1, buyer2, 1)
+      ).to.be.revertedWithCustomError(nft, "TransfersLocked");
+    });
+
+    it("should lock transfers after the campaign was cancelled", async function () {
+      await nft.connect(creator).cancel();
+
+      await expect(
+        nft.connect(buyer1).transferFrom(buyer1, buyer2, 1)
+      ).to.be.revertedWithCustomError(nft, "TransfersLocked");
+    });
+
+    it("should refund the original holder after a failure", async function () {
+      await fail();
+
+      await expect(nft.connect(buyer1).claimRefund(1))
+        .to.emit(nft, "ClaimRefund")
+        .withArgs(buyer1.address, 1);
+    });
+
+    it("should unlock transfers once the campaign succeeded", async function () {
+      await succeed(nft);
+
+      await expect(nft.connect(buyer1).transferFrom(buyer1, buyer2, 1))
+        .to.emit(nft, "RefundForfeited")
+        .withArgs(1, buyer1.address);
+
+      expect(await nft.ownerOf(1)).to.equal(buyer2.address);
+      expect(await nft.refundForfeited(1)).to.equal(true);
+    });
+
+    it("should refund the minter if the campaign is cancelled after a transfer", async function () {
+      await succeed(nft);
+      await nft.connect(buyer1).transferFrom(buyer1, buyer2, 1);
+      await nft.connect(creator).cancel();
+
+      const holder = await nft.getHolderByTokenId(1);
+
+      await expect(
+        nft.connect(buyer2).claimRefund(1)
+      ).to.be.revertedWithCustomError(nft, "RefundRightForfeited");
+      await expect(nft.connect(buyer1).claimRefund(1)).to.changeTokenBalance(
+        ethers,
+        mockPyUsd,
+        buyer1,
+        holder.mintPrice
+      );
+    });
+
+    it("should unlock transfers once the deadline passed with the goal reached", async function () {
+      await succeed(nft);
+      await networkHelper.setTime(futureTimestamp + 1);
+
+      await nft.connect(buyer1).transferFrom(buyer1, buyer2, 1);
+
+      expect(await nft.status()).to.equal(3);
+      expect(await nft.ownerOf(1)).to.equal(buyer2.address);
+    });
+
+    it("should still allow burning after a failure", async function () {
+      await fail();
+
+      await expect(nft.connect(buyer1).burn(1))
+        .to.emit(nft, "Burn")
+        .withArgs(buyer1.address, 1);
+    });
+  });
+
+  describe("RefundRight", function () {
+    let nft;
+
+    beforeEach(async function () {
+      nft = await createPolicyCampaign(RefundRight);
+      await nft.connect(buyer1).mint();
+    });
+
+    it("should move the refund right with the token", async function () {
+      const tx = nft.connect(buyer1).transferFrom(buyer1, buyer2, 1);
+
+      await expect(tx)
+        .to.emit(nft, "RefundRightTransferred")
+        .withArgs(1, buyer1.address, buyer2.address);
+      await expect(tx).to.not.emit(nft, "RefundForfeited");
+      expect(await nft.refundForfeited(1)).to.equal(false);
+      expect((await nft.getHolderByTokenId(1)).minter).to.equal(
+        ethers.ZeroAddress
+      );
+    });
+
+    it("should refund the new owner after a failure", async function () {
+      const holder = await nft.getHolderByTokenId(1);
+      await nft.connect(buyer1).transferFrom(buyer1, buyer2, 1);
+      await fail();
+
+      await expect(
+        nft.connect(buyer1).claimRefund(1)
+      ).to.be.revertedWithCustomError(nft, "OwnerIsNotSender");
+      await expect(nft.connect(buyer2).claimRefund(1)).to.changeTokenBalances(
+        ethers,
+        mockPyUsd,
+        [buyer1, buyer2],
+        [0, holder.mintPrice]
+      );
+    });
+
+    it("should refund the new owner after a cancellation", async function () {
+      const holder = await nft.getHolderByTokenId(1);
+      await nft.connect(buyer1).transferFrom(buyer1, buyer2, 1);
+      await nft.connect(creator).cancel();
+
+      await expect(nft.connect(buyer2).claimRefund(1)).to.changeTokenBalance(
+        ethers,
+        mockPyUsd,
+        buyer2,
+        holder.mintPrice
+      );
+    });
+  });
+});
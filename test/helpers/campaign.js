@@ -0,0 +1,67 @@
+import {
+  Contract,
+  MaxUint256,
+  ZeroAddress,
+  ZeroHash,
+  resolveAddress,
+} from "ethers";
+import { artifacts } from "hardhat";
+
+export function buildCampaignParams(params) {
+  return {
+    maxSupply: 0,
+    maxPerWallet: 0,
+    closeOnSellOut: false,
+    saleStart: 0,
+    allowlistEnd: 0,
+    allowlistRoot: ZeroHash,
+    allowlistPrice: 0,
+    allowlistQuota: 0,
+    currencies: [],
+    pricingCurve: ZeroAddress,
+    pricingParams: "0x",
+    escrowPlatformFee: false,
+    burnOnRedeem: false,
+    metadataUri: "",
+    perkTiers: [],
+    milestoneShares: [],
+    governed: false,
+    royaltyFee: 0,
+    transferPolicy: 0,
+    ...params,
+  };
+}
+
+// Creates a campaign paid in token (a contract or an address) and returns it
+// attached to the factory's signer. Every buyer approves the campaign to
+// spend their tokens.
+export async function createCampaign(
+  factory,
+  creator,
+  token,
+  params = {},
+  buyers = []
+) {
+  const tx = await factory.connect(creator).createCampaign(
+    buildCampaignParams({
+      name: "Test Campaign",
+      symbol: "TC",
+      paymentToken: await resolveAddress(token),
+      ...params,
+    })
+  );
+  const receipt = await tx.wait();
+
+  const event = receipt.logs.find(
+    (log) => log.fragment && log.fragment.name === "CampaignCreated"
+  );
+
+  const { abi } = await artifacts.readArtifact("NFT");
+  const nft = new Contract(event.args.campaignAddress, abi, factory.runner);
+
+  for (const buyer of buyers) {
+    await token.connect(buyer).approve(await nft.getAddress(), MaxUint256);
+  }
+
+  return nft;
+}
@@ -0,0 +1,45 @@
+// Campaign implementations are linked against CampaignLib, so a copy of the
+// library is deployed with each of them.
+export async function deployImplementation(ethers, contractName = "NFT") {
+  const CampaignLib = await ethers.getContractFactory("CampaignLib");
+  const campaignLib = await CampaignLib.deploy();
+  await campaignLib.waitForDeployment();
+
+  const Implementation = await ethers.getContractFactory(contractName, {
+    libraries: { CampaignLib: await campaignLib.getAddress() },
+  });
+  const implementation = await Implementation.deploy();
+  await implementation.waitForDeployment();
+
+  return implementation;
+}
+
+export async function deployFactory(ethers, treasury, platformFee, baseUri) {
+  const MetadataRenderer = await ethers.getContractFactory("MetadataRenderer");
+  const metadataRenderer = await MetadataRenderer.deploy();
+  await metadataRenderer.waitForDeployment();
+
+  const implementation = await deployImplementation(ethers);
+
+  const Factory = await ethers.getContractFactory("Factory");
+  const factory = await Factory.deploy(
+    treasury,
+    platformFee,
+    baseUri,
+    await metadataRenderer.getAddress(),
+    await implementation.getAddress()
+  );
+  await factory.waitForDeployment();
+
+  return { factory, metadataRenderer, implementation };
+}
+
+export async function deployGovernor(ethers, factory) {
+  const CampaignGovernor = await ethers.getContractFactory("CampaignGovernor");
+  const governor = await CampaignGovernor.deploy(await factory.getAddress());
+  await governor.waitForDeployment();
+
+  await factory.setGovernor(await governor.getAddress());
+
+  return governor;
+}
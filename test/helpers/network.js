@@ -1,9 +1,11 @@
 import { network } from "hardhat";
 
 class Network {
-  constructor() {
+  // Pass the provider of the connection the tests use, otherwise the helper
+  // opens a separate network and its time and snapshot changes are not seen.
+  constructor(provider = null) {
     this.snapshotId = 0;
-    this.provider = null;
+    this.provider = provider;
   }
 
   async _getProvider() {
@@ -27,7 +29,8 @@ class Network {
 
   async setTime(timestamp) {
     const provider = await this._getProvider();
-    await provider.send("evm_mine", [timestamp]);
+    await provider.send("evm_setNextBlockTimestamp", [timestamp]);
+    await provider.send("evm_mine", []);
   }
 
   async increaseTime(seconds) {
@@ -0,0 +1,57 @@
+import { Signature } from "ethers";
+
+export async function signPermit(token, owner, spender, value, deadline) {
+  const { chainId } = await owner.provider.getNetwork();
+
+  const domain = {
+    name: await token.name(),
+    version: "1",
+    chainId,
+    verifyingContract: await token.getAddress(),
+  };
+
+  const types = {
+    Permit: [
+      { name: "owner", type: "address" },
+      { name: "spender", type: "address" },
+      { name: "value", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+    ],
+  };
+
+  const message = {
+    owner: owner.address,
+    spender,
+    value,
+    nonce: await token.nonces(owner.address),
+    deadline,
+  };
+
+  const signature = await owner.signTypedData(domain, types, message);
+
+  return Signature.from(signature);
+}
+
+export async function signMintOrder(nft, buyer, order) {
+  const { chainId } = await buyer.provider.getNetwork();
+
+  const domain = {
+    name: await nft.name(),
+    version: "1",
+    chainId,
+    verifyingContract: await nft.getAddress(),
+  };
+
+  const types = {
+    MintOrder: [
+      { name: "buyer", type: "address" },
+      { name: "quantity", type: "uint256" },
+      { name: "maxTotalPrice", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+    ],
+  };
+
+  return buyer.signTypedData(domain, types, order);
+}